@@ -2,6 +2,7 @@ function create_camera_module() {
     return engine.module("camera", {
         // Camera properties
         target: null,              // Target object to follow
+        view: 0,                   // Index of the view this camera moves (see view_enable)
         width: 640,                // Camera width
         height: 480,               // Camera height
         smooth_factor: 0.1,        // Camera smoothing (0 = no smoothing, 1 = instant)
@@ -21,6 +22,8 @@ function create_camera_module() {
         shake_frequency: 0.05,     // Shake frequency
         shake_timer: 0,            // Shake timer
         lead_factor: 0,            // Look-ahead based on target velocity
+        audio_listener: true,      // Hear positional sounds from the target instead of the view centre
+        _listener: null,           // Listener this camera last gave the engine
         
         _init: function() {
             // Initialize bounds with room size if not specified
@@ -32,17 +35,25 @@ function create_camera_module() {
             }
             
             // Set initial view size
-            engine.view_wview = this.width;
-            engine.view_hview = this.height;
+            const view = this.get_view();
+            view.wview = this.width;
+            view.hview = this.height;
+        },
+        
+        // The engine view this camera moves
+        get_view: function() {
+            return engine.views[this.view] || engine.views[0];
         },
         
         loop_begin: function() {
+            const view = this.get_view();
+            
             // Update view size if changed
-            if (engine.view_wview !== this.width * this.zoom || 
-                engine.view_hview !== this.height * this.zoom) {
+            if (view.wview !== this.width * this.zoom || 
+                view.hview !== this.height * this.zoom) {
                 
-                engine.view_wview = this.width * this.zoom;
-                engine.view_hview = this.height * this.zoom;
+                view.wview = this.width * this.zoom;
+                view.hview = this.height * this.zoom;
             }
             
             // Update zoom if needed
@@ -55,6 +66,17 @@ function create_camera_module() {
                 }
             }
             
+            // Positional sounds are heard from the target, or the view centre
+            // without one. The engine is only told when the target or the
+            // option changes, so audio_listener_set calls elsewhere stick.
+            const listener = this.audio_listener ? this.target : null;
+            if (listener !== this._listener) {
+                if (this.audio_listener || engine.audio_listener === this._listener) {
+                    engine.audio_listener_set(listener);
+                }
+                this._listener = listener;
+            }
+            
             // If no target, don't update camera position
             if (!this.target) return;
             
@@ -88,25 +110,25 @@ function create_camera_module() {
             targetY += this.offset_y;
             
             // Calculate camera center position (taking zoom into account)
-            const cameraHalfWidth = engine.view_wview / 2;
-            const cameraHalfHeight = engine.view_hview / 2;
+            const cameraHalfWidth = view.wview / 2;
+            const cameraHalfHeight = view.hview / 2;
             
             // Calculate target view position
             let targetViewX = targetX - cameraHalfWidth;
             let targetViewY = targetY - cameraHalfHeight;
             
             // Apply camera bounds
-            targetViewX = Math.max(this.bounds.left, Math.min(targetViewX, this.bounds.right - engine.view_wview));
-            targetViewY = Math.max(this.bounds.top, Math.min(targetViewY, this.bounds.bottom - engine.view_hview));
+            targetViewX = Math.max(this.bounds.left, Math.min(targetViewX, this.bounds.right - view.wview));
+            targetViewY = Math.max(this.bounds.top, Math.min(targetViewY, this.bounds.bottom - view.hview));
             
             // Apply smoothing
-            let newX = engine.view_xview;
-            let newY = engine.view_yview;
+            let newX = view.xview;
+            let newY = view.yview;
             
             if (this.smooth_factor < 1) {
                 // Smooth camera movement
-                newX += (targetViewX - engine.view_xview) * this.smooth_factor;
-                newY += (targetViewY - engine.view_yview) * this.smooth_factor;
+                newX += (targetViewX - view.xview) * this.smooth_factor;
+                newY += (targetViewY - view.yview) * this.smooth_factor;
             } else {
                 // Instant camera movement
                 newX = targetViewX;
@@ -126,8 +148,9 @@ function create_camera_module() {
                     const intensity = this.shake_amount * (this.shake_time / this.shake_duration);
                     
                     // Apply random offsets
-                    newX += (Math.random() * 2 - 1) * intensity;
-                    newY += (Math.random() * 2 - 1) * intensity;
+                    const rng = engine.random_stream('camera');
+                    newX += rng.random_range(-1, 1) * intensity;
+                    newY += rng.random_range(-1, 1) * intensity;
                 }
                 
                 // Reset shake when done
@@ -138,8 +161,14 @@ function create_camera_module() {
             }
             
             // Update engine view position
-            engine.view_xview = Math.round(newX);
-            engine.view_yview = Math.round(newY);
+            view.xview = Math.round(newX);
+            view.yview = Math.round(newY);
+        },
+        
+        // Move a different view, e.g. 1 for the second player's half of a split screen
+        set_view: function(n) {
+            this.view = n;
+            return this;
         },
         
         // Set the camera target
@@ -203,12 +232,13 @@ function create_camera_module() {
         
         // Move camera to specific position
         move_to: function(x, y, instant = false) {
-            const targetX = x - engine.view_wview / 2;
-            const targetY = y - engine.view_hview / 2;
+            const view = this.get_view();
+            const targetX = x - view.wview / 2;
+            const targetY = y - view.hview / 2;
             
             if (instant) {
-                engine.view_xview = Math.round(targetX);
-                engine.view_yview = Math.round(targetY);
+                view.xview = Math.round(targetX);
+                view.yview = Math.round(targetY);
             } else {
                 // Create temporary position target
                 this.target = [x, y];
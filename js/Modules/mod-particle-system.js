@@ -106,11 +106,12 @@ function create_particle_system_module() {
             const baseY = options.y !== undefined ? options.y : parent.y + parent.height / 2;
             
             // Direction and speed
+            const rng = engine.random_stream('particles');
             const dir = (options.direction !== undefined ? options.direction : this.particle_direction) + 
-                      (Math.random() - 0.5) * 2 * (options.direction_var !== undefined ? options.direction_var : this.particle_direction_var);
+                      rng.random_range(-1, 1) * (options.direction_var !== undefined ? options.direction_var : this.particle_direction_var);
             
             const speed = (options.speed !== undefined ? options.speed : this.particle_speed) + 
-                        (Math.random() - 0.5) * 2 * (options.speed_var !== undefined ? options.speed_var : this.particle_speed_var);
+                        rng.random_range(-1, 1) * (options.speed_var !== undefined ? options.speed_var : this.particle_speed_var);
             
             // Create the particle
             const particle = {
@@ -51,39 +51,32 @@ function create_pathfinding_module() {
             return this;
         },
         
-        // Update the navigation grid
-        update_grid: function() {
+        // Update the navigation grid. Pass a pixel rectangle to only rebuild
+        // the cells around something that moved; the engine's spatial hash
+        // finds the obstacles there without scanning every instance.
+        update_grid: function(x1 = 0, y1 = 0, x2 = this.grid_width * this.cell_size, y2 = this.grid_height * this.cell_size) {
+            const cellLeft = Math.max(0, Math.floor(x1 / this.cell_size));
+            const cellTop = Math.max(0, Math.floor(y1 / this.cell_size));
+            const cellRight = Math.min(this.grid_width - 1, Math.floor(x2 / this.cell_size));
+            const cellBottom = Math.min(this.grid_height - 1, Math.floor(y2 / this.cell_size));
+            
             // Reset grid
-            for (let x = 0; x < this.grid_width; x++) {
-                for (let y = 0; y < this.grid_height; y++) {
+            for (let x = cellLeft; x <= cellRight; x++) {
+                for (let y = cellTop; y <= cellBottom; y++) {
                     this.grid[x][y] = 0;
                 }
             }
             
-            // Get all objects to check for collisions
-            this.obstacles = [];
-            for (let i = 0; i < engine.gameObjects.length; i++) {
-                const obj = engine.gameObjects[i];
-                
-                // Skip if not an obstacle type
-                if (!this.obstacle_types.includes(obj)) continue;
-                
-                // Add all instances to obstacle list
-                for (let j = 0; j < obj.instances.length; j++) {
-                    const inst = obj.instances[j];
-                    if (inst.active) {
-                        this.obstacles.push(inst);
-                    }
-                }
-            }
+            // Get the obstacles touching the rebuilt cells
+            this.obstacles = engine.spatial_query(
+                cellLeft * this.cell_size, cellTop * this.cell_size,
+                (cellRight + 1) * this.cell_size - 1, (cellBottom + 1) * this.cell_size - 1,
+                this.obstacle_types, this.parent);
             
             // Mark grid cells with obstacles
             for (let i = 0; i < this.obstacles.length; i++) {
                 const obstacle = this.obstacles[i];
                 
-                // Skip if this is the parent object
-                if (obstacle === this.parent) continue;
-                
                 // Convert object bounds to grid cells
                 const left = Math.floor(obstacle.x / this.cell_size);
                 const top = Math.floor(obstacle.y / this.cell_size);
@@ -91,11 +84,9 @@ function create_pathfinding_module() {
                 const bottom = Math.floor((obstacle.y + obstacle.height) / this.cell_size);
                 
                 // Mark cells as blocked
-                for (let x = left; x <= right; x++) {
-                    for (let y = top; y <= bottom; y++) {
-                        if (x >= 0 && x < this.grid_width && y >= 0 && y < this.grid_height) {
-                            this.grid[x][y] = 1; // 1 = blocked
-                        }
+                for (let x = Math.max(left, cellLeft); x <= Math.min(right, cellRight); x++) {
+                    for (let y = Math.max(top, cellTop); y <= Math.min(bottom, cellBottom); y++) {
+                        this.grid[x][y] = 1; // 1 = blocked
                     }
                 }
             }
@@ -175,73 +175,61 @@ function create_physics_module() {
         // Additional physics methods can be added here
         // ...
         
+        // Keep speed/direction movement heading along a changed vx, vy
+        match_velocity: function() {
+            if (this.speed !== 0) {
+                this.speed = this.calculate_speed();
+                this.direction = engine.point_direction(0, 0, this.vx, this.vy);
+            }
+            return this;
+        },
+        
         // Advanced collision methods from your BasicMovement class
+        // Both use the instances' collision masks, so circles, rotated
+        // boxes and polygons push apart along the surface they touch.
         move_contact: function(other, step = 0.1) {
-            // Simplified implementation
-            const dt = Math.min(engine.dt || 0.016, 0.1);
             const obj1 = this.parent;
-            const obj2 = other;
-            
-            const dx = obj1.x - obj2.x;
-            const dy = obj1.y - obj2.y;
-            
-            // Calculate collision angle
-            const collisionAngle = Math.atan2(dy, dx);
-            
-            // Calculate magnitudes
-            const speed1 = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
-            const speed2 = Math.sqrt(other.module_get("physics").vx * other.module_get("physics").vx + 
-                         other.module_get("physics").vy * other.module_get("physics").vy);
+            const hit = engine.collision_separation(obj1, other);
+            if (!hit) return this;
             
             // Apply collision response
             if (!this.static) {
-                const dir = engine.point_direction(obj2.x, obj2.y, obj1.x, obj1.y);
-                const dist = engine.point_distance(obj1.x, obj1.y, obj2.x, obj2.y);
+                // Move out of the other mask, plus a small gap
+                obj1.x += hit.x * (hit.depth + step);
+                obj1.y += hit.y * (hit.depth + step);
                 
-                // Simple elastic collision
-                this.vx = -this.vx * 0.8;
-                this.vy = -this.vy * 0.8;
-                
-                // Move away from collision point slightly
-                obj1.x += (Math.sign(dx) * step) * dt;
-                obj1.y += (Math.sign(dy) * step) * dt;
+                // Simple elastic collision against the contact normal
+                const into = this.vx * hit.x + this.vy * hit.y;
+                if (into < 0) {
+                    this.vx -= 1.8 * into * hit.x;
+                    this.vy -= 1.8 * into * hit.y;
+                    this.match_velocity();
+                }
             }
             
             return this;
         },
         
         bounce_object: function(otherObject) {
-            const dt = Math.min(engine.dt || 0.016, 0.1);
+            const hit = engine.collision_separation(this.parent, otherObject);
+            if (!hit) return this;
             
             // Get the other object's physics module
             const otherPhysics = otherObject.module_get("physics");
             
             // Calculate relative velocity
-            const relVelX = this.vx - otherPhysics.vx;
-            const relVelY = this.vy - otherPhysics.vy;
-            
-            // Calculate collision normal
-            const normalX = otherObject.x - this.parent.x;
-            const normalY = otherObject.y - this.parent.y;
-            
-            const normalLength = Math.sqrt(normalX * normalX + normalY * normalY);
-            
-            if (normalLength === 0) return this; // Avoid division by zero
-            
-            const normX = normalX / normalLength;
-            const normY = normalY / normalLength;
-            
-            // Calculate dot product
-            const dotProduct = relVelX * normX + relVelY * normY;
+            const relVelX = this.vx - (otherPhysics ? otherPhysics.vx : 0);
+            const relVelY = this.vy - (otherPhysics ? otherPhysics.vy : 0);
             
-            // Apply reflection
-            this.vx -= 2 * dotProduct * normX * dt;
-            this.vy -= 2 * dotProduct * normY * dt;
+            // Calculate dot product against the collision normal
+            const dotProduct = relVelX * hit.x + relVelY * hit.y;
+            if (dotProduct >= 0) return this; // Already moving apart
             
-            // Apply restitution
+            // Apply reflection with restitution
             const restitution = 0.8;
-            this.vx *= restitution;
-            this.vy *= restitution;
+            this.vx -= (1 + restitution) * dotProduct * hit.x;
+            this.vy -= (1 + restitution) * dotProduct * hit.y;
+            this.match_velocity();
             
             return this;
         }
@@ -50,6 +50,8 @@ function create_platformer_module() {
         jump_input: false,         // Current jump input
         jump_released: true,       // Whether jump button was released
         facing_right: true,        // Whether player is facing right
+        move_axis: null,           // Input axis read each step, e.g. "move_x" (null = use set_move_input)
+        jump_action: null,         // Input action read each step, e.g. "jump" (null = use set_jump_input)
         
         _init: function() {
             this.jumps_left = this.max_jumps;
@@ -60,6 +62,14 @@ function create_platformer_module() {
             const phys = this.parent.module_get("physics");
             if (!phys) return;
             
+            // Read bound input actions, if any
+            if (this.move_axis) {
+                this.set_move_input(engine.input_axis(this.move_axis));
+            }
+            if (this.jump_action) {
+                this.set_jump_input(engine.input_check(this.jump_action));
+            }
+            
             // Store previous ground state
             this.was_on_ground = this.on_ground;
             
@@ -63,7 +63,12 @@ function create_weather_module() {
         // Sound management
         sounds: {},                 // Weather sound effects
         current_sound: null,        // Currently playing ambient sound
+        current_handle: null,       // Voice of the ambient sound
         sound_volume: 1.0,          // Sound volume
+        ambient_spatial: false,     // Play the ambient sound from this instance instead of everywhere
+        sound_falloff_ref: 200,     // Distance at which positional weather sounds start to fade
+        sound_falloff_max: 1000,    // Distance at which positional weather sounds are silent
+        thunder_distance: 800,      // How far left or right of the listener thunder can strike
         
         _init: function() {
             // Initialize particle arrays
@@ -99,9 +104,10 @@ function create_weather_module() {
         
         // Update the ambient sound based on current weather
         update_ambient_sound: function() {
-            // Stop current sound if playing
-            if (this.current_sound && this.sounds[this.current_sound]) {
-                this.sounds[this.current_sound].pause();
+            // Fade out the current sound over the transition
+            if (this.current_handle) {
+                this.current_handle.stop(this.transition_time);
+                this.current_handle = null;
                 this.current_sound = null;
             }
             
@@ -124,22 +130,36 @@ function create_weather_module() {
             }
             
             if (sound_id && this.sounds[sound_id]) {
-                this.sounds[sound_id].loop = true;
-                this.sounds[sound_id].volume = this.sound_volume * this.intensity;
-                this.sounds[sound_id].play();
+                const sound = this.sounds[sound_id];
+                this.current_handle = this.ambient_spatial ?
+                    engine.audio_play_sound_on(sound, this.parent, this.sound_falloff_ref, this.sound_falloff_max, 0, true) :
+                    engine.audio_play_sound(sound, 0, true);
+                
+                if (this.current_handle) {
+                    this.current_handle.set_gain(this.sound_volume * this.intensity);
+                }
                 this.current_sound = sound_id;
             }
             
             return this;
         },
         
-        // Load a sound for weather effects
+        // Load a sound for weather effects from a URL or a sound resource
         load_sound: function(id, url) {
-            const audio = new Audio(url);
-            this.sounds[id] = audio;
+            const sound = typeof url === 'string' ? { src: url, group: "sfx" } : url;
+            engine.audio_load(sound);
+            this.sounds[id] = sound;
             return this;
         },
         
+        // Stop the ambient sound along with the module
+        on_destroy: function() {
+            if (this.current_handle) {
+                this.current_handle.stop();
+                this.current_handle = null;
+            }
+        },
+        
         // Set the time of day
         set_time: function(hour) {
             this.time_of_day = hour % 24;
@@ -213,8 +233,8 @@ function create_weather_module() {
                 this.intensity = this.from_intensity + (this.target_intensity - this.from_intensity) * t;
                 
                 // Update sound volume if playing
-                if (this.current_sound && this.sounds[this.current_sound]) {
-                    this.sounds[this.current_sound].volume = this.sound_volume * this.intensity;
+                if (this.current_handle) {
+                    this.current_handle.set_gain(this.sound_volume * this.intensity);
                 }
             }
             
@@ -260,6 +280,7 @@ function create_weather_module() {
         // Update rain particles
         update_rain: function(dt) {
             const maxRaindrops = 200 * this.intensity;
+            const rng = engine.random_stream('weather');
             
             // Remove drops that are off-screen
             for (let i = this.rain_particles.length - 1; i >= 0; i--) {
@@ -282,7 +303,7 @@ function create_weather_module() {
                     drop.isSplash = true;
                     drop.timer = this.rain_settings.splash_duration;
                     drop.duration = this.rain_settings.splash_duration;
-                    drop.maxRadius = 3 + Math.random() * 2;
+                    drop.maxRadius = 3 + rng.value() * 2;
                     drop.radius = drop.maxRadius;
                 }
             }
@@ -293,12 +314,12 @@ function create_weather_module() {
                 
                 for (let i = 0; i < count; i++) {
                     const drop = {
-                        x: Math.random() * (engine.view_wview + 100) - 50,
+                        x: rng.value() * (engine.view_wview + 100) - 50,
                         y: -20,
                         vx: this.rain_settings.speed * Math.sin(this.rain_settings.angle * Math.PI/180),
                         vy: this.rain_settings.speed * Math.cos(this.rain_settings.angle * Math.PI/180),
                         width: this.rain_settings.width,
-                        height: this.rain_settings.height * (0.8 + Math.random() * 0.4),
+                        height: this.rain_settings.height * (0.8 + rng.value() * 0.4),
                         isSplash: false
                     };
                     
@@ -311,28 +332,38 @@ function create_weather_module() {
         update_lightning: function(dt) {
             // Only if lightning is enabled and we're in a storm
             if (!this.lightning_enabled) return;
+            const rng = engine.random_stream('weather');
             
             // Update current flash
             if (this.lightning_current_flash > 0) {
                 this.lightning_current_flash -= dt;
-            } else if (Math.random() < this.lightning_chance * this.intensity) {
+            } else if (rng.value() < this.lightning_chance * this.intensity) {
                 // Trigger new lightning
                 this.lightning_current_flash = this.lightning_flash_time;
                 
-                // Play thunder sound with delay
+                // Play thunder sound with delay, somewhere to the left or right of the listener.
+                // Both are drawn now, so the timer never takes numbers from the stream mid-game.
+                const offset = (rng.value() * 2 - 1) * this.thunder_distance;
+                const delay = 500 + rng.value() * 2000;
                 setTimeout(() => {
                     if (this.sounds.thunder_sound) {
-                        const thunder = this.sounds.thunder_sound.cloneNode();
-                        thunder.volume = this.sound_volume * (0.5 + this.intensity * 0.5);
-                        thunder.play();
+                        const listener = engine.audio_listener_position();
+                        const x = listener.x + offset;
+                        const thunder = engine.audio_play_sound_at(this.sounds.thunder_sound, x, listener.y,
+                            this.sound_falloff_ref, this.thunder_distance * 2);
+                        
+                        if (thunder) {
+                            thunder.set_gain(this.sound_volume * (0.5 + this.intensity * 0.5));
+                        }
                     }
-                }, 500 + Math.random() * 2000);
+                }, delay);
             }
         },
         
         // Update snow particles
         update_snow: function(dt) {
             const maxSnowflakes = 300 * this.intensity;
+            const rng = engine.random_stream('weather');
             
             // Remove flakes that are off-screen
             for (let i = this.snow_particles.length - 1; i >= 0; i--) {
@@ -357,17 +388,17 @@ function create_weather_module() {
                 
                 for (let i = 0; i < count; i++) {
                     const size = this.snow_settings.size_min + 
-                        Math.random() * (this.snow_settings.size_max - this.snow_settings.size_min);
+                        rng.value() * (this.snow_settings.size_max - this.snow_settings.size_min);
                     
                     const flake = {
-                        x: Math.random() * (engine.view_wview + 40) - 20,
+                        x: rng.value() * (engine.view_wview + 40) - 20,
                         y: -20,
                         size: size,
-                        vy: this.snow_settings.speed * (0.7 + Math.random() * 0.6),
-                        wobble: this.snow_settings.wobble * (0.8 + Math.random() * 0.4),
-                        wobbleTimer: Math.random() * Math.PI * 2,
-                        wobbleSpeed: 0.5 + Math.random() * 2.0,
-                        opacity: 0.6 + Math.random() * 0.4
+                        vy: this.snow_settings.speed * (0.7 + rng.value() * 0.6),
+                        wobble: this.snow_settings.wobble * (0.8 + rng.value() * 0.4),
+                        wobbleTimer: rng.value() * Math.PI * 2,
+                        wobbleSpeed: 0.5 + rng.value() * 2.0,
+                        opacity: 0.6 + rng.value() * 0.4
                     };
                     
                     this.snow_particles.push(flake);
@@ -378,6 +409,7 @@ function create_weather_module() {
         // Update fog effect
         update_fog: function(dt) {
             const maxClouds = 15 * this.intensity;
+            const rng = engine.random_stream('weather');
             
             // Update existing fog clouds
             for (let i = this.fog_clouds.length - 1; i >= 0; i--) {
@@ -395,17 +427,17 @@ function create_weather_module() {
             
             // Add new fog clouds
             if (this.fog_clouds.length < maxClouds) {
-                const width = 100 + Math.random() * 200;
-                const height = 50 + Math.random() * 100;
+                const width = 100 + rng.value() * 200;
+                const height = 50 + rng.value() * 100;
                 const y = engine.view_hview * (1 - this.fog_settings.height) + 
-                    Math.random() * (engine.view_hview * this.fog_settings.height) - height/2;
+                    rng.value() * (engine.view_hview * this.fog_settings.height) - height/2;
                 
                 // Determine side to enter from
-                const enterFromRight = Math.random() > 0.5;
+                const enterFromRight = rng.value() > 0.5;
                 const x = enterFromRight ? engine.view_wview : -width;
                 const vx = enterFromRight ? 
-                    -this.fog_settings.movement * (0.5 + Math.random() * 0.5) : 
-                    this.fog_settings.movement * (0.5 + Math.random() * 0.5);
+                    -this.fog_settings.movement * (0.5 + rng.value() * 0.5) : 
+                    this.fog_settings.movement * (0.5 + rng.value() * 0.5);
                 
                 const cloud = {
                     x: x,
@@ -413,7 +445,7 @@ function create_weather_module() {
                     width: width,
                     height: height,
                     vx: vx,
-                    opacity: 0.1 + Math.random() * 0.2 * this.intensity
+                    opacity: 0.1 + rng.value() * 0.2 * this.intensity
                 };
                 
                 this.fog_clouds.push(cloud);
@@ -89,6 +89,8 @@ document.addEventListener('DOMContentLoaded', () => {
     let folders = [];
     let selectedObject = null;
     let selectedEvent = null;
+    let inputBindings = createDefaultInputBindings();
+    let touchControls = createDefaultTouchControls();
     
     // Initialize CodeMirror editor with autocomplete
     const editor = CodeMirror.fromTextArea(document.getElementById('code-editor'), {
@@ -414,6 +416,9 @@ document.addEventListener('DOMContentLoaded', () => {
     const noObjectSelected = document.getElementById('noObjectSelected');
     const objectEditArea = document.getElementById('objectEditArea');
     const eventsList = document.getElementById('eventsList');
+    const objectParent = document.getElementById('objectParent');
+    const collisionEventsList = document.getElementById('collisionEventsList');
+    const addCollisionEvent = document.getElementById('addCollisionEvent');
     const currentEventName = document.getElementById('currentEventName');
     
     // Add a new object with duplicate name checking
@@ -439,7 +444,11 @@ document.addEventListener('DOMContentLoaded', () => {
                     loop_end: '// End of loop logic',
                     draw: '// Draw object\n\n',
                     draw_gui: '// Draw GUI logic\n\n',
+                    on_create: '// Instance created\n\n',
+                    on_destroy: '// Instance destroyed\n\n',
                 },
+                parentId: null,
+                persistent: false,
                 folderId: null
             };
             
@@ -459,7 +468,6 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Fix for Canvas prevention issue
     window.addEventListener('keydown', (e) => {
-        keyStates[e.keyCode] = true;
         if (e.keyCode === 32 || e.keyCode === 37 || e.keyCode === 38 || e.keyCode === 39 || e.keyCode === 40) {
             const canvasTab = document.getElementById('canvas');
             if (canvasTab && canvasTab.classList.contains('active')) {
@@ -502,7 +510,24 @@ document.addEventListener('DOMContentLoaded', () => {
                     return;
                 }
                 
+                // Keep collision events pointing at the renamed object
+                if (obj.type === 'object' && obj.name !== name) {
+                    gameObjects.forEach(other => {
+                        const oldEvent = `collision_${obj.name}`;
+                        if (other.events[oldEvent] !== undefined) {
+                            other.events[`collision_${name}`] = other.events[oldEvent];
+                            delete other.events[oldEvent];
+                        }
+                    });
+                    if (selectedEvent === `collision_${obj.name}`) {
+                        selectedEvent = `collision_${name}`;
+                    }
+                }
+                
                 obj.name = name;
+                if (obj.type === 'object') {
+                    renderCollisionEvents(obj);
+                }
                 renderObjectsList();
                 objectName.textContent = obj.type === 'object' ? obj.name : 'Folder: ' + obj.name;
             });
@@ -517,6 +542,16 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
     
+    // Drop the collision events other objects have with deleted objects, as
+    // the game code would otherwise refer to objects that no longer exist
+    function removeCollisionEvents(removed) {
+        removed.forEach(gone => {
+            gameObjects.forEach(obj => {
+                delete obj.events[`collision_${gone.name}`];
+            });
+        });
+    }
+
     // Delete object or folder
     deleteObjectBtn.addEventListener('click', () => {
         if (!selectedObject) return;
@@ -537,6 +572,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     
                     // Remove all objects in this folder
                     gameObjects = gameObjects.filter(obj => obj.folderId !== selectedObject);
+                    removeCollisionEvents(objectsToRemove);
                     folders = folders.filter(f => f.id !== selectedObject);
                     selectedObject = null;
                     updateObjectDetailView();
@@ -552,6 +588,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
                 
                 gameObjects = gameObjects.filter(obj => obj.id !== selectedObject);
+                if (objToRemove) removeCollisionEvents([objToRemove]);
+                gameObjects.forEach(obj => {
+                    if (obj.parentId === selectedObject) obj.parentId = null;
+                });
                 selectedObject = null;
                 updateObjectDetailView();
                 renderObjectsList();
@@ -565,15 +605,138 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!eventItem) return;
         
         const eventName = eventItem.getAttribute('data-event');
+        
+        // Remove a collision event
+        if (e.target.closest('.remove-event')) {
+            const obj = gameObjects.find(o => o.id === selectedObject);
+            if (obj && confirm(`Delete the ${eventName} event?`)) {
+                delete obj.events[eventName];
+                renderCollisionEvents(obj);
+                if (selectedEvent === eventName) {
+                    selectEvent('awake');
+                }
+            }
+            return;
+        }
+        
         selectEvent(eventName);
     });
     
+    // Add a collision event with the chosen object
+    addCollisionEvent.addEventListener('change', () => {
+        const otherName = addCollisionEvent.value;
+        addCollisionEvent.value = '';
+        
+        const obj = gameObjects.find(o => o.id === selectedObject);
+        if (!obj || !otherName) return;
+        
+        const eventName = `collision_${otherName}`;
+        if (obj.events[eventName] === undefined) {
+            obj.events[eventName] = `// Collision with ${otherName}\n// other is the ${otherName} instance that was hit\n`;
+        }
+        
+        renderCollisionEvents(obj);
+        selectEvent(eventName);
+    });
+    
+    // List the object's collision events and fill the add menu with every object
+    function renderCollisionEvents(obj) {
+        collisionEventsList.innerHTML = '';
+        
+        const events = Object.keys(obj.events).filter(event => event.startsWith('collision_'));
+        objectAncestors(obj).forEach(parent => {
+            Object.keys(parent.events).forEach(event => {
+                if (event.startsWith('collision_') && !events.includes(event)) events.push(event);
+            });
+        });
+        
+        events.forEach(event => {
+            const item = document.createElement('div');
+            item.className = 'event-item';
+            item.setAttribute('data-event', event);
+            item.textContent = `${event}()`;
+            
+            // Inherited collision events can be overridden but not deleted here
+            if (obj.events[event] !== undefined) {
+                const remove = document.createElement('span');
+                remove.className = 'remove-event';
+                remove.title = 'Delete Event';
+                remove.textContent = '×';
+                item.appendChild(remove);
+            }
+            
+            collisionEventsList.appendChild(item);
+        });
+        
+        markInheritedEvents(obj);
+        
+        addCollisionEvent.innerHTML = '<option value="">Add collision event with…</option>';
+        gameObjects.forEach(other => {
+            const option = document.createElement('option');
+            option.value = other.name;
+            option.textContent = other.name;
+            addCollisionEvent.appendChild(option);
+        });
+    }
+    
+    // Parents of obj, nearest first. Stops at a missing parent or a loop.
+    function objectAncestors(obj) {
+        const ancestors = [];
+        let parent = gameObjects.find(o => o.id === obj.parentId);
+        while (parent && parent !== obj && !ancestors.includes(parent)) {
+            ancestors.push(parent);
+            parent = gameObjects.find(o => o.id === parent.parentId);
+        }
+        return ancestors;
+    }
+    
+    // An event counts as implemented once it has more than comments in it
+    function hasEventCode(code) {
+        return !!code && code.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '').trim() !== '';
+    }
+    
+    // Show which events run a parent's code because this object leaves them empty
+    function markInheritedEvents(obj) {
+        const ancestors = objectAncestors(obj);
+        eventsList.querySelectorAll('.event-item').forEach(item => {
+            const event = item.getAttribute('data-event');
+            const from = hasEventCode(obj.events[event]) ? null : ancestors.find(a => hasEventCode(a.events[event]));
+            item.classList.toggle('inherited', !!from);
+            item.title = from ? `Inherited from ${from.name}` : '';
+        });
+    }
+    
+    // Fill the parent menu, leaving out the object itself and its children
+    function renderParentSelect(obj) {
+        objectParent.innerHTML = '<option value="">(none)</option>';
+        gameObjects.forEach(other => {
+            if (other === obj || objectAncestors(other).includes(obj)) return;
+            const option = document.createElement('option');
+            option.value = other.id;
+            option.textContent = other.name;
+            objectParent.appendChild(option);
+        });
+        objectParent.value = obj.parentId || '';
+    }
+    
+    objectParent.addEventListener('change', () => {
+        const obj = gameObjects.find(o => o.id === selectedObject);
+        if (!obj) return;
+        
+        obj.parentId = objectParent.value || null;
+        renderCollisionEvents(obj);
+        if (selectedEvent) {
+            selectEvent(selectedEvent);
+        }
+    });
+    
     // Update editor content when changes are made
     editor.on('change', () => {
         if (selectedObject && selectedEvent) {
             const obj = gameObjects.find(o => o.id === selectedObject);
             if (obj) {
                 obj.events[selectedEvent] = editor.getValue();
+                markInheritedEvents(obj);
             }
         }
     });
@@ -763,6 +926,10 @@ document.addEventListener('DOMContentLoaded', () => {
                         <input type="checkbox" id="isPriorityCheck" /> Load with priority
                         <span class="tooltip">Priority objects are loaded first to ensure their functions are available to other objects</span>
                     </label>
+                    <label class="priority-label">
+                        <input type="checkbox" id="isPersistentCheck" /> Persistent
+                        <span class="tooltip">Instances of persistent objects are kept when the level changes</span>
+                    </label>
                 `;
                 objectActions.appendChild(priorityCheckContainer);
                 
@@ -775,6 +942,13 @@ document.addEventListener('DOMContentLoaded', () => {
                         }
                     }
                 });
+
+                document.getElementById('isPersistentCheck').addEventListener('change', function(e) {
+                    const selectedObj = gameObjects.find(o => o.id === selectedObject);
+                    if (selectedObj) {
+                        selectedObj.persistent = e.target.checked;
+                    }
+                });
             }
 
             // Update priority checkbox state
@@ -782,6 +956,14 @@ document.addEventListener('DOMContentLoaded', () => {
             if (isPriorityCheck) {
                 isPriorityCheck.checked = obj.isPriority === true;
             }
+            const isPersistentCheck = document.getElementById('isPersistentCheck');
+            if (isPersistentCheck) {
+                isPersistentCheck.checked = obj.persistent === true;
+            }
+            
+            // Show this object's parent and collision events
+            renderParentSelect(obj);
+            renderCollisionEvents(obj);
             
             // Clear selected state from events
             document.querySelectorAll('.event-item').forEach(item => {
@@ -1013,21 +1195,14 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
     
-    // Keyboard support: keyboard_check implementation for the game engine
-    const keyStates = {};
-    
+    // Keep arrow keys and space from scrolling the page while the game is shown
     window.addEventListener('keydown', (e) => {
-        keyStates[e.keyCode] = true;
         if (e.keyCode === 32 || e.keyCode === 37 || e.keyCode === 38 || e.keyCode === 39 || e.keyCode === 40) {
             if (document.getElementById('canvas').classList.contains('active')) {
                 e.preventDefault();
             }
         }
     });
-    
-    window.addEventListener('keyup', (e) => {
-        keyStates[e.keyCode] = false;
-    });
 
     // Play and stop functionality
     const playBtn = document.getElementById('playBtn');
@@ -1047,7 +1222,8 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     const originalStartGame = startGame;
-    function startGame() {
+    // The seed is only passed to replay a recording; otherwise every run is random
+    function startGame(seed) {
         let gameCode = '';
         
         // Include scripts if available
@@ -1085,9 +1261,9 @@ document.addEventListener('DOMContentLoaded', () => {
         applyScreenFitToCanvas();
 
          // This ensures they're available even if window-global-functions.js has issues
-        window.object_add = function() { return window.engine.object_add(); };
+        window.object_add = function(name) { return window.engine.object_add(name); };
         window.instance_create = function(x, y, object) { return window.engine.instance_create(x, y, object); };
-        window.keyboard_check = function(keyCode) { return keyStates[keyCode] === true; };
+        window.keyboard_check = function(keyCode) { return window.engine.keyboard_check(keyCode); };
         window.keyboard_check_pressed = function(keyCode) { return window.engine.keyboard_check_pressed(keyCode); };
         window.draw_set_color = function(color) { return window.engine.draw_set_color(color); };
         window.draw_rectangle = function(x1, y1, x2, y2, outline) { return window.engine.draw_rectangle(x1, y1, x2, y2, outline); };
@@ -1119,20 +1295,15 @@ document.addEventListener('DOMContentLoaded', () => {
         const resourcesCode = generateResourcesCode();
         gameCode += resourcesCode;
         
+        // Bind input actions before any object code runs
+        gameCode += generateInputCode();
+        gameCode += generateTouchControlsCode();
+        
         // Generate object definitions
         gameObjects.forEach(obj => {
-            gameCode += `// Create ${obj.name} object\n`;
-            gameCode += `const ${obj.name} = object_add();\n\n`;
-            
-            // Add event handlers
-            Object.keys(obj.events).forEach(event => {
-                if (obj.events[event] && obj.events[event].trim()) {
-                    gameCode += `${obj.name}.${event} = function() {\n`;
-                    gameCode += `  ${obj.events[event].replace(/\n/g, '\n  ')}\n`;
-                    gameCode += `};\n\n`;
-                }
-            });
+            gameCode += generateObjectCode(obj);
         });
+        gameCode += generateParentCode();
         
         // Generate level code
         if (window.LevelEditor) {
@@ -1167,7 +1338,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         // Start the game
-        game.gameRestartEval();
+        game.gameRestartEval(seed);
 
         // Ensure global functions are registered
         if (typeof window_global_functions === 'function') {
@@ -1180,25 +1351,62 @@ document.addEventListener('DOMContentLoaded', () => {
         isGameRunning = true;
     };
     
+    // Arguments passed to events that receive them
+    const eventParameters = {
+        mouse_pressed: 'button'
+    };
+
+    // Generate the definition of one object and its event handlers
+    function generateObjectCode(obj) {
+        let code = `// Create ${obj.name} object\n`;
+        code += `const ${obj.name} = object_add(${JSON.stringify(obj.name)});\n`;
+        if (obj.persistent) {
+            code += `${obj.name}.persistent = true;\n`;
+        }
+        code += `\n`;
+        
+        // Add event handlers; collision events receive the instance they hit as other.
+        // Events holding only comments are left out so a parent's handler is inherited.
+        Object.keys(obj.events).forEach(event => {
+            if (hasEventCode(obj.events[event])) {
+                const params = event.startsWith('collision_') ? 'other' : (eventParameters[event] || '');
+                code += `${obj.name}.${event} = function(${params}) {\n`;
+                code += `  ${obj.events[event].replace(/\n/g, '\n  ')}\n`;
+                code += `};\n\n`;
+            }
+        });
+        
+        return code;
+    }
+    
+    // Link children to their parents once every object has been defined
+    function generateParentCode() {
+        let code = '';
+        gameObjects.forEach(obj => {
+            const parent = gameObjects.find(o => o.id === obj.parentId);
+            if (parent) {
+                code += `object_set_parent(${obj.name}, ${parent.name});\n`;
+            }
+        });
+        return code ? `// Object parents\n${code}\n` : '';
+    }
+    
     // Generate code from all objects
     function generateGameCode() {
         let code = '// Generated game code\n\n';
         
+        // Add input actions and touch controls
+        code += generateInputCode();
+        code += generateTouchControlsCode();
+        
         // Add object definitions
         gameObjects.forEach(obj => {
-            code += `// Create ${obj.name} object\n`;
-            code += `const ${obj.name} = object_add();\n\n`;
-            
-            // Add event handlers
-            Object.keys(obj.events).forEach(event => {
-                if (obj.events[event] && obj.events[event].trim()) {
-                    code += `${obj.name}.${event} = function() {\n`;
-                    code += `  ${obj.events[event].replace(/\n/g, '\n  ')}\n`;
-                    code += `};\n\n`;
-                }
-            });
-            
-            // Add instance creation
+            code += generateObjectCode(obj);
+        });
+        code += generateParentCode();
+        
+        // Add instance creation
+        gameObjects.forEach(obj => {
             code += `// Create ${obj.name} instance\n`;
             code += `const ${obj.name}_inst = instance_create(room_width / 2, room_height / 2, ${obj.name});\n\n`;
         });
@@ -1212,7 +1420,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Add sprite definitions
         resources.sprites.forEach(sprite => {
-            resourcesCode += resourceTypes.sprites.template(sprite.name, sprite.src) + '\n\n';
+            resourcesCode += resourceTypes.sprites.template(sprite.name, sprite.src, sprite) + '\n\n';
         });
         
         // Add sound definitions
@@ -1236,11 +1444,212 @@ document.addEventListener('DOMContentLoaded', () => {
         return resourcesCode + objectsCode;
     }
 
+    // New projects get their own ID for the data their games store
+    function createGameId() {
+        return 'game_' + Date.now().toString(36);
+    }
+
+    // Default input actions for new projects
+    function createDefaultInputBindings() {
+        return {
+            actions: [
+                { name: 'left', bindings: ['vk_left', 'vk_a', 'gp_padl'] },
+                { name: 'right', bindings: ['vk_right', 'vk_d', 'gp_padr'] },
+                { name: 'up', bindings: ['vk_up', 'vk_w', 'gp_padu'] },
+                { name: 'down', bindings: ['vk_down', 'vk_s', 'gp_padd'] },
+                { name: 'jump', bindings: ['vk_space', 'gp_face1'] }
+            ],
+            axes: [
+                { name: 'move_x', negative: 'left', positive: 'right', axis: 'gp_axislh' },
+                { name: 'move_y', negative: 'up', positive: 'down', axis: 'gp_axislv' }
+            ]
+        };
+    }
+
+    // Only plain key codes and key/button constants the engine defines are
+    // emitted as bindings, since an unknown name would stop the game code
+    function isValidBinding(binding) {
+        if (/^\d+$/.test(binding)) return true;
+        return /^(vk|gp)_[a-z0-9]+$/i.test(binding) && typeof game[binding] === 'number';
+    }
+
+    // Generate the input_bind calls for the project's input actions
+    function generateInputCode() {
+        let code = '// Stored player data is kept under the project\'s Game ID\n';
+        code += `game_set_id(${JSON.stringify(gameIdSetting.value.trim() || 'game')});\n\n`;
+        code += '// Input actions\n';
+
+        inputBindings.actions.forEach(action => {
+            if (!action.name) return;
+            const bindings = action.bindings.filter(binding => {
+                if (isValidBinding(binding)) return true;
+                console.warn(`Ignoring invalid binding "${binding}" for input action "${action.name}"`);
+                return false;
+            });
+            code += `input_bind(${JSON.stringify(action.name)}, [${bindings.join(', ')}]);\n`;
+        });
+
+        inputBindings.axes.forEach(axis => {
+            if (!axis.name) return;
+            const gamepadAxis = isValidBinding(axis.axis) ? `, ${axis.axis}` : '';
+            code += `input_bind_axis(${JSON.stringify(axis.name)}, ${JSON.stringify(axis.negative)}, ${JSON.stringify(axis.positive)}${gamepadAxis});\n`;
+        });
+
+        return code + '\n';
+    }
+
+    // Render the input action and axis rows in the Settings tab
+    function renderInputBindings() {
+        const actionsList = document.getElementById('inputActionsList');
+        const axesList = document.getElementById('inputAxesList');
+        if (!actionsList || !axesList) return;
+
+        actionsList.innerHTML = '';
+        inputBindings.actions.forEach((action, index) => {
+            const row = document.createElement('div');
+            row.className = 'setting-item input-binding-row';
+            row.innerHTML = `
+                <input type="text" class="input-name" placeholder="action">
+                <input type="text" class="input-bindings" placeholder="vk_space, gp_face1">
+                <button class="small-btn" title="Remove Action"><i class="fas fa-trash"></i></button>
+            `;
+            row.querySelector('.input-name').value = action.name;
+            row.querySelector('.input-bindings').value = action.bindings.join(', ');
+            row.querySelector('.input-name').addEventListener('change', (e) => {
+                action.name = e.target.value.trim();
+            });
+            row.querySelector('.input-bindings').addEventListener('change', (e) => {
+                action.bindings = e.target.value.split(',').map(b => b.trim()).filter(b => b);
+            });
+            row.querySelector('button').addEventListener('click', () => {
+                inputBindings.actions.splice(index, 1);
+                renderInputBindings();
+            });
+            actionsList.appendChild(row);
+        });
+
+        axesList.innerHTML = '';
+        inputBindings.axes.forEach((axis, index) => {
+            const row = document.createElement('div');
+            row.className = 'setting-item input-binding-row';
+            row.innerHTML = `
+                <input type="text" class="input-name" placeholder="axis">
+                <input type="text" class="input-negative" placeholder="negative action">
+                <input type="text" class="input-positive" placeholder="positive action">
+                <input type="text" class="input-axis" placeholder="gp_axislh">
+                <button class="small-btn" title="Remove Axis"><i class="fas fa-trash"></i></button>
+            `;
+            ['name', 'negative', 'positive', 'axis'].forEach(field => {
+                row.querySelector(`.input-${field}`).value = axis[field] || '';
+                row.querySelector(`.input-${field}`).addEventListener('change', (e) => {
+                    axis[field] = e.target.value.trim();
+                });
+            });
+            row.querySelector('button').addEventListener('click', () => {
+                inputBindings.axes.splice(index, 1);
+                renderInputBindings();
+            });
+            axesList.appendChild(row);
+        });
+    }
+
+    // Default on-screen controls: a movement stick and a jump button
+    function createDefaultTouchControls() {
+        return {
+            show: 'touch',
+            controls: [
+                { type: 'joystick', x: 100, y: -100, radius: 60, keys: ['vk_left', 'vk_right', 'vk_up', 'vk_down'], label: '' },
+                { type: 'button', x: -80, y: -100, radius: 40, keys: ['vk_space'], label: 'A' }
+            ]
+        };
+    }
+
+    // Generate the virtual_control_add calls for the project's touch controls
+    function generateTouchControlsCode() {
+        let code = '// Touch controls\n';
+
+        touchControls.controls.forEach(control => {
+            const keys = control.keys.filter(key => /^vk_[a-z0-9]+$/i.test(key) || /^\d+$/.test(key));
+            const keyCode = control.type === 'joystick' ?
+                (keys.length === 4 ? `, keys: [${keys.join(', ')}]` : '') :
+                (keys.length > 0 ? `, key: ${keys[0]}` : '');
+
+            code += `virtual_control_add({ type: ${JSON.stringify(control.type)}, x: ${Number(control.x) || 0}, ` +
+                `y: ${Number(control.y) || 0}, radius: ${Number(control.radius) || 0}${keyCode}, label: ${JSON.stringify(control.label || '')} });\n`;
+        });
+
+        if (touchControls.show !== 'touch') {
+            code += `virtual_controls_show(${touchControls.show === 'always'});\n`;
+        }
+
+        return code + '\n';
+    }
+
+    // Render the touch control rows in the Settings tab
+    function renderTouchControls() {
+        const list = document.getElementById('touchControlsList');
+        const showSetting = document.getElementById('touchControlsShow');
+        if (!list || !showSetting) return;
+
+        showSetting.value = touchControls.show;
+        list.innerHTML = '';
+
+        touchControls.controls.forEach((control, index) => {
+            const row = document.createElement('div');
+            row.className = 'setting-item input-binding-row';
+            row.innerHTML = `
+                <select class="input-type">
+                    <option value="joystick">Joystick</option>
+                    <option value="button">Button</option>
+                </select>
+                <input type="number" class="input-x" title="X (negative = from right edge)">
+                <input type="number" class="input-y" title="Y (negative = from bottom edge)">
+                <input type="number" class="input-radius" title="Radius" min="8">
+                <input type="text" class="input-keys" placeholder="vk_left, vk_right, vk_up, vk_down">
+                <input type="text" class="input-label" placeholder="label">
+                <button class="small-btn" title="Remove Control"><i class="fas fa-trash"></i></button>
+            `;
+            row.querySelector('.input-type').value = control.type;
+            row.querySelector('.input-x').value = control.x;
+            row.querySelector('.input-y').value = control.y;
+            row.querySelector('.input-radius').value = control.radius;
+            row.querySelector('.input-keys').value = control.keys.join(', ');
+            row.querySelector('.input-label').value = control.label || '';
+
+            row.querySelector('.input-type').addEventListener('change', (e) => {
+                control.type = e.target.value;
+            });
+            ['x', 'y', 'radius'].forEach(field => {
+                row.querySelector(`.input-${field}`).addEventListener('change', (e) => {
+                    control[field] = parseInt(e.target.value) || 0;
+                });
+            });
+            row.querySelector('.input-keys').addEventListener('change', (e) => {
+                control.keys = e.target.value.split(',').map(k => k.trim()).filter(k => k);
+            });
+            row.querySelector('.input-label').addEventListener('change', (e) => {
+                control.label = e.target.value;
+            });
+            row.querySelector('button').addEventListener('click', () => {
+                touchControls.controls.splice(index, 1);
+                renderTouchControls();
+            });
+            list.appendChild(row);
+        });
+    }
+
     function stopGame() {
         // Stop the game
         if (game && game.animationFrame) {
             cancelAnimationFrame(game.animationFrame);
         }
+
+        // Silence anything still playing
+        if (game) {
+            game.audio_stop_all();
+            finishRecording();
+            game.replay_stop();
+        }
         
         // Clear canvas
         const canvas = document.getElementById('gameCanvas');
@@ -1255,12 +1664,77 @@ document.addEventListener('DOMContentLoaded', () => {
         isGameRunning = false;
     }
 
+    // Input recording
+    // Recording and replaying both restart the game, so a replay starts from
+    // the same state the recording did
+    const recordBtn = document.getElementById('recordBtn');
+    const downloadRecordingBtn = document.getElementById('downloadRecordingBtn');
+    const replayBtn = document.getElementById('replayBtn');
+    const loadRecordingFile = document.getElementById('loadRecordingFile');
+    let lastRecording = null;
+
+    function finishRecording() {
+        if (!game.recording) return;
+
+        lastRecording = game.record_stop();
+        recordBtn.classList.remove('recording');
+        recordBtn.title = 'Record input (restarts the game)';
+        downloadRecordingBtn.disabled = false;
+    }
+
+    recordBtn.addEventListener('click', () => {
+        if (game.recording) {
+            finishRecording();
+            return;
+        }
+
+        startGame();
+        game.record_start();
+        recordBtn.classList.add('recording');
+        recordBtn.title = 'Stop recording';
+    });
+
+    downloadRecordingBtn.addEventListener('click', () => {
+        if (lastRecording) {
+            game.record_export(lastRecording, 'recording.json');
+        }
+    });
+
+    replayBtn.addEventListener('click', () => {
+        loadRecordingFile.click();
+    });
+
+    loadRecordingFile.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        loadRecordingFile.value = '';
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            let recording = null;
+            try {
+                recording = JSON.parse(reader.result);
+            } catch (e) {
+                console.error("Recording is not valid JSON:", e);
+            }
+
+            // Restart with the seed the recorded game started with
+            startGame(recording ? recording.seed : undefined);
+            if (!game.replay_start(recording, () => console.log("Replay finished"))) {
+                alert("That file is not a recording.");
+            }
+        };
+        reader.readAsText(file);
+    });
+
     // Settings functionality
     const themeSetting = document.getElementById('themeSetting');
     const fontSizeSetting = document.getElementById('fontSizeSetting');
     const canvasWidthSetting = document.getElementById('canvasWidthSetting');
     const canvasHeightSetting = document.getElementById('canvasHeightSetting');
     const applyCanvasSettings = document.getElementById('applyCanvasSettings');
+    const gameIdSetting = document.getElementById('gameIdSetting');
+    gameIdSetting.value = createGameId();
 
     // Theme change
     themeSetting.addEventListener('change', () => {
@@ -1298,6 +1772,36 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Input action settings
+    document.getElementById('addInputAction').addEventListener('click', () => {
+        inputBindings.actions.push({ name: '', bindings: [] });
+        renderInputBindings();
+    });
+
+    document.getElementById('addInputAxis').addEventListener('click', () => {
+        inputBindings.axes.push({ name: '', negative: '', positive: '', axis: '' });
+        renderInputBindings();
+    });
+
+    renderInputBindings();
+
+    // Touch control settings
+    document.getElementById('touchControlsShow').addEventListener('change', (e) => {
+        touchControls.show = e.target.value;
+    });
+
+    document.getElementById('addTouchJoystick').addEventListener('click', () => {
+        touchControls.controls.push({ type: 'joystick', x: 100, y: -100, radius: 60, keys: ['vk_left', 'vk_right', 'vk_up', 'vk_down'], label: '' });
+        renderTouchControls();
+    });
+
+    document.getElementById('addTouchButton').addEventListener('click', () => {
+        touchControls.controls.push({ type: 'button', x: -80, y: -100, radius: 40, keys: ['vk_space'], label: '' });
+        renderTouchControls();
+    });
+
+    renderTouchControls();
+
     // File operations: New, Save, Load and Export
     const newProject = document.getElementById('newProject');
     const saveProject = document.getElementById('saveProject');
@@ -1350,7 +1854,7 @@ document.addEventListener('DOMContentLoaded', () => {
      * @returns {number} - Random integer
      */
     function util_random_int(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return irandom_range(min, max);
     }
     `);
             }
@@ -1379,6 +1883,13 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             }
     
+            // Reset input actions
+            gameIdSetting.value = createGameId();
+            inputBindings = createDefaultInputBindings();
+            renderInputBindings();
+            touchControls = createDefaultTouchControls();
+            renderTouchControls();
+    
             // 5. Reset the game engine state
             if (game) {
                 // Reset game canvas dimensions to default values
@@ -1434,11 +1945,13 @@ document.addEventListener('DOMContentLoaded', () => {
                 isPriority : false,
                 events: {
                     awake: '// Initialize object\nthis.x = room_width / 2;\nthis.y = room_height / 2;\nthis.width = 32;\nthis.height = 32;\nthis.color = c_blue;\n',
-                    loop: '// Object update logic\nif (keyboard_check(vk_right)) this.x += 2;\nif (keyboard_check(vk_left)) this.x -= 2;\nif (keyboard_check(vk_up)) this.y -= 2;\nif (keyboard_check(vk_down)) this.y += 2;\n',
+                    loop: '// Object update logic\nthis.x += input_axis("move_x") * 2;\nthis.y += input_axis("move_y") * 2;\n',
                     draw: '// Draw object\ndraw_set_color(this.color);\ndraw_rectangle(this.x, this.y, this.x + this.width, this.y + this.height, false);\n',
                     loop_begin: '// Begin of loop logic\n',
                     loop_end: '// End of loop logic\n',
                     draw_gui: '// Draw GUI logic\n',
+                    on_create: '// Instance created\n',
+                    on_destroy: '// Instance destroyed\n',
                 },
                 folderId: null
             };
@@ -1523,6 +2036,25 @@ document.addEventListener('DOMContentLoaded', () => {
                         resourceEntry.src = resource.src;
                     }
                     
+                    // Store the sprite settings, and the precise mask bitset next to it
+                    if (type === 'sprites') {
+                        resourceEntry.frameCount = resource.frameCount;
+                        resourceEntry.frameColumns = resource.frameColumns;
+                        resourceEntry.frameSpeed = resource.frameSpeed;
+                        resourceEntry.originX = resource.originX;
+                        resourceEntry.originY = resource.originY;
+                        resourceEntry.maskType = resource.maskType;
+                        resourceEntry.precise = !!resource.precise;
+                        if (resource.preciseMask) {
+                            const maskFilename = `resources/${type}/${resource.id}-${resource.originalName || resource.name}.mask`;
+                            const bits = resource.preciseMask.bits;
+                            zip.file(maskFilename, new Uint8Array(bits.buffer, bits.byteOffset, bits.byteLength));
+                            resourceEntry.preciseMask = maskFilename;
+                            resourceEntry.maskWidth = resource.preciseMask.width;
+                            resourceEntry.maskHeight = resource.preciseMask.height;
+                        }
+                    }
+                    
                     resourcesForSave[type].push(resourceEntry);
                 }
             }
@@ -1550,7 +2082,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 settings: {
                     canvasWidth: parseInt(canvasWidthSetting.value),
                     canvasHeight: parseInt(canvasHeightSetting.value),
-                    screenFitMode: screenFitSetting.value
+                    screenFitMode: screenFitSetting.value,
+                    gameId: gameIdSetting.value,
+                    inputBindings: inputBindings,
+                    touchControls: touchControls
                 },
                 version: '1.0.0' // Add version for future compatibility checks
             };
@@ -1648,6 +2183,25 @@ document.addEventListener('DOMContentLoaded', () => {
                                         resource.src = URL.createObjectURL(fileData);
                                         resource.file = fileData;
                                         
+                                        // Sprite settings and precise masks saved with the project are used as they are
+                                        if (type === 'sprites') {
+                                            resource.frameCount = resourceData.frameCount;
+                                            resource.frameColumns = resourceData.frameColumns;
+                                            resource.frameSpeed = resourceData.frameSpeed;
+                                            resource.originX = resourceData.originX;
+                                            resource.originY = resourceData.originY;
+                                            resource.maskType = resourceData.maskType;
+                                            resource.precise = !!resourceData.precise;
+                                            const maskZipFile = resourceData.preciseMask && zip.file(resourceData.preciseMask);
+                                            if (maskZipFile) {
+                                                resource.preciseMask = {
+                                                    width: resourceData.maskWidth,
+                                                    height: resourceData.maskHeight,
+                                                    bits: new Uint32Array(await maskZipFile.async("arraybuffer"))
+                                                };
+                                            }
+                                        }
+                                        
                                         // Load additional properties based on resource type
                                         if (type === 'sprites' || type === 'backgrounds') {
                                             const img = new Image();
@@ -1656,6 +2210,12 @@ document.addEventListener('DOMContentLoaded', () => {
                                                 resource.height = img.height;
                                                 resource.image = img;
                                                 resource.loaded = true;
+                                                
+                                                // Projects saved before precise masks existed build one now
+                                                if (type === 'sprites' && !resource.preciseMask) {
+                                                    resource.preciseMask = game.mask_from_image(img);
+                                                }
+                                                if (type === 'sprites') spriteDefaults(resource);
                                             };
                                             img.src = resource.src;
                                         } else if (type === 'sounds') {
@@ -1703,6 +2263,12 @@ document.addEventListener('DOMContentLoaded', () => {
                     if (projectData.settings.screenFitMode) {
                         screenFitSetting.value = projectData.settings.screenFitMode;
                     }
+                    gameIdSetting.value = projectData.settings.gameId || createGameId();
+                    // Projects saved before input actions existed keep the defaults
+                    inputBindings = projectData.settings.inputBindings || createDefaultInputBindings();
+                    renderInputBindings();
+                    touchControls = projectData.settings.touchControls || createDefaultTouchControls();
+                    renderTouchControls();
                     
                     applyCanvasSettings.click();
                 }
@@ -1778,20 +2344,11 @@ document.addEventListener('DOMContentLoaded', () => {
             const resourcesCode = generateResourcesCode();
             
             // Generate object code
-            let objectsCode = '';
+            let objectsCode = generateInputCode() + generateTouchControlsCode();
             gameObjects.forEach(obj => {
-                objectsCode += `// Create ${obj.name} object\n`;
-                objectsCode += `const ${obj.name} = object_add();\n\n`;
-                
-                // Add event handlers
-                Object.keys(obj.events).forEach(event => {
-                    if (obj.events[event] && obj.events[event].trim()) {
-                        objectsCode += `${obj.name}.${event} = function() {\n`;
-                        objectsCode += `  ${obj.events[event].replace(/\n/g, '\n  ')}\n`;
-                        objectsCode += `};\n\n`;
-                    }
-                });
+                objectsCode += generateObjectCode(obj);
             });
+            objectsCode += generateParentCode();
             
             // Generate level code
             let levelCode = '';
@@ -1867,13 +2424,14 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // Serialize the game engine function
             const gameEngineSrc = createGameEngine.toString();
+            const globalFunctionsSrc = window_global_functions.toString();
             
             // Create the HTML file with screen fit options
             const htmlContent = `<!DOCTYPE html>
     <html lang="en">
     <head>
         <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no">
         <title>Isothermal-JS Game</title>
         <style>
             body, html { 
@@ -1900,6 +2458,7 @@ document.addEventListener('DOMContentLoaded', () => {
             canvas { 
                 background-color: #333; 
                 box-shadow: 0 0 10px rgba(0, 0, 0, 0.5);
+                touch-action: none;
                 ${screenFitMode === 'none' ? '' : 'max-width: 100%; max-height: 100%;'}
                 ${screenFitMode === 'stretch' ? 'width: 100%; height: 100%;' : ''}
                 ${screenFitMode === 'integer' ? 'image-rendering: pixelated; image-rendering: crisp-edges;' : ''}
@@ -1915,21 +2474,21 @@ document.addEventListener('DOMContentLoaded', () => {
             // Game engine implementation
             ${gameEngineSrc}
     
-            // Add keyboard support
-            const keyStates = {};
-            window.addEventListener('keydown', (e) => { keyStates[e.keyCode] = true; });
-            window.addEventListener('keyup', (e) => { keyStates[e.keyCode] = false; });
+            // Global function wrappers
+            ${globalFunctionsSrc}
+
             
             // Initialize game
             document.addEventListener('DOMContentLoaded', () => {
                 const game = createGameEngine('gameCanvas', 'textbox');
+                window.engine = game;
+                window_global_functions();
                 
                 // Set up global functions
-                window.keyboard_check = function(keyCode) { return keyStates[keyCode] === true; };
                 window.clamp = function(value, min, max) { return Math.min(Math.max(value, min), max); };
                 
                 // Add game engine globals to the window
-                window.object_add = function() { return game.object_add(); };
+                window.object_add = function(name) { return game.object_add(name); };
                 window.instance_create = function(x, y, obj) { return game.instance_create(x, y, obj); };
                 window.draw_set_color = function(color) { return game.draw_set_color(color); };
                 window.draw_rectangle = function(x1, y1, x2, y2, outline) { return game.draw_rectangle(x1, y1, x2, y2, outline); };
@@ -2075,12 +2634,21 @@ document.addEventListener('DOMContentLoaded', () => {
         sprites: {
             name: 'Sprites',
             extensions: '.png,.jpg,.gif,.webp',
-            template: (name, src) => `const ${name} = {
+            template: (name, src, sprite = {}) => {
+                const preciseMask = spritePreciseMask(sprite);
+                return `const ${name} = resource_add("${name}", {
   src: "${src}",
   width: 0,  // Will be set when loaded
   height: 0, // Will be set when loaded
   image: null,
   loaded: false,
+  frame_count: ${sprite.frameCount || 1},
+  frame_columns: ${sprite.frameColumns || sprite.frameCount || 1},
+  xorigin: ${sprite.originX || 0},
+  yorigin: ${sprite.originY || 0},
+  speed: ${sprite.frameSpeed !== undefined ? sprite.frameSpeed : 15}, // Frames per second
+  mask_type: "${sprite.maskType || 'box'}",
+  precise_mask: ${preciseMask ? `mask_from_base64(${preciseMask.width}, ${preciseMask.height}, "${game.mask_to_base64(preciseMask)}")` : 'null'},
   load: function() {
     this.image = new Image();
     this.image.onload = () => {
@@ -2090,13 +2658,14 @@ document.addEventListener('DOMContentLoaded', () => {
     };
     this.image.src = this.src;
   }
-};
-${name}.load();`
+});
+${name}.load();`;
+            }
         },
         backgrounds: {
             name: 'Backgrounds',
             extensions: '.png,.jpg,.gif,.webp',
-            template: (name, src) => `const ${name} = {
+            template: (name, src) => `const ${name} = resource_add("${name}", {
 src: "${src}",
 width: 0,  // Will be set when loaded
 height: 0, // Will be set when loaded
@@ -2111,40 +2680,37 @@ this.image.onload = () => {
 };
 this.image.src = this.src;
 }
-};
+});
 ${name}.load();`
         },
         sounds: {
             name: 'Sounds',
             extensions: '.mp3,.wav,.ogg',
-            template: (name, src) => `const ${name} = {
+            template: (name, src) => `const ${name} = resource_add("${name}", {
   src: "${src}",
-  audio: null,
+  group: "sfx",
+  buffer: null,
   loaded: false,
+  looping: false,
   load: function() {
-    this.audio = new Audio(this.src);
-    this.audio.oncanplaythrough = () => {
-      this.loaded = true;
-    };
+    audio_load(this);
   },
   play: function() {
-    if (this.audio) {
-      this.audio.currentTime = 0;
-      this.audio.play();
-    }
+    return audio_play_sound(this, 0, this.looping);
+  },
+  stop: function() {
+    audio_stop_sound(this);
   },
   loop: function(shouldLoop) {
-    if (this.audio) {
-      this.audio.loop = shouldLoop;
-    }
+    this.looping = shouldLoop;
   }
-};
+});
 ${name}.load();`
         },
         fonts: {
             name: 'Fonts',
             extensions: '.ttf,.otf,.woff,.woff2',
-            template: (name, src) => `const ${name} = {
+            template: (name, src) => `const ${name} = resource_add("${name}", {
   src: "${src}",
   fontFace: null,
   loaded: false,
@@ -2155,13 +2721,13 @@ ${name}.load();`
       this.loaded = true;
     });
   }
-};
+});
 ${name}.load();`
         },
         data: {
             name: 'Data',
             extensions: '.json,.txt,.csv',
-            template: (name, src) => `const ${name} = {
+            template: (name, src) => `const ${name} = resource_add("${name}", {
   src: "${src}",
   data: null,
   loaded: false,
@@ -2173,11 +2739,39 @@ ${name}.load();`
         this.loaded = true;
       });
   }
-};
+});
 ${name}.load();`
         }
     };
 
+    // The precise mask is only emitted for sprites with it switched on
+    function spritePreciseMask(sprite) {
+        return sprite.precise && sprite.preciseMask ? sprite.preciseMask : null;
+    }
+
+    // Fill in the frame, origin and mask settings a sprite resource is missing,
+    // centring the origin on the first frame
+    function spriteDefaults(resource) {
+        if (!resource.frameCount) resource.frameCount = 1;
+        if (!resource.frameColumns) resource.frameColumns = resource.frameCount;
+        if (resource.frameSpeed === undefined) resource.frameSpeed = 15;
+        if (!resource.maskType) resource.maskType = resource.precise ? 'precise' : 'box';
+        if (resource.originX === undefined && resource.width) {
+            const frame = spriteFrameSize(resource);
+            resource.originX = Math.floor(frame.width / 2);
+            resource.originY = Math.floor(frame.height / 2);
+        }
+    }
+
+    function spriteFrameSize(resource) {
+        const columns = resource.frameColumns || 1;
+        const rows = Math.ceil((resource.frameCount || 1) / columns);
+        return {
+            width: Math.floor((resource.width || 0) / columns),
+            height: Math.floor((resource.height || 0) / rows)
+        };
+    }
+
     // Resources storage
     let resources = {
         sprites: [],
@@ -2370,7 +2964,7 @@ ${name}.load();`
         
         // Add sprite definitions
         resources.sprites.forEach(sprite => {
-            resourcesCode += resourceTypes.sprites.template(sprite.name, sprite.src) + '\n\n';
+            resourcesCode += resourceTypes.sprites.template(sprite.name, sprite.src, sprite) + '\n\n';
         });
 
         // Add background definitions
@@ -2431,6 +3025,8 @@ ${name}.load();`
                         <div class="resource-path">${resource.src}</div>
                     </div>
                     <div class="resource-actions">
+                        ${type === 'sprites' ? `<button class="resource-action-btn sprite-edit-btn" data-id="${resource.id}" title="Frames, origin and mask">⚙️</button>` : ''}
+                        ${type === 'sprites' ? `<button class="resource-action-btn precise-btn${resource.precise ? ' active' : ''}" data-id="${resource.id}" title="Precise collision mask: ${resource.precise ? 'on' : 'off'}">🎯</button>` : ''}
                         <button class="resource-action-btn rename-btn" data-id="${resource.id}" title="Rename">✏️</button>
                         <button class="resource-action-btn delete-btn" data-id="${resource.id}" title="Delete">🗑️</button>
                     </div>
@@ -2470,6 +3066,37 @@ ${name}.load();`
             setTimeout(applyScreenFitToCanvas, 100);
         });
 
+        document.querySelectorAll('.precise-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const resource = resources.sprites.find(r => r.id === btn.getAttribute('data-id'));
+                if (!resource) return;
+
+                if (!resource.preciseMask && resource.image) {
+                    resource.preciseMask = game.mask_from_image(resource.image);
+                }
+                if (!resource.preciseMask) {
+                    alert('A precise mask could not be read from this image.');
+                    return;
+                }
+                resource.precise = !resource.precise;
+                if (resource.precise) {
+                    resource.maskType = 'precise';
+                } else if (resource.maskType === 'precise') {
+                    resource.maskType = 'box';
+                }
+                renderResourcesList('sprites');
+            });
+        });
+
+        document.querySelectorAll('.sprite-edit-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const resource = resources.sprites.find(r => r.id === btn.getAttribute('data-id'));
+                if (resource) showSpriteEditor(resource);
+            });
+        });
+
         document.querySelectorAll('.delete-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -2497,6 +3124,144 @@ ${name}.load();`
         }
     }
 
+    // Edit a sprite's frame layout, origin, animation speed and collision mask
+    function showSpriteEditor(resource) {
+        spriteDefaults(resource);
+
+        const overlay = document.createElement('div');
+        overlay.className = 'dialog-overlay';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'dialog sprite-editor';
+        dialog.innerHTML = `
+            <h3>Sprite: ${resource.name}</h3>
+            <div class="sprite-editor-body">
+                <canvas id="spritePreview" width="160" height="160"></canvas>
+                <div class="dialog-form sprite-editor-grid">
+                    <label>Frames <input type="number" id="spriteFrames" min="1" value="${resource.frameCount}"></label>
+                    <label>Columns <input type="number" id="spriteColumns" min="1" value="${resource.frameColumns}"></label>
+                    <label>Speed (fps) <input type="number" id="spriteSpeed" min="0" step="0.5" value="${resource.frameSpeed}"></label>
+                    <label>Origin
+                        <select id="spriteOriginPreset">
+                            <option value="">Custom</option>
+                            <option value="top-left">Top left</option>
+                            <option value="centre">Centre</option>
+                            <option value="bottom-centre">Bottom centre</option>
+                        </select>
+                    </label>
+                    <label>Origin X <input type="number" id="spriteOriginX" value="${resource.originX || 0}"></label>
+                    <label>Origin Y <input type="number" id="spriteOriginY" value="${resource.originY || 0}"></label>
+                    <label>Mask
+                        <select id="spriteMask">
+                            <option value="box">Box</option>
+                            <option value="circle">Circle</option>
+                            <option value="precise">Precise</option>
+                        </select>
+                    </label>
+                </div>
+            </div>
+            <div class="dialog-actions">
+                <button class="btn" id="spriteCancel">Cancel</button>
+                <button class="btn" id="spriteConfirm">OK</button>
+            </div>
+        `;
+
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+
+        const field = (id) => dialog.querySelector('#' + id);
+        field('spriteMask').value = resource.maskType;
+
+        // Settings being edited, only copied to the resource on OK
+        const edit = () => ({
+            width: resource.width,
+            height: resource.height,
+            frameCount: Math.max(1, parseInt(field('spriteFrames').value) || 1),
+            frameColumns: Math.max(1, parseInt(field('spriteColumns').value) || 1),
+            frameSpeed: Math.max(0, parseFloat(field('spriteSpeed').value) || 0),
+            originX: parseInt(field('spriteOriginX').value) || 0,
+            originY: parseInt(field('spriteOriginY').value) || 0
+        });
+
+        field('spriteOriginPreset').addEventListener('change', (e) => {
+            const frame = spriteFrameSize(edit());
+            const presets = {
+                'top-left': [0, 0],
+                'centre': [Math.floor(frame.width / 2), Math.floor(frame.height / 2)],
+                'bottom-centre': [Math.floor(frame.width / 2), frame.height]
+            };
+            const origin = presets[e.target.value];
+            if (!origin) return;
+            field('spriteOriginX').value = origin[0];
+            field('spriteOriginY').value = origin[1];
+        });
+        ['spriteOriginX', 'spriteOriginY'].forEach(id => {
+            field(id).addEventListener('input', () => { field('spriteOriginPreset').value = ''; });
+        });
+
+        // Play the animation in the preview, with the origin marked
+        const preview = field('spritePreview');
+        const previewCtx = preview.getContext('2d');
+        const started = performance.now();
+        let previewFrame = null;
+        const drawPreview = (now) => {
+            const settings = edit();
+            const frame = spriteFrameSize(settings);
+            previewCtx.clearRect(0, 0, preview.width, preview.height);
+
+            if (resource.image && frame.width > 0 && frame.height > 0) {
+                const index = Math.floor((now - started) / 1000 * settings.frameSpeed) % settings.frameCount;
+                const scale = Math.min(preview.width / frame.width, preview.height / frame.height, 4);
+                const left = (preview.width - frame.width * scale) / 2;
+                const top = (preview.height - frame.height * scale) / 2;
+                previewCtx.imageSmoothingEnabled = false;
+                previewCtx.drawImage(resource.image,
+                    (index % settings.frameColumns) * frame.width, Math.floor(index / settings.frameColumns) * frame.height,
+                    frame.width, frame.height, left, top, frame.width * scale, frame.height * scale);
+
+                const ox = left + settings.originX * scale;
+                const oy = top + settings.originY * scale;
+                previewCtx.strokeStyle = '#ff4d4d';
+                previewCtx.beginPath();
+                previewCtx.moveTo(ox - 6, oy);
+                previewCtx.lineTo(ox + 6, oy);
+                previewCtx.moveTo(ox, oy - 6);
+                previewCtx.lineTo(ox, oy + 6);
+                previewCtx.stroke();
+            }
+            previewFrame = requestAnimationFrame(drawPreview);
+        };
+        previewFrame = requestAnimationFrame(drawPreview);
+
+        const close = () => {
+            cancelAnimationFrame(previewFrame);
+            document.body.removeChild(overlay);
+        };
+
+        field('spriteCancel').addEventListener('click', close);
+        field('spriteConfirm').addEventListener('click', () => {
+            const settings = edit();
+            const maskType = field('spriteMask').value;
+            if (maskType === 'precise' && !resource.preciseMask && resource.image) {
+                resource.preciseMask = game.mask_from_image(resource.image);
+            }
+            if (maskType === 'precise' && !resource.preciseMask) {
+                alert('A precise mask could not be read from this image.');
+                return;
+            }
+
+            resource.frameCount = settings.frameCount;
+            resource.frameColumns = settings.frameColumns;
+            resource.frameSpeed = settings.frameSpeed;
+            resource.originX = settings.originX;
+            resource.originY = settings.originY;
+            resource.maskType = maskType;
+            resource.precise = maskType === 'precise';
+            close();
+            renderResourcesList('sprites');
+        });
+    }
+
     function initializeGameConsole() {
         if (window.GameConsole) {
             const console = window.GameConsole.init();
@@ -2602,6 +3367,13 @@ ${name}.load();`
                         resource.height = img.height;
                         resource.image = img;
                         resource.loaded = true;
+
+                        // Cache the alpha mask now so saving and exporting never rebuild it
+                        if (type === 'sprites') {
+                            resource.precise = false;
+                            resource.preciseMask = game.mask_from_image(img);
+                            spriteDefaults(resource);
+                        }
                         renderResourcesList(type);
                         
                         // Force update level editor resources
@@ -2649,7 +3421,6 @@ this.color = c_blue;
 this.is_dead = false;
 this.score = 0;
 this.invincible = false;
-this.invincible_time = 0;
 
 // Create physics component using our script
 this.physics = physics_create(this);
@@ -2687,28 +3458,6 @@ this.platformer.set_jump_input(jumpPressed);
 // Update platformer controller
 this.platformer.update();
 
-// Handle collisions with enemies
-const enemies = objEnemy.instances;
-for (let i = 0; i < enemies.length; i++) {
-    const enemy = enemies[i];
-    if (this.check_collision(enemy) && !this.invincible) {
-        // Check if we're landing on top of the enemy
-        if (this.yprevious < enemy.y - enemy.height/2 && this.physics.vy > 0) {
-            // Bounce off enemy
-            this.physics.vy = -8;
-            
-            // Kill enemy
-            enemy.instance_destroy();
-            
-            // Add score
-            this.score += 100;
-        } else {
-            // We got hit
-            this.take_damage();
-        }
-    }
-}
-
 // Death condition - falling off the screen
 if (this.y > room_height + 100) {
     this.die();
@@ -2717,12 +3466,25 @@ if (this.y > room_height + 100) {
 // Update facing from platformer component
 this.facing = this.platformer.facing;`,
 
-        loop_begin: `// Decrease invincible timer if active
-if (this.invincible && this.invincible_time > 0) {
-    this.invincible_time -= dt;
-    if (this.invincible_time <= 0) {
-        this.invincible = false;
-    }
+        alarm_0: `// Invincibility has worn off
+this.invincible = false;`,
+
+        collision_objEnemy: `// other is the objEnemy instance we touched
+if (this.invincible) return;
+
+// Check if we're landing on top of the enemy
+if (this.yprevious < other.y - other.height/2 && this.physics.vy > 0) {
+    // Bounce off enemy
+    this.physics.vy = -8;
+    
+    // Kill enemy
+    other.instance_destroy();
+    
+    // Add score
+    this.score += 100;
+} else {
+    // We got hit
+    this.take_damage();
 }`,
 
         loop_end: `// Update animation based on movement
@@ -2732,7 +3494,7 @@ if (platformer) {
 }`,
 
         draw: `// Draw player with flashing effect when invincible
-if (!this.invincible || Math.floor(this.invincible_time * 10) % 2 === 0) {
+if (!this.invincible || Math.floor(this.alarm_get(0) * 10) % 2 === 0) {
     draw_set_color(this.color);
     draw_rectangle(this.x, this.y, this.x + this.width, this.y + this.height, false);
     
@@ -2863,9 +3625,9 @@ if (objPlayer.instances.length > 0) {
                 this.physics.vy = 0;
             }
             
-            // Set invincibility
+            // Set invincibility until alarm_0 fires
             this.invincible = true;
-            this.invincible_time = 2;
+            this.alarm_set(0, 2, true);
         };
     }
     
@@ -2873,7 +3635,7 @@ if (objPlayer.instances.length > 0) {
         player.take_damage = function() {
             if (!this.invincible) {
                 this.invincible = true;
-                this.invincible_time = 1.5;
+                this.alarm_set(0, 1.5, true);
                 
                 // Knock the player back
                 if (this.physics) {
@@ -1,8 +1,20 @@
-// Create a self-contained game engine using a function-based approach
-function createGameEngine(canvasId = 'canvasArea', textboxId = 'textbox') {
+// Create a self-contained game engine using a function-based approach.
+// Options may be passed third or on their own: createGameEngine({ headless: true })
+function createGameEngine(canvasId = 'canvasArea', textboxId = 'textbox', options = {}) {
+    if (canvasId !== null && typeof canvasId === 'object') {
+        options = canvasId;
+        canvasId = options.canvasId || 'canvasArea';
+        textboxId = options.textboxId || 'textbox';
+    }
+
     // Private scope for engine variables
     const engine = {};
 
+    // A headless engine runs without a page, see "Headless mode"
+    engine.headless = !!options.headless;
+    const host = typeof window !== 'undefined' ? window : globalThis; // Where vk_* and other constants go
+    const storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : memoryStorage());
+
     // Basic constants
     engine.pi = Math.PI;
     engine.noone = -4;
@@ -28,12 +40,32 @@ function createGameEngine(canvasId = 'canvasArea', textboxId = 'textbox') {
     engine.view_wview = 1024;
     engine.view_hview = 768;
     engine.time_scale = 1.0;
+    engine.fixed_step = 0; // Logic steps per second, 0 = one step per frame
+    engine.alarm_count = 12; // Alarm slots per instance, alarm_0 to alarm_11
+    engine.step_accumulator = 0;
+    engine.interpolation_alpha = 1;
+    engine.max_steps_per_frame = 5; // Upper bound on catch-up steps after a slow frame
+    engine.max_frame_time = 0.25; // Longest frame time fed into the accumulator, in seconds
+    engine.render_list = []; // Visible instances of every object, sorted by depth
+    engine.spatial_cell_size = 64; // Cell size of the collision spatial hash, in pixels
+    engine.spatialHash = new Map(); // Cell key -> Set of instances whose bbox touches that cell
+    engine.spatialQueryMark = 0; // Stamp used to report each instance once per query
+    engine.show_collision_masks = false; // Outline every collision mask after drawing
+    engine.pools = []; // Objects with an instance pool, for the debug overlay
+    engine.rooms = {}; // Room name -> definition, see room_add
+    engine.room_order = []; // Room names in the order they were added
+    engine.room = null; // Name of the current room
+    engine.room_pending = null; // Room to switch to at the end of the step
+    engine.room_transition = null; // Transition in progress: {effect, phase, time, target}
+    engine.room_transitions = {}; // Transition effects by name
+    engine.room_transition_default = null; // Effect room_goto uses when given none
     engine.instance_count = 0;
     engine.object_count = 0;
     engine.mouse_x = 0;
     engine.mouse_y = 0;
     engine.mx = 0; // Base mouse position (before view offset)
     engine.my = 0;
+    engine.mouse_wheel = 0; // Wheel movement this step, positive = scrolled down
 
     // Utility functions
     engine.rgb = function (r, g, b) {
@@ -112,17 +144,140 @@ function createGameEngine(canvasId = 'canvasArea', textboxId = 'textbox') {
     engine.ceil = Math.ceil;
     engine.round = Math.round;
 
+    // Random numbers
+    // Engine randomness comes from seeded generators (mulberry32), so a game
+    // given the same seed plays out the same way. random() and the rest draw
+    // from the main stream. Named streams, such as the particle module's, are
+    // seeded from the same seed and their name, so drawing from one never
+    // changes what another returns.
+    let randomSeed = 0;
+    let randomStartSeed = 0; // Seed the current game started with, kept in recordings
+    const randomStreams = {}; // Stream name -> stream; the main stream is ''
+
+    // FNV-1a, to turn a stream name or string seed into 32 bits
+    function randomHash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    function randomStream(name) {
+        return {
+            name: name,
+            state: 0,
+
+            set_seed: function (seed) {
+                this.state = (seed ^ randomHash(this.name)) >>> 0;
+                return this;
+            },
+
+            // Next number from 0 up to, but not including, 1
+            value: function () {
+                let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+                t = Math.imul(t ^ (t >>> 15), t | 1);
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            },
+
+            random: function (max) {
+                return this.value() * max;
+            },
+
+            random_range: function (min, max) {
+                return min + this.value() * (max - min);
+            },
+
+            irandom: function (max) {
+                return Math.floor(this.value() * (max + 1));
+            },
+
+            irandom_range: function (min, max) {
+                return min + Math.floor(this.value() * (max - min + 1));
+            }
+        };
+    }
+
+    // Seed every stream. A string seed is hashed, so "level-3" works too.
+    engine.random_set_seed = function (seed) {
+        randomSeed = typeof seed === 'string' ? randomHash(seed) : Math.floor(Number(seed) || 0) >>> 0;
+        for (const name in randomStreams) {
+            randomStreams[name].set_seed(randomSeed);
+        }
+        return randomSeed;
+    };
+
+    engine.random_get_seed = function () {
+        return randomSeed;
+    };
+
+    // Pick an unpredictable seed; gameStart does this unless given one
+    engine.randomize = function () {
+        return engine.random_set_seed(Math.floor(Math.random() * 4294967296));
+    };
+
+    // The named stream, created on first use
+    engine.random_stream = function (name) {
+        if (!randomStreams[name]) {
+            randomStreams[name] = randomStream(name).set_seed(randomSeed);
+        }
+        return randomStreams[name];
+    };
+
+    const randomMain = engine.random_stream('');
+
+    engine.random = function (max) {
+        return randomMain.random(max);
+    };
+
+    engine.random_range = function (min, max) {
+        return randomMain.random_range(min, max);
+    };
+
+    engine.irandom = function (max) {
+        return randomMain.irandom(max);
+    };
+
+    engine.irandom_range = function (min, max) {
+        return randomMain.irandom_range(min, max);
+    };
+
+    // Where every stream is up to, for recordings
+    function randomState() {
+        const state = {};
+        for (const name in randomStreams) {
+            state[name] = randomStreams[name].state;
+        }
+        return state;
+    }
+
+    function randomRestore(state) {
+        for (const name in state) {
+            engine.random_stream(name).state = state[name] >>> 0;
+        }
+    }
+
+    // Shared by every default event handler, so an object that never set an
+    // event can be told apart from one that did (see object_set_parent)
+    function noEvent() { }
+
     // Core game object definition
     engine.gameObject = function (x, y, width, height) {
         const obj = {
             instances: [],
             isParent: true,
             object_id: engine.noone,
+            object_name: '',
+            object_parent: null, // Object whose events this one inherits
             id: 0,
             need_removed: false,
             has_sorted_depth: true,
             need_sorted: false,
             use_built_in_physics: true,
+            persistent: false, // Kept when the room changes, see room_goto
+            room_key: null, // Identifies a persistent instance placed by a room
 
             active: true,
             visible: true,
@@ -137,6 +292,31 @@ function createGameEngine(canvasId = 'canvasArea', textboxId = 'textbox') {
             height: height,
             depth: 0,
             direction: 0,
+            image_angle: 0, // Rotation in degrees, clockwise; turns the collision mask
+            image_xscale: 1,
+            image_yscale: 1,
+
+            // Sprite drawn when the object has no draw event. image_index is
+            // the current frame; image_speed multiplies the sprite's own speed.
+            sprite_index: null,
+            image_index: 0,
+            image_speed: 1,
+            image_alpha: 1,
+            image_blend: engine.c_white,
+            _sprite_applied: null,
+
+            // Attachment to another instance, see instance_attach. The
+            // attach_* values are relative to the parent instance.
+            attach_parent: null,
+            attach_children: [],
+            attach_offset_x: 0,
+            attach_offset_y: 0,
+            attach_angle: 0,
+            attach_xscale: 1,
+            attach_yscale: 1,
+            attach_visible: true,
+            attach_destroy_with_parent: true,
+            mask: null, // Collision mask, null = the x, y, width, height box
 
             // Module system
             modules: [],
@@ -149,6 +329,15 @@ function createGameEngine(canvasId = 'canvasArea', textboxId = 'textbox') {
             center_x: 0,
             center_y: 0,
 
+            // Spatial hash cells this instance is stored in
+            _hashed: false,
+            _cell_left: 0,
+            _cell_top: 0,
+            _cell_right: 0,
+            _cell_bottom: 0,
+            _query_mark: 0,
+            _pooled: false, // Kept by its object's pool once removed
+
             hasWoken: false,
 
             // Module management
@@ -177,6 +366,10 @@ function createGameEngine(canvasId = 'canvasArea', textboxId = 'textbox') {
             module_remove: function (name) {
                 for (let i = 0; i < this.modules.length; i++) {
                     if (this.modules[i].name === name) {
+                        const mod = this.modules[i];
+                        if (typeof mod.on_destroy === 'function') {
+                            mod.on_destroy();
+                        }
                         this.modules.splice(i, 1);
                         return true;
                     }
@@ -185,12 +378,57 @@ function createGameEngine(canvasId = 'canvasArea', textboxId = 'textbox') {
             },
 
             // Event handlers (to be overridden)
-            awake: function () { },
-            loop: function () { },
-            loop_begin: function () { },
-            loop_end: function () { },
-            draw: function () { },
-            draw_gui: function () { },
+            awake: noEvent,
+            loop: noEvent,
+            loop_begin: noEvent,
+            loop_end: noEvent,
+            draw: noEvent,
+            draw_gui: noEvent,
+            on_create: noEvent,
+            on_destroy: noEvent,
+            room_start: noEvent,
+            room_end: noEvent,
+
+            // Optional pointer events, left null so instances without them are skipped
+            mouse_enter: null,
+            mouse_leave: null,
+            mouse_pressed: null,
+            mouse_over: false,
+
+            // Alarms: alarm_0..alarm_11 handlers only exist once an object defines them.
+            // Each timer is -1 when idle; alarm_in_seconds marks timers counted in seconds.
+            alarm: new Array(engine.alarm_count).fill(-1),
+            alarm_in_seconds: new Array(engine.alarm_count).fill(false),
+
+            // Start alarm n, counting down in steps, or in seconds when inSeconds is true.
+            // A value of -1 (or any value <= 0) cancels it.
+            alarm_set: function (n, value, inSeconds = false) {
+                this.alarm[n] = value > 0 ? value : -1;
+                this.alarm_in_seconds[n] = inSeconds;
+            },
+
+            // Steps or seconds left on alarm n, or -1 when it is not running
+            alarm_get: function (n) {
+                return this.alarm[n];
+            },
+
+            // Count every running alarm down and fire the ones that run out
+            alarm_update: function () {
+                // Step alarms follow time_scale: fixed steps already slow down, per-frame steps are scaled
+                const stepAmount = engine.fixed_step > 0 ? 1 : engine.time_scale;
+
+                for (let n = 0; n < this.alarm.length; n++) {
+                    if (this.alarm[n] <= 0) continue;
+
+                    this.alarm[n] -= this.alarm_in_seconds[n] ? engine.dt : stepAmount;
+                    if (this.alarm[n] <= 0) {
+                        this.alarm[n] = -1;
+                        if (typeof this['alarm_' + n] === 'function') {
+                            this['alarm_' + n]();
+                        }
+                    }
+                }
+            },
 
             // Core update function
             updateMain: function () {
@@ -199,8 +437,15 @@ function createGameEngine(canvasId = 'canvasArea', textboxId = 'textbox') {
                     this.hasWoken = true;
                     this.xstart = this.x;
                     this.ystart = this.y;
+
+                    // awake often sets the size, so file it again before the loop
+                    engine.spatial_update(this);
                 }
 
+                // Remember where this step started; draws interpolate from here
+                this.xprevious = this.x;
+                this.yprevious = this.y;
+
                 this.loop_begin();
 
                 // Call onUpdateBegin for all enabled modules
@@ -211,6 +456,9 @@ function createGameEngine(canvasId = 'canvasArea', textboxId = 'textbox') {
                     }
                 }
 
+                // Alarms fire between loop_begin and loop
+                this.alarm_update();
+
                 this.loop();
 
                 // Call onUpdate for all enabled modules
@@ -221,20 +469,18 @@ function createGameEngine(canvasId = 'canvasArea', textboxId = 'textbox') {
                     }
                 }
 
-                // Sort by depth if needed
-                if (this.object_id.instances[0] === this) {
-                    this.object_id.sort_by_depth();
-                }
+                this.animation_update();
 
-                // Update collision box
-                this.bbox_left = this.x;
-                this.bbox_top = this.y;
-                this.bbox_right = this.x + this.width;
-                this.bbox_bottom = this.y + this.height;
+                // Update collision box, which covers the whole mask
+                const bounds = engine.mask_bounds(this);
+                this.bbox_left = bounds.left;
+                this.bbox_top = bounds.top;
+                this.bbox_right = bounds.right;
+                this.bbox_bottom = bounds.bottom;
 
                 // Calculate center point
-                this.center_x = this.bbox_left + (this.width / 2);
-                this.center_y = this.bbox_top + (this.height / 2);
+                this.center_x = this.x + (this.width / 2);
+                this.center_y = this.y + (this.height / 2);
 
                 this.loop_end();
 
@@ -246,14 +492,17 @@ function createGameEngine(canvasId = 'canvasArea', textboxId = 'textbox') {
                     }
                 }
 
-                // Store previous position
-                this.xprevious = this.x;
-                this.yprevious = this.y;
+                engine.spatial_update(this);
             },
 
             // Drawing functions
             mainDraw: function () {
-                this.draw();
+                // Objects without a draw event draw their sprite
+                if (this.draw === noEvent) {
+                    this.draw_self();
+                } else {
+                    this.draw();
+                }
 
                 // Call onDraw for all enabled modules
                 for (let i = 0; i < this.modules.length; i++) {
@@ -268,65 +517,131 @@ function createGameEngine(canvasId = 'canvasArea', textboxId = 'textbox') {
                 this.draw_gui();
             },
 
-            // Instance management with module support
-            instantiate: function (x, y) {
-                // Create a new instance based on this object
-                const temp = engine.gameObject(x, y, this.width, this.height);
-                temp.hasWoken = false;
-                temp.awake = this.awake;
-                temp.loop = this.loop;
-                temp.loop_begin = this.loop_begin;
-                temp.loop_end = this.loop_end;
-                temp.draw = this.draw;
-                temp.draw_gui = this.draw_gui;
-                temp.object_id = this;
-                temp.id = this.id;
-                temp.isParent = false;
-
-                // Clone all modules to the new instance
-                for (let i = 0; i < this.modules.length; i++) {
-                    const clonedMod = this.modules[i].clone();
-                    temp.module_add(clonedMod);
+            // Take the frame size and mask from sprite_index once it has
+            // loaded, then advance image_index by the sprite's speed
+            animation_update: function () {
+                const sprite = this.sprite_index;
+                if (this._sprite_applied !== sprite) spriteApply(this);
+                if (!sprite) return;
+
+                const frames = spriteFrames(sprite);
+                this.image_index += (sprite.speed || 0) * this.image_speed * engine.dt;
+                if (this.image_index >= frames.count || this.image_index < 0) {
+                    this.image_index = ((this.image_index % frames.count) + frames.count) % frames.count;
                 }
+            },
+
+            // Draw sprite_index with the instance's image_* settings
+            draw_self: function () {
+                const sprite = this.sprite_index;
+                if (!sprite) return;
+                if (this._sprite_applied !== sprite) spriteApply(this);
 
-                this.instances.push(temp);
-                this.id += 1;
+                const pivot = instancePivot(this);
+                engine.draw_sprite_frame(sprite, this.image_index, this.x + pivot.x, this.y + pivot.y,
+                    this.image_xscale, this.image_yscale, this.image_angle, this.image_alpha, this.image_blend);
+            },
 
+            // Instance management with module support
+            instantiate: function (x, y) {
+                const temp = instanceBuild(this, x, y);
+                instanceAdd(this, temp);
                 return temp;
             },
 
-            // Rest of the original methods...
+            // Sort this object's instances by depth (highest depth first).
+            // Drawing order is handled globally by engine.render_list_update.
             sort_by_depth: function () {
-                // Unchanged
-                const len = this.instances.length;
-                if (len > 1) {
-                    for (let i = len - 1; i >= 0; i--) {
-                        for (let j = 1; j <= i; j++) {
-                            const d1 = this.instances[j].depth;
-                            const d2 = this.instances[j - 1].depth;
-                            if (d2 < d1) {
-                                const temp = this.instances[j - 1];
-                                this.instances[j - 1] = this.instances[j];
-                                this.instances[j] = temp;
-                            }
-                        }
-                    }
-                }
+                this.instances.sort(engine.depth_compare);
             },
 
             instance_destroy: function () {
+                // Only destroy once, even if called repeatedly in the same step
+                if (this.need_removed) return;
+
                 this.active = false;
                 this.need_removed = true;
+
+                this.on_destroy();
+
+                // Let modules release anything they hold
+                for (let i = 0; i < this.modules.length; i++) {
+                    const mod = this.modules[i];
+                    if (typeof mod.on_destroy === 'function') {
+                        mod.on_destroy();
+                    }
+                }
+
+                // Attached children go too, unless they opted out and stay where they are
+                const children = this.attach_children.slice();
+                for (let i = 0; i < children.length; i++) {
+                    if (children[i].attach_destroy_with_parent) {
+                        children[i].instance_destroy();
+                    } else {
+                        engine.instance_detach(children[i]);
+                    }
+                }
+                if (this.attach_parent) {
+                    engine.instance_detach(this);
+                }
             },
 
             check_collision: function (other) {
                 if (this.active && other.active) {
-                    return (this.x < other.x + other.width &&
-                        this.x + this.width > other.x &&
-                        this.y < other.y + other.height &&
-                        this.y + this.height > other.y);
+                    return instanceOverlaps(this, this.x, this.y, other);
                 }
                 return false;
+            },
+
+            // Collision masks. Coordinates are relative to x, y and the mask
+            // scales with image_xscale/yscale and turns with image_angle
+            // around the instance's pivot, like its sprite.
+            mask_set_circle: function (radius = Math.min(this.width, this.height) / 2, x = this.width / 2, y = this.height / 2) {
+                this.mask = { type: 'circle', x: x, y: y, radius: radius };
+                return this;
+            },
+
+            mask_set_box: function (left = 0, top = 0, right = this.width, bottom = this.height) {
+                this.mask = { type: 'box', left: left, top: top, right: right, bottom: bottom };
+                return this;
+            },
+
+            // Points of a convex polygon, as [x, y] pairs or {x, y} objects
+            mask_set_polygon: function (points) {
+                this.mask = {
+                    type: 'polygon',
+                    points: points.map(p => Array.isArray(p) ? { x: p[0], y: p[1] } : { x: p.x, y: p.y })
+                };
+                return this;
+            },
+
+            // Pixel-precise mask from a sprite with a precise mask. It is
+            // stretched over the width/height box like the sprite.
+            mask_set_precise: function (sprite) {
+                this.mask = { type: 'precise', sprite: sprite };
+                return this;
+            },
+
+            mask_clear: function () {
+                this.mask = null;
+                return this;
+            },
+
+            // First instance of obj (any object when omitted) this instance
+            // would overlap if it were moved to x, y
+            instance_place: function (x, y, obj) {
+                const bounds = engine.mask_bounds(this, x, y);
+                const list = engine.spatial_query(bounds.left, bounds.top, bounds.right, bounds.bottom, obj, this);
+                for (let i = 0; i < list.length; i++) {
+                    if (instanceOverlaps(this, x, y, list[i])) {
+                        return list[i];
+                    }
+                }
+                return null;
+            },
+
+            place_meeting: function (x, y, obj) {
+                return this.instance_place(x, y, obj) !== null;
             }
         };
 
@@ -407,6 +722,7 @@ function createGameEngine(canvasId = 'canvasArea', textboxId = 'textbox') {
             loop: function () { },
             loop_end: function () { },
             draw: function () { },
+            on_destroy: function () { },
 
             // Enable/disable the module
             enable: function () {
@@ -432,911 +748,4586 @@ function createGameEngine(canvasId = 'canvasArea', textboxId = 'textbox') {
     }
 
     // Object creation and management
-    engine.object_add = function () {
+    // The optional name lets collision_<name> events find the object
+    engine.object_add = function (name = '') {
         const temp = engine.gameObject(0, 0, 0, 0);
+        temp.object_name = name;
         engine.gameObjects.push(temp);
         return temp;
     };
 
-    engine.instance_create = function (x, y, object) {
-        const temp = object.instantiate(x, y);
-        temp.isParent = false;
-        return temp;
+    // Find an object by the name it was added with
+    engine.object_get = function (name) {
+        for (let i = 0; i < engine.gameObjects.length; i++) {
+            if (engine.gameObjects[i].object_name === name) {
+                return engine.gameObjects[i];
+            }
+        }
+        return null;
     };
 
-    // Canvas setup
-    engine.createCanvas = function () {
-        let canvas = document.getElementById(engine.canvasId);
-        if (canvas === null) {
-            canvas = document.createElement('canvas');
-            canvas.id = engine.canvasId;
-            document.body.appendChild(canvas);
+    // Object inheritance
+    // A child object runs its parent's handler for every event it does not
+    // define itself, and can call event_inherited() from one it does.
+    const inheritedEvents = ['awake', 'loop', 'loop_begin', 'loop_end', 'draw', 'draw_gui',
+        'on_create', 'on_destroy', 'room_start', 'room_end', 'mouse_enter', 'mouse_leave', 'mouse_pressed'];
+    let eventContext = null; // The handler currently running, for event_inherited and with_instances
+    let withSelf = null; // Instance the innermost with_instances function is running as
+
+    function eventImplemented(handler) {
+        return typeof handler === 'function' && handler !== noEvent;
+    }
+
+    // Every event name defined by the object or one of its parents
+    function objectEventNames(obj) {
+        const names = inheritedEvents.slice();
+        for (let n = 0; n < engine.alarm_count; n++) {
+            names.push('alarm_' + n);
         }
-        canvas.oncontextmenu = function (e) { return false; };
-        return canvas;
-    };
+        for (let o = obj; o; o = o.object_parent) {
+            for (const key in o) {
+                if (key.startsWith('collision_') && typeof o[key] === 'function' && !names.includes(key)) {
+                    names.push(key);
+                }
+            }
+        }
+        return names;
+    }
 
-    // Drawing functions
-    engine.draw_set_color = function (color) {
-        engine.surfaceTarget.fillStyle = color;
-        engine.surfaceTarget.strokeStyle = color;
-    };
+    function objectEventOwner(obj, name) {
+        for (let o = obj; o; o = o.object_parent) {
+            if (eventImplemented(o[name])) return o;
+        }
+        return null;
+    }
 
-    engine.draw_set_alpha = function (alpha) {
-        engine.surfaceTarget.globalAlpha = alpha;
-    };
+    // Remember which instance and object's handler is running, so
+    // event_inherited can continue from that object's parent and
+    // with_instances knows who called it
+    function trackedEvent(owner, name, handler) {
+        return function (...args) {
+            const previous = eventContext;
+            const previousSelf = withSelf;
+            eventContext = { instance: this, object: owner, event: name, args: args };
+            withSelf = null;
+            try {
+                return handler.apply(this, args);
+            } finally {
+                eventContext = previous;
+                withSelf = previousSelf;
+            }
+        };
+    }
 
-    engine.draw_set_font = function (size, name) {
-        engine.font_size = size;
-        engine.font_style = name;
-        engine.surfaceTarget.font = `${size}px ${name}`;
+    // Make child inherit parent's events. Returns false if that would make a loop.
+    engine.object_set_parent = function (child, parent) {
+        for (let o = parent; o; o = o.object_parent) {
+            if (o === child) {
+                console.warn(`Cannot make ${parent.object_name || 'object'} the parent of ${child.object_name || 'object'}: they would inherit from each other`);
+                return false;
+            }
+        }
+        child.object_parent = parent || null;
+        return true;
     };
 
-    engine.draw_set_align = function (align) {
-        engine.surfaceTarget.textAlign = align;
+    // Is obj the same object as ancestor, or one of its children?
+    engine.object_is_ancestor = function (obj, ancestor) {
+        for (let o = obj; o; o = o.object_parent) {
+            if (o === ancestor) return true;
+        }
+        return false;
     };
 
-    engine.draw_text = function (x, y, text) {
-        engine.surfaceTarget.fillText(text, x - engine.view_xview, y - engine.view_yview + engine.font_size);
+    // Run the parent's handler for the event currently running
+    engine.event_inherited = function () {
+        const context = eventContext;
+        if (!context) return undefined;
+
+        const owner = objectEventOwner(context.object.object_parent, context.event);
+        if (!owner) return undefined;
+
+        return trackedEvent(owner, context.event, owner[context.event]).apply(context.instance, context.args);
     };
 
-    // Draw text with alignment options
-    engine.draw_text_ext = function(x, y, text, lineHeight, maxWidth) {
-        const words = text.split(' ');
-        let currentLine = words[0];
-        const xPos = x - engine.view_xview;
-        let yPos = y - engine.view_yview + engine.font_size;
-        
-        for (let i = 1; i < words.length; i++) {
-            const testLine = currentLine + ' ' + words[i];
-            const metrics = engine.surfaceTarget.measureText(testLine);
-            if (metrics.width > maxWidth) {
-                engine.surfaceTarget.fillText(currentLine, xPos, yPos);
-                currentLine = words[i];
-                yPos += lineHeight;
-            } else {
-                currentLine = testLine;
-            }
+    // Create a new instance based on an object, without adding it to the game
+    function instanceBuild(object, x, y) {
+        const temp = engine.gameObject(x, y, object.width, object.height);
+        temp.hasWoken = false;
+
+        // Take each event from the object, or the nearest parent that has it
+        const events = objectEventNames(object);
+        for (let i = 0; i < events.length; i++) {
+            const owner = objectEventOwner(object, events[i]);
+            if (owner) temp[events[i]] = trackedEvent(owner, events[i], owner[events[i]]);
         }
-        engine.surfaceTarget.fillText(currentLine, xPos, yPos);
-    };
+        temp.alarm = object.alarm.slice();
+        temp.alarm_in_seconds = object.alarm_in_seconds.slice();
+        temp.object_id = object;
+        temp.object_name = object.object_name;
+        temp.persistent = object.persistent;
+        temp.image_angle = object.image_angle;
+        temp.image_xscale = object.image_xscale;
+        temp.image_yscale = object.image_yscale;
+        temp.sprite_index = object.sprite_index;
+        temp.image_index = object.image_index;
+        temp.image_speed = object.image_speed;
+        temp.image_alpha = object.image_alpha;
+        temp.image_blend = object.image_blend;
+        temp.mask = object.mask;
+        temp.isParent = false;
 
-    engine.draw_rectangle = function (x1, y1, x2, y2, outline) {
-        engine.surfaceTarget.beginPath();
-        if (outline) {
-            engine.surfaceTarget.strokeRect(
-                x1 - engine.view_xview,
-                y1 - engine.view_yview,
-                x2 - x1,
-                y2 - y1
-            );
-        } else {
-            engine.surfaceTarget.fillRect(
-                x1 - engine.view_xview,
-                y1 - engine.view_yview,
-                x2 - x1,
-                y2 - y1
-            );
+        // Clone all modules to the new instance
+        for (let i = 0; i < object.modules.length; i++) {
+            const clonedMod = object.modules[i].clone();
+            temp.module_add(clonedMod);
         }
-        engine.surfaceTarget.closePath();
+
+        return temp;
+    }
+
+    // Give a built instance its id and start it: it joins the object's
+    // instances and the spatial hash, then its create event runs
+    function instanceAdd(object, ins) {
+        ins.id = object.id;
+        object.id += 1;
+        object.instances.push(ins);
+
+        // Findable by collision queries before its first step
+        engine.spatial_update(ins);
+
+        // Fire the create event straight away so the creator can rely on it,
+        // then file the instance again in case on_create moved or sized it
+        ins.on_create();
+        engine.spatial_update(ins);
+    }
+
+    engine.instance_create = function (x, y, object) {
+        const temp = object.pool ? poolTake(object, x, y) : object.instantiate(x, y);
+        temp.isParent = false;
+        return temp;
     };
 
-    // Set line properties
-    engine.draw_set_line_width = function(width) {
-        engine.surfaceTarget.lineWidth = width;
+    // Object pools
+    // A pooled object keeps its removed instances and hands them back out from
+    // instance_create, reset to a fresh state with awake run again, instead
+    // of building a new instance and cloning its modules every time.
+    engine.instance_pool_create = function (object, size = 0) {
+        if (!object.pool) {
+            object.pool = { free: [], total: 0, reused: 0, allocated: 0 };
+            engine.pools.push(object);
+        }
+
+        const pool = object.pool;
+        while (pool.total < size) {
+            const ins = instanceBuild(object, 0, 0);
+            ins._pooled = true;
+            ins.active = false;
+            pool.free.push(ins);
+            pool.total++;
+        }
+        return object;
     };
 
-    // Draw a line
-    engine.draw_line = function (x1, y1, x2, y2) {
-        engine.surfaceTarget.beginPath();
-        engine.surfaceTarget.moveTo(x1 - engine.view_xview, y1 - engine.view_yview);
-        engine.surfaceTarget.lineTo(x2 - engine.view_xview, y2 - engine.view_yview);
-        engine.surfaceTarget.stroke();
-        engine.surfaceTarget.closePath();
+    // How the pool is doing: size is every instance it owns, in_use the ones
+    // in the game, reused the creates it served and allocated the ones it missed
+    engine.instance_pool_stats = function (object) {
+        const pool = object.pool;
+        if (!pool) return null;
+
+        return {
+            size: pool.total,
+            free: pool.free.length,
+            in_use: pool.total - pool.free.length,
+            reused: pool.reused,
+            allocated: pool.allocated
+        };
     };
 
-    // Draw a circle with the given radius
-    engine.draw_circle = function (x, y, radius, outline) {
-        engine.surfaceTarget.beginPath();
-        engine.surfaceTarget.arc(
-            x - engine.view_xview,
-            y - engine.view_yview,
-            radius,
-            0,
-            Math.PI * 2
-        );
-        if (outline) {
-            engine.surfaceTarget.stroke();
+    function poolTake(object, x, y) {
+        const pool = object.pool;
+        let ins;
+        if (pool.free.length > 0) {
+            ins = pool.free.pop();
+            poolReset(ins, object, x, y);
+            pool.reused++;
         } else {
-            engine.surfaceTarget.fill();
+            ins = instanceBuild(object, x, y);
+            ins._pooled = true;
+            pool.total++;
+            pool.allocated++;
         }
-        engine.surfaceTarget.closePath();
+
+        instanceAdd(object, ins);
+        return ins;
     }
 
-    // Draw an ellipse with the given dimensions
-    engine.draw_ellipse = function(x, y, width, height, outline) {
-        engine.surfaceTarget.beginPath();
-        engine.surfaceTarget.ellipse(
-            x - engine.view_xview,
-            y - engine.view_yview,
-            width / 2,
-            height / 2,
-            0,
-            0,
-            Math.PI * 2
-        );
-        if (outline) {
-            engine.surfaceTarget.stroke();
-        } else {
-            engine.surfaceTarget.fill();
+    // Called by instance_cleanup once a pooled object's instance is removed
+    function poolReturn(ins) {
+        const pool = ins.object_id.pool;
+        if (!ins._pooled) {
+            // Made before the object had a pool
+            ins._pooled = true;
+            pool.total++;
         }
-        engine.surfaceTarget.closePath();
+        pool.free.push(ins);
+    }
+
+    let poolKeys = null; // Properties instanceBuild gives every instance, besides events
+
+    // Put an instance back to how instanceBuild leaves it. Variables set
+    // since it was built are removed, so nothing from its last life carries
+    // over into the next awake.
+    function poolReset(ins, object, x, y) {
+        if (!poolKeys) {
+            poolKeys = new Set(Object.keys(engine.gameObject(0, 0, 0, 0))
+                .concat(['alarm', 'alarm_in_seconds', 'object_id', 'object_name']));
+        }
+        const events = objectEventNames(object);
+        for (const prop of Object.keys(ins)) {
+            if (!poolKeys.has(prop) && !events.includes(prop)) delete ins[prop];
+        }
+
+        ins.need_removed = false;
+        ins.active = true;
+        ins.visible = true;
+        ins.hasWoken = false;
+        ins.mouse_over = false;
+        ins.persistent = object.persistent;
+        ins.room_key = null;
+        ins.has_sorted_depth = true;
+        ins.need_sorted = false;
+        ins.use_built_in_physics = true;
+
+        ins.x = ins.xstart = ins.xprevious = x;
+        ins.y = ins.ystart = ins.yprevious = y;
+        ins.width = object.width;
+        ins.height = object.height;
+        ins.depth = 0;
+        ins.direction = 0;
+        ins.image_angle = object.image_angle;
+        ins.image_xscale = object.image_xscale;
+        ins.image_yscale = object.image_yscale;
+        ins.sprite_index = object.sprite_index;
+        ins.image_index = object.image_index;
+        ins.image_speed = object.image_speed;
+        ins.image_alpha = object.image_alpha;
+        ins.image_blend = object.image_blend;
+        ins._sprite_applied = null;
+        ins.mask = object.mask;
+
+        ins.attach_parent = null;
+        ins.attach_children.length = 0;
+        ins.attach_offset_x = 0;
+        ins.attach_offset_y = 0;
+        ins.attach_angle = 0;
+        ins.attach_xscale = 1;
+        ins.attach_yscale = 1;
+        ins.attach_visible = true;
+        ins.attach_destroy_with_parent = true;
+
+        for (let n = 0; n < ins.alarm.length; n++) {
+            ins.alarm[n] = object.alarm[n];
+            ins.alarm_in_seconds[n] = object.alarm_in_seconds[n];
+        }
+
+        // Modules go back to the object's settings, as a fresh clone would
+        for (let i = 0; i < object.modules.length; i++) {
+            const source = object.modules[i];
+            const mod = ins.modules[i];
+            if (mod && mod.name === source.name) {
+                for (const prop in source) {
+                    if (source.hasOwnProperty(prop) && prop !== 'parent') {
+                        mod[prop] = source[prop];
+                    }
+                }
+                mod.parent = ins;
+            } else {
+                ins.modules[i] = source.clone();
+                ins.modules[i].init(ins);
+            }
+        }
+        ins.modules.length = object.modules.length;
+    }
+
+    // Rooms
+    // A room is {width, height, viewWidth, viewHeight, backgroundColor,
+    // backgroundImage, backgroundImageMode, backgroundImageSpeed, load}. Going
+    // to a room runs room_end on every instance, removes all but persistent
+    // ones, applies the room's settings, calls load() and runs room_start.
+    const roomPlaced = new Map(); // room_key -> persistent instance a room placed
+
+    engine.room_add = function (name, room) {
+        if (!engine.rooms[name]) engine.room_order.push(name);
+        engine.rooms[name] = room;
+        return room;
     };
 
-    // Draw a rounded rectangle
-    engine.draw_roundrect = function(x1, y1, x2, y2, radius, outline) {
-        const x = x1 - engine.view_xview;
-        const y = y1 - engine.view_yview;
-        const width = x2 - x1;
-        const height = y2 - y1;
-        
-        engine.surfaceTarget.beginPath();
-        engine.surfaceTarget.moveTo(x + radius, y);
-        engine.surfaceTarget.lineTo(x + width - radius, y);
-        engine.surfaceTarget.arcTo(x + width, y, x + width, y + radius, radius);
-        engine.surfaceTarget.lineTo(x + width, y + height - radius);
-        engine.surfaceTarget.arcTo(x + width, y + height, x + width - radius, y + height, radius);
-        engine.surfaceTarget.lineTo(x + radius, y + height);
-        engine.surfaceTarget.arcTo(x, y + height, x, y + height - radius, radius);
-        engine.surfaceTarget.lineTo(x, y + radius);
-        engine.surfaceTarget.arcTo(x, y, x + radius, y, radius);
-        engine.surfaceTarget.closePath();
-        
-        if (outline) {
-            engine.surfaceTarget.stroke();
+    // Switch rooms at the end of the step, optionally through a transition
+    // effect (its name or the effect itself)
+    engine.room_goto = function (name, transition = engine.room_transition_default) {
+        if (!engine.rooms[name]) {
+            console.error("Room not found:", name);
+            return false;
+        }
+        if (engine.room_transition) return false;
+
+        const effect = typeof transition === 'string' ? engine.room_transitions[transition] : transition;
+        if (effect) {
+            engine.room_transition = { effect: effect, phase: 'out', time: 0, target: name };
         } else {
-            engine.surfaceTarget.fill();
+            engine.room_pending = name;
         }
+        return true;
     };
 
-    // Draw a gradient rectangle
-    engine.draw_gradient_rect = function(x1, y1, x2, y2, color1, color2, vertical) {
-        const x = x1 - engine.view_xview;
-        const y = y1 - engine.view_yview;
-        const width = x2 - x1;
-        const height = y2 - y1;
-        
-        const gradient = vertical 
-            ? engine.surfaceTarget.createLinearGradient(x, y, x, y + height)
-            : engine.surfaceTarget.createLinearGradient(x, y, x + width, y);
-            
-        gradient.addColorStop(0, color1);
-        gradient.addColorStop(1, color2);
-        
-        engine.surfaceTarget.fillStyle = gradient;
-        engine.surfaceTarget.fillRect(x, y, width, height);
-        
-        // Reset fill style to default
-        engine.surfaceTarget.fillStyle = engine.c_white;
+    engine.room_goto_next = function (transition) {
+        const next = engine.room_order[engine.room_order.indexOf(engine.room) + 1];
+        return next !== undefined ? engine.room_goto(next, transition) : false;
     };
 
-    // Draw a triangle
-    engine.draw_triangle = function(x1, y1, x2, y2, x3, y3, outline) {
-        engine.surfaceTarget.beginPath();
-        engine.surfaceTarget.moveTo(x1 - engine.view_xview, y1 - engine.view_yview);
-        engine.surfaceTarget.lineTo(x2 - engine.view_xview, y2 - engine.view_yview);
-        engine.surfaceTarget.lineTo(x3 - engine.view_xview, y3 - engine.view_yview);
-        engine.surfaceTarget.closePath();
-        
-        if (outline) {
-            engine.surfaceTarget.stroke();
-        } else {
-            engine.surfaceTarget.fill();
+    engine.room_restart = function (transition) {
+        return engine.room !== null ? engine.room_goto(engine.room, transition) : false;
+    };
+
+    // Used by room load code. A persistent placement is only created the
+    // first time; coming back to the room finds the instance still alive.
+    engine.room_instance_create = function (x, y, object, key, persistent = false) {
+        const existing = roomPlaced.get(key);
+        if (existing && existing.room_key === key && !existing.need_removed) return null;
+
+        const ins = engine.instance_create(x, y, object);
+        if (persistent) ins.persistent = true;
+        if (ins.persistent) {
+            ins.room_key = key;
+            roomPlaced.set(key, ins);
         }
+        return ins;
     };
 
-    engine.draw_sprite = function (sprite, x, y) {
-        if (!sprite || !sprite.image || !sprite.image.complete) return;
-        
-        const ctx = engine.surfaceTarget;
-        const width = sprite.width || sprite.image.width;
-        const height = sprite.height || sprite.image.height;
-        
-        ctx.drawImage(
-            sprite.image, 
-            x - engine.view_xview, 
-            y - engine.view_yview, 
-            width, 
-            height
-        );
+    function roomEvent(event) {
+        for (let i = 0; i < engine.gameObjects.length; i++) {
+            const list = engine.gameObjects[i].instances;
+            for (let j = 0; j < list.length; j++) {
+                if (list[j].active) list[j][event]();
+            }
+        }
     }
 
-    // Draw a sprite with scaling and rotation
-    engine.draw_sprite_ext = function(sprite, x, y, xscale, yscale, rotation, alpha) {
-        if (!sprite || !sprite.image || !sprite.image.complete) return;
-        
-        const ctx = engine.surfaceTarget;
-        const width = sprite.width || sprite.image.width;
-        const height = sprite.height || sprite.image.height;
-        
-        ctx.save();
-        ctx.translate(x - engine.view_xview, y - engine.view_yview);
-        ctx.rotate(rotation * Math.PI / 180);
-        ctx.globalAlpha = alpha !== undefined ? alpha : 1;
-        ctx.drawImage(
-            sprite.image, 
-            -(width * xscale) / 2,  // Center the sprite
-            -(height * yscale) / 2, 
-            width * xscale, 
-            height * yscale
-        );
-        ctx.restore();
-    };
+    function roomSwitch(name) {
+        engine.room_pending = null;
 
-    // Draw a frame from a sprite sheet
-    engine.draw_sprite_part = function(sprite, frame, x, y, width, height) {
-        if (!sprite || !sprite.image || !sprite.image.complete) return;
-        
-        const framesPerRow = sprite.framesPerRow || 1;
-        const frameWidth = sprite.frameWidth || sprite.image.width;
-        const frameHeight = sprite.frameHeight || sprite.image.height;
-        
-        const row = Math.floor(frame / framesPerRow);
-        const col = frame % framesPerRow;
-        
-        engine.surfaceTarget.drawImage(
-            sprite.image,
-            col * frameWidth,
-            row * frameHeight,
-            frameWidth,
-            frameHeight,
-            x - engine.view_xview,
-            y - engine.view_yview,
-            width || frameWidth,
-            height || frameHeight
-        );
+        if (engine.room !== null) roomEvent('room_end');
+
+        roomClear(ins => ins.persistent);
+        roomApply(name);
+
+        const room = engine.rooms[name];
+        if (typeof room.load === 'function') room.load();
+        roomEvent('room_start');
+
+        // A transition that covered the screen now uncovers the new room
+        const transition = engine.room_transition;
+        if (transition && transition.phase === 'out' && transition.target === name) {
+            transition.phase = 'in';
+            transition.time = 0;
+        }
+    }
+
+    // Instances not kept leave without on_destroy, as if the room had simply
+    // closed. The ones kept are cut loose from them.
+    function roomClear(keep) {
+        for (let i = 0; i < engine.gameObjects.length; i++) {
+            const list = engine.gameObjects[i].instances;
+            for (let j = 0; j < list.length; j++) {
+                const ins = list[j];
+                if (keep(ins) || ins.need_removed) continue;
+
+                ins.active = false;
+                ins.need_removed = true;
+                while (ins.attach_children.length > 0) {
+                    engine.instance_detach(ins.attach_children[0]);
+                }
+                if (ins.attach_parent) engine.instance_detach(ins);
+            }
+        }
+        engine.instance_cleanup();
+    }
+
+    // Take on the room's size, view and background
+    function roomApply(name) {
+        const room = engine.rooms[name];
+        engine.room = name;
+        engine.room_width = room.width || engine.room_width;
+        engine.room_height = room.height || engine.room_height;
+        engine.view_xview = 0;
+        engine.view_yview = 0;
+        engine.view_wview = room.viewWidth || engine.room_width;
+        engine.view_hview = room.viewHeight || engine.room_height;
+        if (room.backgroundColor) engine.background_color = room.backgroundColor;
+        engine.current_background = room.backgroundImage || null;
+        engine.background_mode = room.backgroundImageMode || "stretch";
+        engine.background_speed = room.backgroundImageSpeed || 0;
+
+        // Resize canvas to match view dimensions
+        if (engine.canvas) {
+            engine.canvas.width = engine.view_wview;
+            engine.canvas.height = engine.view_hview;
+        }
+    }
+
+    // Register a transition effect: {duration, draw(amount, phase)}. draw
+    // covers the screen by amount, which rises from 0 to 1 over duration
+    // seconds while phase is 'out', then falls back to 0 in the new room.
+    engine.room_transition_add = function (name, effect) {
+        engine.room_transitions[name] = effect;
+        return effect;
     };
 
-    // Draw an image at a width and height
-    engine.draw_image = function (image, x, y) {
-        if (image.complete) {
-            engine.surfaceTarget.drawImage(
-                image,
-                x - engine.view_xview,
-                y - engine.view_yview,
-                image.width,
-                image.height
-            );
+    // Called once per frame with the real frame time, so transitions run at
+    // the same speed whatever time_scale is. Once the screen is covered the
+    // room changes at the end of the next step, like room_goto, and it stays
+    // covered until then.
+    engine.room_transition_update = function (delta) {
+        const transition = engine.room_transition;
+        if (!transition) return;
+
+        const duration = transition.effect.duration || 0.5;
+        transition.time += delta;
+        const progress = Math.min(transition.time / duration, 1);
+        const amount = transition.phase === 'out' ? progress : 1 - progress;
+
+        const ctx = engine.context;
+        ctx.save();
+        transition.effect.draw(amount, transition.phase);
+        ctx.restore();
+
+        if (progress < 1) return;
+        if (transition.phase === 'out') {
+            engine.room_pending = transition.target;
         } else {
-            console.error("Image not loaded:", image.src);
+            engine.room_transition = null;
         }
     };
 
-    // Draw a background image with optional tiling and parallax effect
-    engine.draw_background = function() {
-        // Fill background with solid color first
-        engine.surfaceTarget.fillStyle = engine.background_color || "#000000";
-        engine.surfaceTarget.fillRect(0, 0, engine.canvas.width, engine.canvas.height);
-        
-        // If no background image is set, return after filling with color
-        if (!engine.current_background) return;
-        
-        // Find the background image resource
-        let bgResource = null;
-        
-        // Check in dedicated backgrounds
-        if (window.resources && window.resources.backgrounds) {
-            bgResource = window.resources.backgrounds.find(bg => bg.id === engine.current_background);
+    engine.room_transition_add('fade', {
+        duration: 0.4,
+        draw: function (amount) {
+            engine.context.globalAlpha = amount;
+            engine.context.fillStyle = engine.c_black;
+            engine.context.fillRect(0, 0, engine.view_wview, engine.view_hview);
         }
-        
-        // Fallback to sprites if not found
-        if (!bgResource && window.resources && window.resources.sprites) {
-            bgResource = window.resources.sprites.find(sprite => sprite.id === engine.current_background);
+    });
+
+    // Sweeps in from the left, then uncovers the new room left to right
+    engine.room_transition_add('wipe', {
+        duration: 0.4,
+        draw: function (amount, phase) {
+            const width = engine.view_wview * amount;
+            engine.context.fillStyle = engine.c_black;
+            engine.context.fillRect(phase === 'out' ? 0 : engine.view_wview - width, 0, width, engine.view_hview);
         }
-        
-        // If resource found and image is loaded, draw it
-        if (bgResource && bgResource.image && bgResource.image.complete) {
-            const mode = engine.background_mode || "stretch";
-            
-            if (mode === "stretch") {
-                // Stretch background to fill canvas
-                engine.surfaceTarget.drawImage(
-                    bgResource.image,
-                    0, 0,
-                    engine.canvas.width, engine.canvas.height
-                );
-            } else if (mode === "tile") {
-                // Tile background to fill canvas
-                const imgWidth = bgResource.width || bgResource.image.width;
-                const imgHeight = bgResource.height || bgResource.image.height;
-                
-                // Apply parallax speed if set
-                const offsetX = engine.background_speed ? 
-                    (engine.view_xview * engine.background_speed) % imgWidth : 0;
-                const offsetY = engine.background_speed ? 
-                    (engine.view_yview * engine.background_speed) % imgHeight : 0;
-                
-                // Tile the background with offsetting for parallax
-                for (let y = -imgHeight + (offsetY % imgHeight); y < engine.canvas.height; y += imgHeight) {
-                    for (let x = -imgWidth + (offsetX % imgWidth); x < engine.canvas.width; x += imgWidth) {
-                        engine.surfaceTarget.drawImage(bgResource.image, x, y);
-                    }
-                }
-            }
+    });
+
+    // Views
+    // Up to eight views, each showing a world rectangle (xview, yview, wview,
+    // hview) in a port rectangle of the canvas, with zoom and rotation
+    // around the view's centre. While no view is enabled the game draws
+    // as before: the view_* rectangle at the top-left of the canvas.
+    // View 0 is that same rectangle, so view_xview and the rest still move it.
+    engine.max_views = 8;
+    engine.views = [];
+    engine.view_current = 0; // View being drawn
+    engine.mouse_view = 0; // View under the mouse, used for mouse_x and mouse_y
+
+    for (let i = 0; i < engine.max_views; i++) {
+        const view = {
+            visible: false,
+            xview: 0,
+            yview: 0,
+            wview: 0,
+            hview: 0,
+            xport: 0,
+            yport: 0,
+            wport: 0, // 0 = the width of the canvas
+            hport: 0, // 0 = the height of the canvas
+            zoom: 1,
+            angle: 0 // Degrees; the world turns the other way on screen
+        };
+        if (i === 0) {
+            ['xview', 'yview', 'wview', 'hview'].forEach(key => {
+                Object.defineProperty(view, key, {
+                    get: () => engine['view_' + key],
+                    set: (value) => { engine['view_' + key] = value; },
+                    enumerable: true
+                });
+            });
         }
-    };
+        engine.views.push(view);
+    }
 
-    engine.instance_exists = function (instance) {
-        if (instance && instance.object_id && instance.object_id.instances) {
-            return instance.object_id.instances.includes(instance);
+    function viewsEnabled() {
+        for (let i = 0; i < engine.views.length; i++) {
+            if (engine.views[i].visible) return true;
         }
         return false;
     }
 
-    // Surface management functions
-    // Create a new surface (offscreen canvas)
-    engine.surface_create = function(width, height) {
-        // Create a unique ID for the surface
-        const id = 'surface_' + Date.now() + '_' + Math.floor(Math.random() * 1000);
-        
-        // Create the canvas
-        const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = height;
-        
-        // Get and store the context
-        const ctx = canvas.getContext('2d');
-        
-        // Create the surface object
-        const surface = {
-            id: id,
-            canvas: canvas,
-            context: ctx,
-            width: width,
-            height: height,
-            isValid: true
+    function viewPort(view) {
+        return {
+            x: view.xport,
+            y: view.yport,
+            width: view.wport || engine.canvas.width,
+            height: view.hport || engine.canvas.height
         };
-        
-        // Store it in the surfaces collection
-        engine.surfaces[id] = surface;
-        
-        return surface;
-    };
+    }
 
-    // Set the active drawing target to a surface
-    engine.surface_set_target = function(surface) {
-        if (!surface || !surface.isValid) {
-            console.error("Cannot set target: Invalid surface");
-            return false;
-        }
-        
-        // If this is our first surface set, store the default surface
-        if (engine.currentSurfaceStack.length === 0) {
-            engine.defaultSurface = engine.surfaceTarget;
+    // Returns the view, or null with an error for a bad index
+    engine.view_get = function (n) {
+        const view = engine.views[n];
+        if (!view) {
+            console.error("View index out of range (0-" + (engine.max_views - 1) + "):", n);
+            return null;
         }
-        
-        // Push current surface to the stack
-        engine.currentSurfaceStack.push(engine.surfaceTarget);
-        
-        // Set the new surface as the target
-        engine.surfaceTarget = surface.context;
-        
-        return true;
+        return view;
     };
 
-    // Reset the drawing target to the previous surface
-    engine.surface_reset_target = function() {
-        if (engine.currentSurfaceStack.length === 0) {
-            console.error("Cannot reset target: No surface on stack");
-            return false;
+    // A view enabled for the first time shows the same world rectangle as view 0
+    engine.view_enable = function (n, enable = true) {
+        const view = engine.view_get(n);
+        if (!view) return null;
+
+        if (enable && view.wview === 0 && view.hview === 0) {
+            view.xview = engine.view_xview;
+            view.yview = engine.view_yview;
+            view.wview = engine.view_wview;
+            view.hview = engine.view_hview;
         }
-        
-        // Pop the last surface from the stack
-        engine.surfaceTarget = engine.currentSurfaceStack.pop();
-        
-        return true;
+        view.visible = enable;
+        return view;
     };
-    
-    // Free a surface from memory
-    engine.surface_free = function(surface) {
-        if (!surface || !surface.isValid) {
-            return false;
-        }
-        
-        // Mark as invalid
-        surface.isValid = false;
-        
-        // Remove from collection
-        delete engine.surfaces[surface.id];
-        
-        return true;
+
+    engine.view_set_world = function (n, x, y, width, height) {
+        const view = engine.view_get(n);
+        if (!view) return null;
+
+        view.xview = x;
+        view.yview = y;
+        if (width !== undefined) view.wview = width;
+        if (height !== undefined) view.hview = height;
+        return view;
     };
-    
-    // Check if a surface is valid
-    engine.surface_exists = function(surface) {
-        return surface && surface.isValid;
+
+    engine.view_set_port = function (n, x, y, width, height) {
+        const view = engine.view_get(n);
+        if (!view) return null;
+
+        view.xport = x;
+        view.yport = y;
+        view.wport = width;
+        view.hport = height;
+        return view;
     };
-    
-    // Draw a surface at the specified position
-    engine.draw_surface = function(surface, x, y, width, height) {
-        if (!surface || !surface.isValid) {
-            console.error("Cannot draw surface: Invalid surface");
-            return false;
-        }
-        
-        width = width || surface.width;
-        height = height || surface.height;
-        
-        engine.surfaceTarget.drawImage(
-            surface.canvas,
-            x - engine.view_xview,
-            y - engine.view_yview,
-            width,
-            height
-        );
-        
-        return true;
+
+    engine.view_set_zoom = function (n, zoom) {
+        const view = engine.view_get(n);
+        if (view) view.zoom = zoom > 0 ? zoom : 1;
+        return view;
     };
-    
-    // Draw a part of a surface (like sprite_part)
-    engine.draw_surface_part = function(surface, sx, sy, sw, sh, x, y, width, height) {
-        if (!surface || !surface.isValid) {
-            console.error("Cannot draw surface part: Invalid surface");
-            return false;
-        }
-        
-        width = width || sw;
-        height = height || sh;
-        
-        engine.surfaceTarget.drawImage(
-            surface.canvas,
-            sx, sy, sw, sh,
-            x - engine.view_xview,
-            y - engine.view_yview,
-            width, height
-        );
-        
-        return true;
+
+    engine.view_set_angle = function (n, angle) {
+        const view = engine.view_get(n);
+        if (view) view.angle = angle;
+        return view;
     };
-    
-    // Clear a surface with a specific color
-    engine.surface_clear = function(surface, color) {
-        if (!surface || !surface.isValid) {
-            console.error("Cannot clear surface: Invalid surface");
+
+    function viewReset() {
+        for (let i = 0; i < engine.views.length; i++) {
+            const view = engine.views[i];
+            view.visible = false;
+            if (i > 0) {
+                view.xview = view.yview = view.wview = view.hview = 0;
+            }
+            view.xport = view.yport = view.wport = view.hport = 0;
+            view.zoom = 1;
+            view.angle = 0;
+        }
+        engine.view_current = 0;
+        engine.mouse_view = 0;
+    }
+
+    // Screen pixels per world pixel across and down
+    function viewScale(view, port) {
+        return {
+            x: port.width / (view.wview || port.width) * view.zoom,
+            y: port.height / (view.hview || port.height) * view.zoom
+        };
+    }
+
+    // Convert a canvas position inside the view's port to world coordinates
+    function viewToWorld(view, port, sx, sy) {
+        const scale = viewScale(view, port);
+        const angle = view.angle * Math.PI / 180;
+        const dx = sx - (port.x + port.width / 2);
+        const dy = sy - (port.y + port.height / 2);
+        return {
+            x: view.xview + view.wview / 2 + (dx * Math.cos(angle) - dy * Math.sin(angle)) / scale.x,
+            y: view.yview + view.hview / 2 + (dx * Math.sin(angle) + dy * Math.cos(angle)) / scale.y
+        };
+    }
+
+    // Draw the world once per enabled view, each clipped to its port. Draw
+    // events see view_xview and the rest set to the view being drawn, and
+    // view_current set to its index.
+    function viewDrawAll(renderList) {
+        const ctx = engine.context;
+        const saved = [engine.view_xview, engine.view_yview, engine.view_wview, engine.view_hview];
+
+        for (let i = 0; i < engine.views.length; i++) {
+            const view = engine.views[i];
+            if (!view.visible) continue;
+
+            const port = viewPort(view);
+            const scale = viewScale(view, port);
+            const xview = view.xview;
+            const yview = view.yview;
+            const wview = view.wview || port.width;
+            const hview = view.hview || port.height;
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(port.x, port.y, port.width, port.height);
+            ctx.clip();
+            ctx.translate(port.x + port.width / 2, port.y + port.height / 2);
+            ctx.rotate(-view.angle * Math.PI / 180);
+            ctx.scale(scale.x, scale.y);
+            ctx.translate(-wview / 2, -hview / 2);
+
+            engine.view_current = i;
+            engine.view_xview = xview;
+            engine.view_yview = yview;
+            engine.view_wview = wview;
+            engine.view_hview = hview;
+
+            engine.draw_background(wview, hview);
+            drawInstances(renderList);
+            ctx.restore();
+
+            engine.view_xview = saved[0];
+            engine.view_yview = saved[1];
+            engine.view_wview = saved[2];
+            engine.view_hview = saved[3];
+        }
+        engine.view_current = 0;
+    }
+
+    // Saving
+    // A save holds the room, view position and every instance of a named
+    // object: its variables that are plain data (numbers, strings, booleans
+    // and arrays or plain objects of them), references to other saved
+    // instances, to objects or to named resources such as sprites, and the
+    // state of its modules. Loaded instances do not run on_create or awake
+    // again; anything else they hold, such as a function, comes from their
+    // object as usual.
+    engine.saveValues = null; // save_set values loaded from storage
+    engine.save_pending = null; // Save data to load at the end of the step
+
+    // Kept by the engine, or rebuilt when the instance is created again
+    const saveSkipped = ['object_id', 'object_name', 'isParent', 'id', 'need_removed', 'hasWoken',
+        'modules', 'instances', 'attach_parent', 'attach_children'];
+
+    // The value as JSON-safe data, or undefined if it cannot be saved
+    function saveEncode(value, refs, seen) {
+        if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+        if (typeof value === 'number') return isFinite(value) ? value : null;
+        if (typeof value !== 'object') return undefined;
+
+        if (value.isParent === false && value.object_id) {
+            return refs.has(value) ? { $instance: refs.get(value) } : null;
+        }
+        if (value.isParent === true && Array.isArray(value.instances)) {
+            return value.object_name ? { $object: value.object_name } : undefined;
+        }
+        const resource = resourceName(value);
+        if (resource !== null) return { $resource: resource };
+        if (seen.has(value)) return undefined;
+
+        let result;
+        seen.add(value);
+        if (Array.isArray(value)) {
+            result = [];
+            for (let i = 0; i < value.length && result; i++) {
+                const item = saveEncode(value[i], refs, seen);
+                if (item === undefined) result = undefined;
+                else result.push(item);
+            }
+        } else if (Object.getPrototypeOf(value) === Object.prototype) {
+            result = {};
+            for (const key in value) {
+                if (!value.hasOwnProperty(key)) continue;
+                const item = saveEncode(value[key], refs, seen);
+                if (item === undefined) {
+                    result = undefined;
+                    break;
+                }
+                result[key] = item;
+            }
+        }
+        seen.delete(value);
+        return result;
+    }
+
+    function saveDecode(value, instances) {
+        if (value === null || typeof value !== 'object') return value;
+        if (Array.isArray(value)) return value.map(item => saveDecode(item, instances));
+        if (value.$instance !== undefined) return instances[value.$instance] || null;
+        if (value.$object !== undefined) return engine.object_get(value.$object);
+        if (value.$resource !== undefined) return engine.resource_get(value.$resource);
+
+        const result = {};
+        for (const key in value) {
+            if (value.hasOwnProperty(key)) result[key] = saveDecode(value[key], instances);
+        }
+        return result;
+    }
+
+    // The whole game as save data
+    function saveCollect() {
+        const list = [];
+        const refs = new Map();
+        for (let i = 0; i < engine.gameObjects.length; i++) {
+            const obj = engine.gameObjects[i];
+            if (!obj.object_name) continue;
+
+            for (let j = 0; j < obj.instances.length; j++) {
+                const ins = obj.instances[j];
+                if (ins.need_removed) continue;
+                refs.set(ins, list.length);
+                list.push(ins);
+            }
+        }
+
+        const instances = list.map(ins => {
+            const fields = {};
+            for (const key in ins) {
+                if (!ins.hasOwnProperty(key) || key.startsWith('_') || saveSkipped.includes(key)) continue;
+                const value = saveEncode(ins[key], refs, new Set());
+                if (value !== undefined) fields[key] = value;
+            }
+
+            const modules = ins.modules.map(mod => {
+                const data = {};
+                const state = mod.setData();
+                for (const key in state) {
+                    const value = saveEncode(state[key], refs, new Set());
+                    if (value !== undefined) data[key] = value;
+                }
+                return { name: mod.name, data: data };
+            });
+
+            return {
+                object: ins.object_name,
+                fields: fields,
+                modules: modules,
+                attach_parent: ins.attach_parent && refs.has(ins.attach_parent) ? refs.get(ins.attach_parent) : null
+            };
+        });
+
+        return {
+            version: 1,
+            room: engine.room,
+            view_xview: engine.view_xview,
+            view_yview: engine.view_yview,
+            instances: instances
+        };
+    }
+
+    // Replace every instance of a named object with the ones in data. The
+    // control instance and instances of unnamed objects are left alone.
+    function saveRestore(data) {
+        engine.save_pending = null;
+        engine.room_pending = null;
+
+        roomClear(ins => !ins.object_id.object_name);
+        if (data.room !== null && engine.rooms[data.room]) roomApply(data.room);
+        engine.view_xview = data.view_xview || 0;
+        engine.view_yview = data.view_yview || 0;
+        roomPlaced.clear();
+
+        // Create every instance first so references between them resolve
+        const instances = data.instances.map(saved => {
+            const object = engine.object_get(saved.object);
+            if (!object) {
+                console.warn("Save refers to a missing object:", saved.object);
+                return null;
+            }
+
+            const ins = instanceBuild(object, 0, 0);
+            ins.hasWoken = true;
+            ins.isParent = false;
+            if (object.pool) {
+                ins._pooled = true;
+                object.pool.total++;
+                object.pool.allocated++;
+            }
+            ins.id = object.id;
+            object.id += 1;
+            object.instances.push(ins);
+            return ins;
+        });
+
+        data.instances.forEach((saved, i) => {
+            const ins = instances[i];
+            if (!ins) return;
+
+            for (const key in saved.fields) {
+                ins[key] = saveDecode(saved.fields[key], instances);
+            }
+            for (let m = 0; m < saved.modules.length; m++) {
+                const mod = ins.module_get(saved.modules[m].name);
+                if (mod) mod.setState(saveDecode(saved.modules[m].data, instances));
+            }
+            if (ins.persistent && ins.room_key !== null) roomPlaced.set(ins.room_key, ins);
+            engine.spatial_update(ins);
+        });
+
+        data.instances.forEach((saved, i) => {
+            const ins = instances[i];
+            const parent = saved.attach_parent !== null ? instances[saved.attach_parent] : null;
+            if (ins && parent) {
+                engine.instance_attach(ins, parent, ins.attach_offset_x, ins.attach_offset_y, ins.attach_destroy_with_parent);
+            }
+        });
+    }
+
+    function saveRead(slot) {
+        try {
+            const saved = storage.getItem(storageKey('save_' + slot));
+            return saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.warn("Could not read save slot " + slot + ":", e);
+            return null;
+        }
+    }
+
+    function saveWrite(slot, data) {
+        try {
+            storage.setItem(storageKey('save_' + slot), JSON.stringify(data));
+            return true;
+        } catch (e) {
+            console.warn("Could not write save slot " + slot + ":", e);
             return false;
         }
-        
-        // Store current target
-        const currentTarget = engine.surfaceTarget;
-        
-        // Set target to this surface
-        engine.surfaceTarget = surface.context;
-        
-        // Clear with color
-        const originalStyle = engine.surfaceTarget.fillStyle;
-        engine.surfaceTarget.fillStyle = color || "transparent";
-        engine.surfaceTarget.clearRect(0, 0, surface.width, surface.height);
-        engine.surfaceTarget.fillRect(0, 0, surface.width, surface.height);
-        engine.surfaceTarget.fillStyle = originalStyle;
-        
-        // Reset target
-        engine.surfaceTarget = currentTarget;
-        
+    }
+
+    function saveValid(data) {
+        return !!data && typeof data === 'object' && Array.isArray(data.instances);
+    }
+
+    engine.game_save = function (slot = 0) {
+        return saveWrite(slot, saveCollect());
+    };
+
+    // The game switches to the save at the end of the step, like room_goto.
+    // Returns false when the slot is empty.
+    engine.game_load = function (slot = 0) {
+        const data = saveRead(slot);
+        if (!saveValid(data)) return false;
+
+        engine.save_pending = data;
         return true;
     };
-    
-    // Save surface to an image file (browser download)
-    engine.surface_save = function(surface, filename) {
-        if (!surface || !surface.isValid) {
-            console.error("Cannot save surface: Invalid surface");
-            return false;
+
+    engine.game_save_exists = function (slot = 0) {
+        return saveValid(saveRead(slot));
+    };
+
+    engine.game_save_delete = function (slot = 0) {
+        try {
+            storage.removeItem(storageKey('save_' + slot));
+        } catch (e) {
+            console.warn("Could not delete save slot " + slot + ":", e);
         }
-        
+    };
+
+    // Download a slot as a JSON file. Returns the JSON, or null for an empty slot.
+    engine.game_save_export = function (slot = 0, filename = 'save_' + slot + '.json') {
+        const data = saveRead(slot);
+        if (!saveValid(data)) return null;
+
+        const json = JSON.stringify(data, null, 2);
         try {
-            // Create a download link
             const link = document.createElement('a');
-            link.download = filename || 'surface.png';
-            link.href = surface.canvas.toDataURL('image/png');
-            
-            // Trigger click
+            link.download = filename;
+            link.href = 'data:application/json;charset=utf-8,' + encodeURIComponent(json);
             document.body.appendChild(link);
             link.click();
             document.body.removeChild(link);
-            
-            return true;
         } catch (e) {
-            console.error("Error saving surface:", e);
-            return false;
+            console.error("Error exporting save:", e);
         }
+        return json;
     };
-    
-    // Get a pixel's color from a surface
-    engine.surface_getpixel = function(surface, x, y) {
-        if (!surface || !surface.isValid) {
-            console.error("Cannot get pixel: Invalid surface");
-            return null;
-        }
-        
+
+    // Store a save exported earlier (its JSON text) in a slot
+    engine.game_save_import = function (slot, json) {
+        let data;
         try {
-            const data = surface.context.getImageData(x, y, 1, 1).data;
-            return {
-                r: data[0],
-                g: data[1],
-                b: data[2],
-                a: data[3] / 255
-            };
+            data = typeof json === 'string' ? JSON.parse(json) : json;
         } catch (e) {
-            console.error("Error getting pixel data:", e);
+            console.error("Save file is not valid JSON:", e);
+            return false;
+        }
+        if (!saveValid(data)) {
+            console.error("Not a save file");
+            return false;
+        }
+        return saveWrite(slot, data);
+    };
+
+    // Let the player pick a save file and store it in a slot.
+    // callback(success) runs once the file has been read.
+    engine.game_save_import_file = function (slot, callback) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.onchange = function () {
+            const file = input.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                const success = engine.game_save_import(slot, reader.result);
+                if (typeof callback === 'function') callback(success);
+            };
+            reader.readAsText(file);
+        };
+        input.click();
+    };
+
+    // Key-value data such as settings and high scores, stored as soon as it
+    // is set and shared by every slot
+    function saveValuesLoad() {
+        if (engine.saveValues) return engine.saveValues;
+
+        engine.saveValues = {};
+        try {
+            const saved = storage.getItem(storageKey('save_values'));
+            if (saved) engine.saveValues = JSON.parse(saved) || {};
+        } catch (e) {
+            console.warn("Could not load saved values:", e);
+        }
+        return engine.saveValues;
+    }
+
+    engine.save_set = function (key, value) {
+        saveValuesLoad()[key] = value;
+        try {
+            storage.setItem(storageKey('save_values'), JSON.stringify(engine.saveValues));
+        } catch (e) {
+            console.warn("Could not save values:", e);
+        }
+        return value;
+    };
+
+    engine.save_get = function (key, default_value = undefined) {
+        const values = saveValuesLoad();
+        return values.hasOwnProperty(key) ? values[key] : default_value;
+    };
+
+    // Headless mode
+    // createGameEngine({ headless: true }) makes an engine for running game
+    // logic outside a browser, such as in Node tests. It adds no DOM
+    // listeners, its canvases are stubs whose 2D context records every call
+    // into context.calls (cleared each frame), and gameStart does not start
+    // the frame loop: engine.step advances it instead. Saves and input
+    // bindings go to options.storage, or memory when there is no localStorage.
+    engine.headless_fps = 60; // Frame rate engine.step runs at by default
+
+    function memoryStorage() {
+        const items = {};
+        return {
+            getItem: key => items.hasOwnProperty(key) ? items[key] : null,
+            setItem: (key, value) => { items[key] = String(value); },
+            removeItem: key => { delete items[key]; }
+        };
+    }
+
+    // Add a document listener, unless running headless
+    function listen(type, handler, listenOptions) {
+        if (!engine.headless) document.addEventListener(type, handler, listenOptions);
+    }
+
+    const contextMethods = ['save', 'restore', 'scale', 'rotate', 'translate', 'transform',
+        'setTransform', 'resetTransform', 'beginPath', 'closePath', 'moveTo', 'lineTo',
+        'bezierCurveTo', 'quadraticCurveTo', 'arc', 'arcTo', 'ellipse', 'rect', 'roundRect',
+        'fill', 'stroke', 'clip', 'fillRect', 'strokeRect', 'clearRect', 'fillText',
+        'strokeText', 'drawImage', 'putImageData', 'setLineDash'];
+
+    function headlessImageData(width, height) {
+        return { width: width, height: height, data: new Uint8ClampedArray(width * height * 4) };
+    }
+
+    function headlessContext(canvas) {
+        const ctx = {
+            canvas: canvas,
+            calls: [], // {name, args} for each call this frame
+            fillStyle: '#000000',
+            strokeStyle: '#000000',
+            globalAlpha: 1,
+            globalCompositeOperation: 'source-over',
+            lineWidth: 1,
+            lineCap: 'butt',
+            lineJoin: 'miter',
+            font: '10px sans-serif',
+            textAlign: 'start',
+            textBaseline: 'alphabetic',
+            imageSmoothingEnabled: true,
+
+            // Rough width: most fonts average a little over half their size per character
+            measureText: function (text) {
+                return { width: String(text).length * (parseFloat(this.font) || 10) * 0.6 };
+            },
+            getImageData: (x, y, width, height) => headlessImageData(width, height),
+            createImageData: (width, height) => headlessImageData(width, height),
+            createLinearGradient: () => ({ addColorStop: function () { } }),
+            createRadialGradient: () => ({ addColorStop: function () { } }),
+            createPattern: () => ({}),
+            getLineDash: () => [],
+            isPointInPath: () => false
+        };
+
+        contextMethods.forEach(name => {
+            ctx[name] = function (...args) {
+                ctx.calls.push({ name: name, args: args });
+            };
+        });
+        return ctx;
+    }
+
+    function headlessCanvas() {
+        const canvas = {
+            width: 300,
+            height: 150,
+            style: {},
+            getContext: function () {
+                if (!this.context) this.context = headlessContext(this);
+                return this.context;
+            },
+            getBoundingClientRect: function () {
+                return { left: 0, top: 0, width: this.width, height: this.height };
+            },
+            toDataURL: () => 'data:,'
+        };
+        return canvas;
+    }
+
+    // An offscreen canvas, or a stub when headless
+    function canvasCreate() {
+        return engine.headless ? headlessCanvas() : document.createElement('canvas');
+    }
+
+    // Run n frames of delta seconds each (one 1/headless_fps frame by default),
+    // logic and drawing, as the browser loop would. Call gameStart first.
+    engine.step = function (n = 1, delta = 1 / engine.headless_fps) {
+        for (let i = 0; i < n; i++) {
+            engine.lastTick += delta * 1000;
+            frameRun(delta);
+        }
+    };
+
+    // Input recording
+    // A recording holds every frame's length and the input at its start: the
+    // keyboard, mouse and touches, what each gamepad reported, and the presses
+    // since the last drawn frame that draw events see. A replay puts that
+    // input back before every frame, over anything the player does, and its
+    // steps poll the recorded gamepads instead of the real ones. The recording
+    // also keeps the seed the game started with, to pass to gameStart before
+    // replaying, and the random streams' state, which replay_start puts
+    // back. Start recording and replaying from the same point, such as
+    // straight after the game code has run.
+    //
+    // Frames are replayed with their recorded lengths. With set_fixed_step
+    // the accumulator then runs exactly the fixed steps the session ran, and
+    // without it every step gets the dt it was recorded with; replaying at
+    // some other fixed step would change the game being reproduced.
+    engine.recording = null; // Recording in progress, see record_start
+    engine.replay = null; // Replay in progress: {recording, index, time, input, on_end}
+
+    // Copy of a map of maps, such as held gamepad buttons per device
+    function inputCopy(map) {
+        const copy = {};
+        for (const key in map) {
+            copy[key] = Object.assign({}, map[key]);
+        }
+        return copy;
+    }
+
+    function inputSnapshot() {
+        return {
+            key: Object.assign({}, engine.key),
+            keyCode: Object.assign({}, engine.keyCode),
+            mouseButton: Object.assign({}, engine.mouseButton),
+            mouseButtonCode: Object.assign({}, engine.mouseButtonCode),
+            mouse_wheel: engine.mouse_wheel,
+            mx: engine.mx,
+            my: engine.my,
+            touches: engine.touches.map(t => ({ id: t.id, x: t.x, y: t.y })),
+            gamepads: gamepadFrame,
+            gamepadButton: inputCopy(engine.gamepadButton),
+            gamepadButtonCode: inputCopy(engine.gamepadButtonCode),
+            drawPressed: inputCopy(drawPressed),
+            drawReleased: inputCopy(drawReleased)
+        };
+    }
+
+    function inputRestore(input) {
+        engine.key = Object.assign({}, input.key);
+        engine.keyCode = Object.assign({}, input.keyCode);
+        engine.mouseButton = Object.assign({}, input.mouseButton);
+        engine.mouseButtonCode = Object.assign({}, input.mouseButtonCode);
+        engine.mouse_wheel = input.mouse_wheel;
+        engine.mx = input.mx;
+        engine.my = input.my;
+        engine.touches = input.touches.map(t => ({ id: t.id, x: t.x, y: t.y }));
+        gamepadFrame = input.gamepads;
+        engine.gamepadButton = inputCopy(input.gamepadButton);
+        engine.gamepadButtonCode = inputCopy(input.gamepadButtonCode);
+        drawPressed = inputCopy(input.drawPressed);
+        drawReleased = inputCopy(input.drawReleased);
+    }
+
+    // Frames only store their input when it differs from the frame before
+    function recordFrame(delta) {
+        const input = inputSnapshot();
+        const json = JSON.stringify(input);
+        const frame = { delta: delta };
+        if (json !== engine.recording.lastInput) {
+            frame.input = input;
+            engine.recording.lastInput = json;
+        }
+        engine.recording.frames.push(frame);
+    }
+
+    engine.record_start = function () {
+        engine.replay_stop();
+        engine.recording = {
+            version: 1,
+            seed: randomStartSeed,
+            random: randomState(),
+            frames: [],
+            lastInput: null
+        };
+        return engine.recording;
+    };
+
+    // Returns the finished recording, or null if none was running
+    engine.record_stop = function () {
+        const recording = engine.recording;
+        if (!recording) return null;
+
+        engine.recording = null;
+        delete recording.lastInput;
+        return recording;
+    };
+
+    // Play a recording (or its JSON text) back, calling on_end when it runs out.
+    // Live input is ignored until then.
+    engine.replay_start = function (recording, on_end) {
+        if (typeof recording === 'string') {
+            try {
+                recording = JSON.parse(recording);
+            } catch (e) {
+                console.error("Recording is not valid JSON:", e);
+                return false;
+            }
+        }
+        if (!recording || !Array.isArray(recording.frames) || recording.frames.length === 0) {
+            console.error("Not a recording");
+            return false;
+        }
+
+        engine.record_stop();
+        if (recording.random) randomRestore(recording.random);
+        engine.replay = { recording: recording, index: 0, time: 0, input: null, on_end: on_end || null };
+        return true;
+    };
+
+    engine.replay_stop = function () {
+        const replay = engine.replay;
+        if (!replay) return;
+
+        engine.replay = null;
+        if (typeof replay.on_end === 'function') replay.on_end();
+    };
+
+    // Run recorded frames for delta seconds of real time. A frame is only
+    // played once enough time has passed, so replays keep the original pace.
+    // Every frame gets the last recorded input back, overwriting live input.
+    function replayFrames(delta) {
+        const replay = engine.replay;
+        const frames = replay.recording.frames;
+        let played = 0;
+
+        replay.time += Math.min(delta, engine.max_frame_time);
+        while (engine.replay === replay && played < engine.max_steps_per_frame &&
+            replay.time >= frames[replay.index].delta) {
+            const frame = frames[replay.index];
+            replay.time -= frame.delta;
+            if (frame.input) replay.input = frame.input;
+            if (replay.input) inputRestore(replay.input);
+
+            replay.index++;
+            gameFrame(frame.delta);
+            played++;
+
+            if (replay.index >= frames.length) engine.replay_stop();
+        }
+    }
+
+    // Download a recording as a JSON file, returning its JSON text
+    engine.record_export = function (recording, filename = 'recording.json') {
+        const json = JSON.stringify(recording);
+        try {
+            const link = document.createElement('a');
+            link.download = filename;
+            link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+        } catch (e) {
+            console.error("Error exporting recording:", e);
+        }
+        return json;
+    };
+
+    // Canvas setup
+    engine.createCanvas = function () {
+        if (engine.headless) return headlessCanvas();
+
+        let canvas = document.getElementById(engine.canvasId);
+        if (canvas === null) {
+            canvas = document.createElement('canvas');
+            canvas.id = engine.canvasId;
+            document.body.appendChild(canvas);
+        }
+        canvas.oncontextmenu = function (e) { return false; };
+        return canvas;
+    };
+
+    // Drawing functions
+    engine.draw_set_color = function (color) {
+        engine.surfaceTarget.fillStyle = color;
+        engine.surfaceTarget.strokeStyle = color;
+    };
+
+    engine.draw_set_alpha = function (alpha) {
+        engine.surfaceTarget.globalAlpha = alpha;
+    };
+
+    engine.draw_set_font = function (size, name) {
+        engine.font_size = size;
+        engine.font_style = name;
+        engine.surfaceTarget.font = `${size}px ${name}`;
+    };
+
+    engine.draw_set_align = function (align) {
+        engine.surfaceTarget.textAlign = align;
+    };
+
+    engine.draw_text = function (x, y, text) {
+        engine.surfaceTarget.fillText(text, x - engine.view_xview, y - engine.view_yview + engine.font_size);
+    };
+
+    // Draw text with alignment options
+    engine.draw_text_ext = function(x, y, text, lineHeight, maxWidth) {
+        const words = text.split(' ');
+        let currentLine = words[0];
+        const xPos = x - engine.view_xview;
+        let yPos = y - engine.view_yview + engine.font_size;
+        
+        for (let i = 1; i < words.length; i++) {
+            const testLine = currentLine + ' ' + words[i];
+            const metrics = engine.surfaceTarget.measureText(testLine);
+            if (metrics.width > maxWidth) {
+                engine.surfaceTarget.fillText(currentLine, xPos, yPos);
+                currentLine = words[i];
+                yPos += lineHeight;
+            } else {
+                currentLine = testLine;
+            }
+        }
+        engine.surfaceTarget.fillText(currentLine, xPos, yPos);
+    };
+
+    engine.draw_rectangle = function (x1, y1, x2, y2, outline) {
+        engine.surfaceTarget.beginPath();
+        if (outline) {
+            engine.surfaceTarget.strokeRect(
+                x1 - engine.view_xview,
+                y1 - engine.view_yview,
+                x2 - x1,
+                y2 - y1
+            );
+        } else {
+            engine.surfaceTarget.fillRect(
+                x1 - engine.view_xview,
+                y1 - engine.view_yview,
+                x2 - x1,
+                y2 - y1
+            );
+        }
+        engine.surfaceTarget.closePath();
+    };
+
+    // Set line properties
+    engine.draw_set_line_width = function(width) {
+        engine.surfaceTarget.lineWidth = width;
+    };
+
+    // Draw a line
+    engine.draw_line = function (x1, y1, x2, y2) {
+        engine.surfaceTarget.beginPath();
+        engine.surfaceTarget.moveTo(x1 - engine.view_xview, y1 - engine.view_yview);
+        engine.surfaceTarget.lineTo(x2 - engine.view_xview, y2 - engine.view_yview);
+        engine.surfaceTarget.stroke();
+        engine.surfaceTarget.closePath();
+    };
+
+    // Draw a circle with the given radius
+    engine.draw_circle = function (x, y, radius, outline) {
+        engine.surfaceTarget.beginPath();
+        engine.surfaceTarget.arc(
+            x - engine.view_xview,
+            y - engine.view_yview,
+            radius,
+            0,
+            Math.PI * 2
+        );
+        if (outline) {
+            engine.surfaceTarget.stroke();
+        } else {
+            engine.surfaceTarget.fill();
+        }
+        engine.surfaceTarget.closePath();
+    }
+
+    // Draw an ellipse with the given dimensions
+    engine.draw_ellipse = function(x, y, width, height, outline) {
+        engine.surfaceTarget.beginPath();
+        engine.surfaceTarget.ellipse(
+            x - engine.view_xview,
+            y - engine.view_yview,
+            width / 2,
+            height / 2,
+            0,
+            0,
+            Math.PI * 2
+        );
+        if (outline) {
+            engine.surfaceTarget.stroke();
+        } else {
+            engine.surfaceTarget.fill();
+        }
+        engine.surfaceTarget.closePath();
+    };
+
+    // Draw a rounded rectangle
+    engine.draw_roundrect = function(x1, y1, x2, y2, radius, outline) {
+        const x = x1 - engine.view_xview;
+        const y = y1 - engine.view_yview;
+        const width = x2 - x1;
+        const height = y2 - y1;
+        
+        engine.surfaceTarget.beginPath();
+        engine.surfaceTarget.moveTo(x + radius, y);
+        engine.surfaceTarget.lineTo(x + width - radius, y);
+        engine.surfaceTarget.arcTo(x + width, y, x + width, y + radius, radius);
+        engine.surfaceTarget.lineTo(x + width, y + height - radius);
+        engine.surfaceTarget.arcTo(x + width, y + height, x + width - radius, y + height, radius);
+        engine.surfaceTarget.lineTo(x + radius, y + height);
+        engine.surfaceTarget.arcTo(x, y + height, x, y + height - radius, radius);
+        engine.surfaceTarget.lineTo(x, y + radius);
+        engine.surfaceTarget.arcTo(x, y, x + radius, y, radius);
+        engine.surfaceTarget.closePath();
+        
+        if (outline) {
+            engine.surfaceTarget.stroke();
+        } else {
+            engine.surfaceTarget.fill();
+        }
+    };
+
+    // Draw a gradient rectangle
+    engine.draw_gradient_rect = function(x1, y1, x2, y2, color1, color2, vertical) {
+        const x = x1 - engine.view_xview;
+        const y = y1 - engine.view_yview;
+        const width = x2 - x1;
+        const height = y2 - y1;
+        
+        const gradient = vertical 
+            ? engine.surfaceTarget.createLinearGradient(x, y, x, y + height)
+            : engine.surfaceTarget.createLinearGradient(x, y, x + width, y);
+            
+        gradient.addColorStop(0, color1);
+        gradient.addColorStop(1, color2);
+        
+        engine.surfaceTarget.fillStyle = gradient;
+        engine.surfaceTarget.fillRect(x, y, width, height);
+        
+        // Reset fill style to default
+        engine.surfaceTarget.fillStyle = engine.c_white;
+    };
+
+    // Draw a triangle
+    engine.draw_triangle = function(x1, y1, x2, y2, x3, y3, outline) {
+        engine.surfaceTarget.beginPath();
+        engine.surfaceTarget.moveTo(x1 - engine.view_xview, y1 - engine.view_yview);
+        engine.surfaceTarget.lineTo(x2 - engine.view_xview, y2 - engine.view_yview);
+        engine.surfaceTarget.lineTo(x3 - engine.view_xview, y3 - engine.view_yview);
+        engine.surfaceTarget.closePath();
+        
+        if (outline) {
+            engine.surfaceTarget.stroke();
+        } else {
+            engine.surfaceTarget.fill();
+        }
+    };
+
+    engine.draw_sprite = function (sprite, x, y) {
+        if (!sprite || !sprite.image || !sprite.image.complete) return;
+        
+        const ctx = engine.surfaceTarget;
+        const width = sprite.width || sprite.image.width;
+        const height = sprite.height || sprite.image.height;
+        
+        ctx.drawImage(
+            sprite.image, 
+            x - engine.view_xview, 
+            y - engine.view_yview, 
+            width, 
+            height
+        );
+    }
+
+    // Draw a sprite with scaling and rotation
+    engine.draw_sprite_ext = function(sprite, x, y, xscale, yscale, rotation, alpha) {
+        if (!sprite || !sprite.image || !sprite.image.complete) return;
+        
+        const ctx = engine.surfaceTarget;
+        const width = sprite.width || sprite.image.width;
+        const height = sprite.height || sprite.image.height;
+        
+        ctx.save();
+        ctx.translate(x - engine.view_xview, y - engine.view_yview);
+        ctx.rotate(rotation * Math.PI / 180);
+        ctx.globalAlpha = alpha !== undefined ? alpha : 1;
+        ctx.drawImage(
+            sprite.image, 
+            -(width * xscale) / 2,  // Center the sprite
+            -(height * yscale) / 2, 
+            width * xscale, 
+            height * yscale
+        );
+        ctx.restore();
+    };
+
+    // Draw a frame from a sprite sheet
+    engine.draw_sprite_part = function(sprite, frame, x, y, width, height) {
+        if (!sprite || !sprite.image || !sprite.image.complete) return;
+        
+        const framesPerRow = sprite.framesPerRow || sprite.frame_columns || 1;
+        const frameWidth = sprite.frameWidth || (sprite.frame_count ? spriteFrames(sprite).width : sprite.image.width);
+        const frameHeight = sprite.frameHeight || (sprite.frame_count ? spriteFrames(sprite).height : sprite.image.height);
+        
+        const row = Math.floor(frame / framesPerRow);
+        const col = frame % framesPerRow;
+        
+        engine.surfaceTarget.drawImage(
+            sprite.image,
+            col * frameWidth,
+            row * frameHeight,
+            frameWidth,
+            frameHeight,
+            x - engine.view_xview,
+            y - engine.view_yview,
+            width || frameWidth,
+            height || frameHeight
+        );
+    };
+
+    // Resources
+    // Sprites, sounds and the other resources from the Imports tab are added
+    // under their variable name, so saves can refer to them by name.
+    engine.namedResources = {};
+
+    engine.resource_add = function (name, resource) {
+        engine.namedResources[name] = resource;
+        return resource;
+    };
+
+    engine.resource_get = function (name) {
+        return engine.namedResources[name] || null;
+    };
+
+    // Name a resource was added under, or null
+    function resourceName(resource) {
+        for (const name in engine.namedResources) {
+            if (engine.namedResources[name] === resource) return name;
+        }
+        return null;
+    }
+
+    // Animated sprites
+    // A sprite resource may be a strip or grid of frame_count frames laid out
+    // frame_columns to a row. Frames are drawn around xorigin, yorigin, which
+    // is also the point instances rotate around.
+    function spriteFrames(sprite) {
+        const image = sprite.image;
+        const imageWidth = (image && image.width) || sprite.width || 0;
+        const imageHeight = (image && image.height) || sprite.height || 0;
+        const count = Math.max(1, Math.floor(sprite.frame_count || 1));
+        const columns = Math.max(1, Math.floor(sprite.frame_columns || sprite.framesPerRow || count));
+        return {
+            count: count,
+            columns: columns,
+            width: sprite.frame_width || sprite.frameWidth || imageWidth / columns,
+            height: sprite.frame_height || sprite.frameHeight || imageHeight / Math.ceil(count / columns)
+        };
+    }
+
+    function spriteReady(sprite) {
+        return !!(sprite && sprite.image && sprite.image.complete && sprite.image.width > 0);
+    }
+
+    // Size the instance to one frame and take the sprite's mask, unless a
+    // mask was set by hand. Waits until the image has loaded.
+    function spriteApply(ins) {
+        const sprite = ins.sprite_index;
+        if (sprite && !spriteReady(sprite)) return;
+        ins._sprite_applied = sprite;
+        if (!sprite) return;
+
+        const frames = spriteFrames(sprite);
+        ins.width = frames.width;
+        ins.height = frames.height;
+        if (ins.mask && !ins.mask.from_sprite) return;
+
+        if (sprite.mask_type === 'circle') {
+            ins.mask = { type: 'circle', x: frames.width / 2, y: frames.height / 2, radius: Math.min(frames.width, frames.height) / 2, from_sprite: true };
+        } else if (sprite.mask_type === 'precise' && sprite.precise_mask) {
+            ins.mask = { type: 'precise', sprite: sprite, from_sprite: true };
+        } else {
+            ins.mask = null;
+        }
+    }
+
+    // Point, relative to x, y, that an instance rotates and scales around
+    function instancePivot(ins) {
+        const sprite = ins.sprite_index;
+        if (sprite && sprite.xorigin !== undefined) {
+            return { x: sprite.xorigin, y: sprite.yorigin || 0 };
+        }
+        return { x: ins.width / 2, y: ins.height / 2 };
+    }
+
+    // Blend colours multiply the frame on a scratch canvas, keeping its alpha
+    let tintCanvas = null;
+    function spriteTint(image, sx, sy, width, height, color) {
+        if (!tintCanvas) tintCanvas = canvasCreate();
+        if (tintCanvas.width !== width || tintCanvas.height !== height) {
+            tintCanvas.width = width;
+            tintCanvas.height = height;
+        }
+
+        const ctx = tintCanvas.getContext('2d');
+        ctx.globalCompositeOperation = 'copy';
+        ctx.drawImage(image, sx, sy, width, height, 0, 0, width, height);
+        ctx.globalCompositeOperation = 'multiply';
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, width, height);
+        ctx.globalCompositeOperation = 'destination-in';
+        ctx.drawImage(image, sx, sy, width, height, 0, 0, width, height);
+        ctx.globalCompositeOperation = 'source-over';
+        return tintCanvas;
+    }
+
+    // Draw one frame of a sprite with its origin at x, y
+    engine.draw_sprite_frame = function (sprite, frame, x, y, xscale = 1, yscale = 1, rotation = 0, alpha = 1, blend = engine.c_white) {
+        if (!spriteReady(sprite)) return;
+
+        const frames = spriteFrames(sprite);
+        const index = ((Math.floor(frame) % frames.count) + frames.count) % frames.count;
+        const width = frames.width;
+        const height = frames.height;
+        let source = sprite.image;
+        let sx = (index % frames.columns) * width;
+        let sy = Math.floor(index / frames.columns) * height;
+
+        if (blend && blend !== engine.c_white) {
+            source = spriteTint(source, sx, sy, width, height, blend);
+            sx = 0;
+            sy = 0;
+        }
+
+        const ctx = engine.surfaceTarget;
+        ctx.save();
+        ctx.translate(x - engine.view_xview, y - engine.view_yview);
+        ctx.rotate(rotation * Math.PI / 180);
+        ctx.scale(xscale, yscale);
+        ctx.globalAlpha = alpha;
+        ctx.drawImage(source, sx, sy, width, height, -(sprite.xorigin || 0), -(sprite.yorigin || 0), width, height);
+        ctx.restore();
+    };
+
+    // Number of frames in a sprite
+    engine.sprite_get_number = function (sprite) {
+        return sprite ? spriteFrames(sprite).count : 0;
+    };
+
+    // Size of one frame of a sprite
+    engine.sprite_get_width = function (sprite) {
+        return sprite ? spriteFrames(sprite).width : 0;
+    };
+
+    engine.sprite_get_height = function (sprite) {
+        return sprite ? spriteFrames(sprite).height : 0;
+    };
+
+    // Draw an image at a width and height
+    engine.draw_image = function (image, x, y) {
+        if (image.complete) {
+            engine.surfaceTarget.drawImage(
+                image,
+                x - engine.view_xview,
+                y - engine.view_yview,
+                image.width,
+                image.height
+            );
+        } else {
+            console.error("Image not loaded:", image.src);
+        }
+    };
+
+    // Draw a background image with optional tiling and parallax effect
+    engine.draw_background = function(width = engine.canvas.width, height = engine.canvas.height) {
+        // Fill background with solid color first
+        engine.surfaceTarget.fillStyle = engine.background_color || "#000000";
+        engine.surfaceTarget.fillRect(0, 0, width, height);
+        
+        // If no background image is set, return after filling with color
+        if (!engine.current_background) return;
+        
+        // Find the background image resource
+        let bgResource = null;
+        
+        // Check in dedicated backgrounds
+        if (host.resources && host.resources.backgrounds) {
+            bgResource = host.resources.backgrounds.find(bg => bg.id === engine.current_background);
+        }
+        
+        // Fallback to sprites if not found
+        if (!bgResource && host.resources && host.resources.sprites) {
+            bgResource = host.resources.sprites.find(sprite => sprite.id === engine.current_background);
+        }
+        
+        // If resource found and image is loaded, draw it
+        if (bgResource && bgResource.image && bgResource.image.complete) {
+            const mode = engine.background_mode || "stretch";
+            
+            if (mode === "stretch") {
+                // Stretch background to fill canvas
+                engine.surfaceTarget.drawImage(
+                    bgResource.image,
+                    0, 0,
+                    width, height
+                );
+            } else if (mode === "tile") {
+                // Tile background to fill canvas
+                const imgWidth = bgResource.width || bgResource.image.width;
+                const imgHeight = bgResource.height || bgResource.image.height;
+                
+                // Apply parallax speed if set
+                const offsetX = engine.background_speed ? 
+                    (engine.view_xview * engine.background_speed) % imgWidth : 0;
+                const offsetY = engine.background_speed ? 
+                    (engine.view_yview * engine.background_speed) % imgHeight : 0;
+                
+                // Tile the background with offsetting for parallax
+                for (let y = -imgHeight + (offsetY % imgHeight); y < height; y += imgHeight) {
+                    for (let x = -imgWidth + (offsetX % imgWidth); x < width; x += imgWidth) {
+                        engine.surfaceTarget.drawImage(bgResource.image, x, y);
+                    }
+                }
+            }
+        }
+    };
+
+    engine.instance_exists = function (instance) {
+        if (instance && !instance.need_removed && instance.object_id && instance.object_id.instances) {
+            return instance.object_id.instances.includes(instance);
+        }
+        return false;
+    }
+
+    // Attachment
+    // An attached child follows its parent instance: its position, angle,
+    // scale and visibility are worked out from the parent's after every
+    // instance has run updateMain, so changes the parent makes in its own
+    // events show up the same step.
+    let attachCount = 0;
+
+    // Attach child to parent. offset_x, offset_y is where the child's x, y
+    // sits relative to the parent's x, y before the parent is rotated or
+    // scaled. Pass destroy_with_parent = false to keep the child alive
+    // (and detached) when the parent is destroyed.
+    engine.instance_attach = function (child, parent, offset_x = 0, offset_y = 0, destroy_with_parent = true) {
+        for (let p = parent; p; p = p.attach_parent) {
+            if (p === child) {
+                console.warn("Cannot attach an instance to itself or one of its own children");
+                return false;
+            }
+        }
+
+        engine.instance_detach(child);
+        child.attach_parent = parent;
+        child.attach_offset_x = offset_x;
+        child.attach_offset_y = offset_y;
+        child.attach_destroy_with_parent = destroy_with_parent;
+        parent.attach_children.push(child);
+        attachCount++;
+
+        attachResolve(child);
+        return true;
+    };
+
+    // Detach child, leaving it where it is
+    engine.instance_detach = function (child) {
+        const parent = child.attach_parent;
+        if (!parent) return;
+
+        const index = parent.attach_children.indexOf(child);
+        if (index >= 0) parent.attach_children.splice(index, 1);
+        child.attach_parent = null;
+        attachCount--;
+    };
+
+    // Place child from its parent's current transform, then its own children
+    function attachResolve(child) {
+        const parent = child.attach_parent;
+        const angle = parent.image_angle * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        // Rotate the offset around the parent's pivot, like its mask
+        const pivot = instancePivot(parent);
+        const px = pivot.x;
+        const py = pivot.y;
+        const dx = (child.attach_offset_x - px) * parent.image_xscale;
+        const dy = (child.attach_offset_y - py) * parent.image_yscale;
+
+        child.x = parent.x + px + dx * cos - dy * sin;
+        child.y = parent.y + py + dx * sin + dy * cos;
+        child.image_angle = parent.image_angle + child.attach_angle;
+        child.image_xscale = parent.image_xscale * child.attach_xscale;
+        child.image_yscale = parent.image_yscale * child.attach_yscale;
+        child.visible = parent.visible && child.attach_visible;
+
+        for (let i = 0; i < child.attach_children.length; i++) {
+            attachResolve(child.attach_children[i]);
+        }
+    }
+
+    // Resolve every attachment tree from its root
+    engine.attach_update = function () {
+        if (attachCount <= 0) return;
+
+        for (let i = 0; i < engine.gameObjects.length; i++) {
+            const list = engine.gameObjects[i].instances;
+            for (let j = 0; j < list.length; j++) {
+                const ins = list[j];
+                if (ins.attach_parent === null && ins.attach_children.length > 0) {
+                    for (let k = 0; k < ins.attach_children.length; k++) {
+                        attachResolve(ins.attach_children[k]);
+                    }
+                }
+            }
+        }
+    };
+
+    // Instance queries
+    // obj may be an object (its children included) or all. Inactive and
+    // destroyed instances are skipped.
+    function instancesOf(obj) {
+        const list = [];
+        for (let i = 0; i < engine.gameObjects.length; i++) {
+            const o = engine.gameObjects[i];
+            if (obj !== engine.all && !engine.object_is_ancestor(o, obj)) continue;
+
+            for (let j = 0; j < o.instances.length; j++) {
+                const ins = o.instances[j];
+                if (ins.active && !ins.need_removed) list.push(ins);
+            }
+        }
+        return list;
+    }
+
+    engine.instance_number = function (obj) {
+        return instancesOf(obj).length;
+    };
+
+    // The nth instance of obj, or null. Instances are counted object by
+    // object in the order the objects were added, then in creation order.
+    engine.instance_find = function (obj, n) {
+        return instancesOf(obj)[n] || null;
+    };
+
+    // Closest or furthest instance of obj from x, y (measured to each instance's x, y)
+    engine.instance_nearest = function (x, y, obj) {
+        let best = null;
+        let bestDist = Infinity;
+        const list = instancesOf(obj);
+        for (let i = 0; i < list.length; i++) {
+            const dist = (list[i].x - x) * (list[i].x - x) + (list[i].y - y) * (list[i].y - y);
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = list[i];
+            }
+        }
+        return best;
+    };
+
+    engine.instance_furthest = function (x, y, obj) {
+        let best = null;
+        let bestDist = -1;
+        const list = instancesOf(obj);
+        for (let i = 0; i < list.length; i++) {
+            const dist = (list[i].x - x) * (list[i].x - x) + (list[i].y - y) * (list[i].y - y);
+            if (dist > bestDist) {
+                bestDist = dist;
+                best = list[i];
+            }
+        }
+        return best;
+    };
+
+    // Call fn once per instance of obj with this set to the instance and
+    // other passed as its argument. By default other is the instance that is
+    // calling: the one whose event is running, or inside another
+    // with_instances, the instance that function is running as. Returning
+    // false from fn stops early. Instances created or destroyed by fn do not
+    // change the current pass.
+    engine.with_instances = function (obj, fn, other = withSelf || (eventContext ? eventContext.instance : null)) {
+        const list = instancesOf(obj);
+        const previousSelf = withSelf;
+        try {
+            for (let i = 0; i < list.length; i++) {
+                if (list[i].need_removed) continue;
+                withSelf = list[i];
+                if (fn.call(list[i], other) === false) break;
+            }
+        } finally {
+            withSelf = previousSelf;
+        }
+        return list.length;
+    };
+
+    // Destroy every instance of obj; returns how many were destroyed
+    engine.instance_destroy_all = function (obj) {
+        const list = instancesOf(obj);
+        for (let i = 0; i < list.length; i++) {
+            list[i].instance_destroy();
+        }
+        return list.length;
+    };
+
+    // Higher depth is drawn first, so lower depth ends up in front.
+    // Array.prototype.sort is stable, so equal depths keep creation order.
+    engine.depth_compare = function (a, b) {
+        return (b.depth || 0) - (a.depth || 0);
+    };
+
+    // Rebuild the engine-wide render list from every visible instance
+    engine.render_list_update = function () {
+        const list = engine.render_list;
+        list.length = 0;
+
+        for (let i = 0; i < engine.gameObjects.length; i++) {
+            const obj = engine.gameObjects[i];
+            if (!obj.instances) continue;
+
+            for (let j = 0; j < obj.instances.length; j++) {
+                const ins = obj.instances[j];
+                if (ins.visible && ins.active) {
+                    list.push(ins);
+                }
+            }
+        }
+
+        list.sort(engine.depth_compare);
+        return list;
+    };
+
+    // Move instances to their interpolated positions for drawing
+    engine.render_interpolate_begin = function (list, alpha) {
+        for (let i = 0; i < list.length; i++) {
+            const ins = list[i];
+            ins._step_x = ins.x;
+            ins._step_y = ins.y;
+            ins.x = ins.xprevious + (ins.x - ins.xprevious) * alpha;
+            ins.y = ins.yprevious + (ins.y - ins.yprevious) * alpha;
+        }
+    };
+
+    // Put instances back at their simulated positions after drawing
+    engine.render_interpolate_end = function (list) {
+        for (let i = 0; i < list.length; i++) {
+            const ins = list[i];
+            ins.x = ins._step_x;
+            ins.y = ins._step_y;
+        }
+    };
+
+    // Run logic at a fixed rate (steps per second); 0 returns to one step per frame
+    engine.set_fixed_step = function (rate) {
+        engine.fixed_step = rate > 0 ? rate : 0;
+        engine.step_accumulator = 0;
+        engine.interpolation_alpha = 1;
+    };
+
+    // Remove every instance flagged by instance_destroy()
+    engine.instance_cleanup = function () {
+        for (let i = 0; i < engine.gameObjects.length; i++) {
+            const obj = engine.gameObjects[i];
+            if (!obj.instances) continue;
+
+            for (let j = obj.instances.length - 1; j >= 0; j--) {
+                if (obj.instances[j].need_removed) {
+                    const ins = obj.instances[j];
+                    engine.spatial_remove(ins);
+                    obj.instances.splice(j, 1);
+                    if (obj.pool) poolReturn(ins);
+                }
+            }
+        }
+    };
+
+    // Collision masks
+    // A mask is turned into a world-space shape: a circle {x, y, radius} or a
+    // convex polygon {points}, scaled by image_xscale/yscale and then turned
+    // by image_angle around the instance's pivot, as the sprite is drawn.
+    // Overlaps use the separating axis test. Plain unrotated, unscaled boxes
+    // skip all of this and use the old rectangle test.
+    function maskIsBox(ins) {
+        const scale = instanceScale(ins);
+        return !ins.mask && !ins.image_angle && scale.x === 1 && scale.y === 1;
+    }
+
+    function instanceScale(ins) {
+        return {
+            x: ins.image_xscale === undefined ? 1 : ins.image_xscale,
+            y: ins.image_yscale === undefined ? 1 : ins.image_yscale
+        };
+    }
+
+    function maskShape(ins, x = ins.x, y = ins.y) {
+        const mask = ins.mask;
+        const angle = (ins.image_angle || 0) * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const scale = instanceScale(ins);
+        const pivot = instancePivot(ins);
+        const px = pivot.x;
+        const py = pivot.y;
+        const point = (lx, ly) => {
+            const dx = (lx - px) * scale.x;
+            const dy = (ly - py) * scale.y;
+            return { x: x + px + dx * cos - dy * sin, y: y + py + dx * sin + dy * cos };
+        };
+
+        // Circles stay round, growing with the larger of the two scales
+        if (mask && mask.type === 'circle') {
+            const centre = point(mask.x, mask.y);
+            return { x: centre.x, y: centre.y, radius: mask.radius * Math.max(Math.abs(scale.x), Math.abs(scale.y)) };
+        }
+        if (mask && mask.type === 'polygon') {
+            return { points: mask.points.map(p => point(p.x, p.y)) };
+        }
+
+        const box = mask && mask.type === 'box' ? mask : { left: 0, top: 0, right: ins.width, bottom: ins.height };
+        return {
+            points: [
+                point(box.left, box.top),
+                point(box.right, box.top),
+                point(box.right, box.bottom),
+                point(box.left, box.bottom)
+            ]
+        };
+    }
+
+    function shapeBounds(shape) {
+        if (shape.points === undefined) {
+            return {
+                left: shape.x - shape.radius,
+                top: shape.y - shape.radius,
+                right: shape.x + shape.radius,
+                bottom: shape.y + shape.radius
+            };
+        }
+
+        const bounds = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+        for (let i = 0; i < shape.points.length; i++) {
+            const p = shape.points[i];
+            bounds.left = Math.min(bounds.left, p.x);
+            bounds.top = Math.min(bounds.top, p.y);
+            bounds.right = Math.max(bounds.right, p.x);
+            bounds.bottom = Math.max(bounds.bottom, p.y);
+        }
+        return bounds;
+    }
+
+    function shapeCentre(shape) {
+        if (shape.points === undefined) return shape;
+
+        let x = 0;
+        let y = 0;
+        for (let i = 0; i < shape.points.length; i++) {
+            x += shape.points[i].x;
+            y += shape.points[i].y;
+        }
+        return { x: x / shape.points.length, y: y / shape.points.length };
+    }
+
+    function shapeProject(shape, ax, ay) {
+        if (shape.points === undefined) {
+            const centre = shape.x * ax + shape.y * ay;
+            return [centre - shape.radius, centre + shape.radius];
+        }
+
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < shape.points.length; i++) {
+            const d = shape.points[i].x * ax + shape.points[i].y * ay;
+            if (d < min) min = d;
+            if (d > max) max = d;
+        }
+        return [min, max];
+    }
+
+    // Edge normals of a polygon, or for a circle the direction to the
+    // other shape's closest vertex
+    function shapeAxes(shape, other, axes) {
+        if (shape.points !== undefined) {
+            const points = shape.points;
+            for (let i = 0; i < points.length; i++) {
+                const a = points[i];
+                const b = points[(i + 1) % points.length];
+                axes.push([a.y - b.y, b.x - a.x]);
+            }
+        } else if (other.points !== undefined) {
+            let best = null;
+            let bestDist = Infinity;
+            for (let i = 0; i < other.points.length; i++) {
+                const p = other.points[i];
+                const dist = (p.x - shape.x) * (p.x - shape.x) + (p.y - shape.y) * (p.y - shape.y);
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    best = p;
+                }
+            }
+            axes.push([best.x - shape.x, best.y - shape.y]);
+        }
+    }
+
+    // How far a must move, along {x, y}, to stop overlapping b. Null when
+    // the shapes do not overlap; touching edges do not count.
+    function shapeSeparation(a, b) {
+        const centreA = shapeCentre(a);
+        const centreB = shapeCentre(b);
+
+        if (a.points === undefined && b.points === undefined) {
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            const depth = a.radius + b.radius - dist;
+            if (depth <= 0) return null;
+            return dist > 0 ? { x: dx / dist, y: dy / dist, depth: depth } : { x: 0, y: -1, depth: depth };
+        }
+
+        const axes = [];
+        shapeAxes(a, b, axes);
+        shapeAxes(b, a, axes);
+
+        let best = null;
+        for (let i = 0; i < axes.length; i++) {
+            const length = Math.sqrt(axes[i][0] * axes[i][0] + axes[i][1] * axes[i][1]);
+            if (length === 0) continue;
+
+            const ax = axes[i][0] / length;
+            const ay = axes[i][1] / length;
+            const pa = shapeProject(a, ax, ay);
+            const pb = shapeProject(b, ax, ay);
+            const overlap = Math.min(pa[1], pb[1]) - Math.max(pa[0], pb[0]);
+            if (overlap <= 0) return null;
+
+            if (best === null || overlap < best.depth) {
+                const flip = (centreA.x - centreB.x) * ax + (centreA.y - centreB.y) * ay < 0;
+                best = { x: flip ? -ax : ax, y: flip ? -ay : ay, depth: overlap };
+            }
+        }
+        return best;
+    }
+
+    // Precise masks are bitsets, one bit per sprite pixel, packed into 32 bit
+    // words row by row. Until the sprite's mask is available the instance
+    // collides as its box.
+    function maskPrecise(ins) {
+        const mask = ins.mask;
+        return mask && mask.type === 'precise' && mask.sprite && mask.sprite.precise_mask || null;
+    }
+
+    // Is the world point wx, wy on a solid pixel of ins placed at x, y?
+    // The point is turned back by image_angle and then unscaled, undoing maskShape.
+    function preciseContains(ins, data, x, y, wx, wy) {
+        const scale = instanceScale(ins);
+        if (scale.x === 0 || scale.y === 0) return false;
+
+        const pivot = instancePivot(ins);
+        let dx = wx - x - pivot.x;
+        let dy = wy - y - pivot.y;
+        if (ins.image_angle) {
+            const angle = -ins.image_angle * Math.PI / 180;
+            const rx = dx * Math.cos(angle) - dy * Math.sin(angle);
+            dy = dx * Math.sin(angle) + dy * Math.cos(angle);
+            dx = rx;
+        }
+        const lx = pivot.x + dx / scale.x;
+        const ly = pivot.y + dy / scale.y;
+
+        // Sample the frame being shown when the mask's sprite is animated
+        const sprite = ins.mask.sprite;
+        const frames = spriteFrames(sprite);
+        const frameWidth = Math.floor(data.width / frames.columns);
+        const frameHeight = Math.floor(data.height / Math.ceil(frames.count / frames.columns));
+        let px = Math.floor(lx * frameWidth / ins.width);
+        let py = Math.floor(ly * frameHeight / ins.height);
+        if (px < 0 || py < 0 || px >= frameWidth || py >= frameHeight) return false;
+
+        if (frames.count > 1) {
+            const frame = ins.sprite_index === sprite ? ((Math.floor(ins.image_index) % frames.count) + frames.count) % frames.count : 0;
+            px += (frame % frames.columns) * frameWidth;
+            py += Math.floor(frame / frames.columns) * frameHeight;
+        }
+
+        const stride = Math.ceil(data.width / 32);
+        return (data.bits[py * stride + (px >> 5)] & (1 << (px & 31))) !== 0;
+    }
+
+    // Test pixel centres where the two bounding boxes overlap
+    function preciseScan(a, b, test) {
+        const left = Math.max(a.left, b.left);
+        const top = Math.max(a.top, b.top);
+        const right = Math.min(a.right, b.right);
+        const bottom = Math.min(a.bottom, b.bottom);
+        if (left >= right || top >= bottom) return false;
+
+        for (let wy = Math.floor(top) + 0.5; wy < bottom; wy++) {
+            if (wy < top) continue;
+            for (let wx = Math.floor(left) + 0.5; wx < right; wx++) {
+                if (wx >= left && test(wx, wy)) return true;
+            }
+        }
+        return false;
+    }
+
+    // A point test for any instance's mask, for use inside preciseScan
+    function maskPointTest(ins, x, y) {
+        const data = maskPrecise(ins);
+        if (data) return (wx, wy) => preciseContains(ins, data, x, y, wx, wy);
+        if (maskIsBox(ins)) return (wx, wy) => wx > x && wx < x + ins.width && wy > y && wy < y + ins.height;
+
+        const shape = maskShape(ins, x, y);
+        return (wx, wy) => shapeContainsPoint(shape, wx, wy);
+    }
+
+    // Does ins, placed at x, y, overlap other?
+    function instanceOverlaps(ins, x, y, other) {
+        if (maskPrecise(ins) || maskPrecise(other)) {
+            const testA = maskPointTest(ins, x, y);
+            const testB = maskPointTest(other, other.x, other.y);
+            return preciseScan(engine.mask_bounds(ins, x, y), engine.mask_bounds(other),
+                (wx, wy) => testA(wx, wy) && testB(wx, wy));
+        }
+        if (maskIsBox(ins) && maskIsBox(other)) {
+            return (x < other.x + other.width &&
+                x + ins.width > other.x &&
+                y < other.y + other.height &&
+                y + ins.height > other.y);
+        }
+        return shapeSeparation(maskShape(ins, x, y), maskShape(other)) !== null;
+    }
+
+    // Inside a convex polygon means on the same side of every edge
+    function shapeContainsPoint(shape, x, y) {
+        if (shape.points === undefined) {
+            return (x - shape.x) * (x - shape.x) + (y - shape.y) * (y - shape.y) < shape.radius * shape.radius;
+        }
+
+        let side = 0;
+        for (let i = 0; i < shape.points.length; i++) {
+            const a = shape.points[i];
+            const b = shape.points[(i + 1) % shape.points.length];
+            const cross = (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x);
+            if (cross === 0) return false;
+            if (side === 0) side = Math.sign(cross);
+            else if (Math.sign(cross) !== side) return false;
+        }
+        return true;
+    }
+
+    function instanceOverlapsShape(ins, shape) {
+        if (maskPrecise(ins)) {
+            const test = maskPointTest(ins, ins.x, ins.y);
+            return preciseScan(engine.mask_bounds(ins), shapeBounds(shape),
+                (wx, wy) => shapeContainsPoint(shape, wx, wy) && test(wx, wy));
+        }
+        return shapeSeparation(maskShape(ins), shape) !== null;
+    }
+
+    // World-space bounding box of an instance's mask, optionally at another position
+    engine.mask_bounds = function (ins, x = ins.x, y = ins.y) {
+        if (maskIsBox(ins)) {
+            return {
+                left: Math.min(x, x + ins.width),
+                top: Math.min(y, y + ins.height),
+                right: Math.max(x, x + ins.width),
+                bottom: Math.max(y, y + ins.height)
+            };
+        }
+        return shapeBounds(maskShape(ins, x, y));
+    };
+
+    // Build a precise mask from an image's alpha channel. Pixels more opaque
+    // than threshold (0-255) are solid. Returns null when the image cannot
+    // be read, e.g. a cross-origin image.
+    engine.mask_from_image = function (image, threshold = 0) {
+        const width = image.width;
+        const height = image.height;
+        if (!width || !height) return null;
+
+        try {
+            const canvas = canvasCreate();
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(image, 0, 0);
+            const pixels = ctx.getImageData(0, 0, width, height).data;
+
+            const stride = Math.ceil(width / 32);
+            const bits = new Uint32Array(stride * height);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    if (pixels[(y * width + x) * 4 + 3] > threshold) {
+                        bits[y * stride + (x >> 5)] |= 1 << (x & 31);
+                    }
+                }
+            }
+            return { width: width, height: height, bits: bits };
+        } catch (e) {
+            console.warn("Could not read image pixels for a precise mask:", e);
+            return null;
+        }
+    };
+
+    // Precise masks are embedded in game code as base64
+    engine.mask_to_base64 = function (mask) {
+        const bytes = new Uint8Array(mask.bits.buffer, mask.bits.byteOffset, mask.bits.byteLength);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    };
+
+    engine.mask_from_base64 = function (width, height, data) {
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return { width: width, height: height, bits: new Uint32Array(bytes.buffer) };
+    };
+
+    // Push-out vector for two overlapping instances: move a by
+    // (x * depth, y * depth) to separate it from b. Null when apart.
+    // Precise masks separate as their box.
+    engine.collision_separation = function (a, b) {
+        if (!a.active || !b.active) return null;
+        return shapeSeparation(maskShape(a), maskShape(b));
+    };
+
+    // Outline every active instance's mask, enabled with show_collision_masks.
+    // Invisible instances still collide, so they are outlined too.
+    engine.draw_collision_masks = function () {
+        const ctx = engine.surfaceTarget;
+        ctx.save();
+        ctx.globalAlpha = 0.8;
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = engine.c_lime;
+
+        for (let i = 0; i < engine.gameObjects.length; i++) {
+            const list = engine.gameObjects[i].instances;
+            for (let j = 0; j < list.length; j++) {
+                const ins = list[j];
+                if (!ins.active || ins.need_removed || ins.width === 0 && ins.height === 0 && !ins.mask) continue;
+
+                const shape = maskShape(ins);
+                ctx.beginPath();
+                if (shape.points === undefined) {
+                    ctx.arc(shape.x - engine.view_xview, shape.y - engine.view_yview, shape.radius, 0, Math.PI * 2);
+                } else {
+                    for (let k = 0; k < shape.points.length; k++) {
+                        const p = shape.points[k];
+                        ctx.lineTo(p.x - engine.view_xview, p.y - engine.view_yview);
+                    }
+                    ctx.closePath();
+                }
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
+    };
+
+    // Spatial hash
+    // Every instance is stored in the grid cells its bbox covers, so collision
+    // queries only test instances near the area asked about. Instances are
+    // re-hashed when created, after awake, at the end of their own step and
+    // before collision events.
+    function spatialKey(cx, cy) {
+        return (cx + 0x8000) * 0x10000 + (cy + 0x8000);
+    }
+
+    // obj may be an object, an array of objects, or omitted for any object.
+    // A parent object also matches instances of its children.
+    function spatialMatches(ins, obj, notme) {
+        if (ins === notme || !ins.active || ins.need_removed) return false;
+        if (obj === undefined || obj === null || obj === engine.all) return true;
+        if (Array.isArray(obj)) return obj.some(o => engine.object_is_ancestor(ins.object_id, o));
+        return engine.object_is_ancestor(ins.object_id, obj);
+    }
+
+    engine.spatial_update = function (ins) {
+        const size = engine.spatial_cell_size;
+        const bounds = engine.mask_bounds(ins);
+        const left = Math.floor(bounds.left / size);
+        const top = Math.floor(bounds.top / size);
+        const right = Math.floor(bounds.right / size);
+        const bottom = Math.floor(bounds.bottom / size);
+
+        if (ins._hashed) {
+            if (left === ins._cell_left && top === ins._cell_top &&
+                right === ins._cell_right && bottom === ins._cell_bottom) {
+                return;
+            }
+            engine.spatial_remove(ins);
+        }
+
+        for (let cx = left; cx <= right; cx++) {
+            for (let cy = top; cy <= bottom; cy++) {
+                const key = spatialKey(cx, cy);
+                let cell = engine.spatialHash.get(key);
+                if (!cell) {
+                    cell = new Set();
+                    engine.spatialHash.set(key, cell);
+                }
+                cell.add(ins);
+            }
+        }
+
+        ins._hashed = true;
+        ins._cell_left = left;
+        ins._cell_top = top;
+        ins._cell_right = right;
+        ins._cell_bottom = bottom;
+    };
+
+    engine.spatial_remove = function (ins) {
+        if (!ins._hashed) return;
+
+        for (let cx = ins._cell_left; cx <= ins._cell_right; cx++) {
+            for (let cy = ins._cell_top; cy <= ins._cell_bottom; cy++) {
+                const key = spatialKey(cx, cy);
+                const cell = engine.spatialHash.get(key);
+                if (cell) {
+                    cell.delete(ins);
+                    if (cell.size === 0) engine.spatialHash.delete(key);
+                }
+            }
+        }
+        ins._hashed = false;
+    };
+
+    engine.spatial_clear = function () {
+        engine.spatialHash.forEach(cell => cell.forEach(ins => { ins._hashed = false; }));
+        engine.spatialHash.clear();
+    };
+
+    // Change the cell size and re-hash every instance. Cells around the size
+    // of a typical instance work best.
+    //
+    // An instance moved by another instance's code, or by instance_attach,
+    // stays in its old cells until its own step ends or collision events are
+    // dispatched, so queries made in between can miss it. Code that moves
+    // other instances and queries straight away should call spatial_update
+    // on them first. Likewise an instance whose awake has not run yet is
+    // found by the size it was created with.
+    engine.spatial_set_cell_size = function (size) {
+        const hashed = [];
+        engine.spatialHash.forEach(cell => cell.forEach(ins => hashed.push(ins)));
+        engine.spatial_clear();
+        engine.spatial_cell_size = Math.max(1, size);
+        for (let i = 0; i < hashed.length; i++) {
+            engine.spatial_update(hashed[i]);
+        }
+    };
+
+    // Instances whose hashed cells touch the rectangle. This is only the
+    // broadphase: callers still test the exact shape.
+    engine.spatial_query = function (x1, y1, x2, y2, obj, notme) {
+        const size = engine.spatial_cell_size;
+        const left = Math.floor(Math.min(x1, x2) / size);
+        const top = Math.floor(Math.min(y1, y2) / size);
+        const right = Math.floor(Math.max(x1, x2) / size);
+        const bottom = Math.floor(Math.max(y1, y2) / size);
+        const mark = ++engine.spatialQueryMark;
+        const result = [];
+
+        const collect = cell => {
+            for (const ins of cell) {
+                if (ins._query_mark === mark) continue;
+                ins._query_mark = mark;
+                if (spatialMatches(ins, obj, notme)) result.push(ins);
+            }
+        };
+
+        // Huge areas visit the occupied cells instead of every empty one
+        if ((right - left + 1) * (bottom - top + 1) > engine.spatialHash.size) {
+            engine.spatialHash.forEach((cell, key) => {
+                const cx = Math.floor(key / 0x10000) - 0x8000;
+                const cy = key % 0x10000 - 0x8000;
+                if (cx >= left && cx <= right && cy >= top && cy <= bottom) collect(cell);
+            });
+            return result;
+        }
+
+        for (let cx = left; cx <= right; cx++) {
+            for (let cy = top; cy <= bottom; cy++) {
+                const cell = engine.spatialHash.get(spatialKey(cx, cy));
+                if (cell) collect(cell);
+            }
+        }
+        return result;
+    };
+
+    // Every instance of obj overlapping the rectangle, except notme
+    engine.collision_rectangle_list = function (x1, y1, x2, y2, obj, notme) {
+        const left = Math.min(x1, x2);
+        const top = Math.min(y1, y2);
+        const right = Math.max(x1, x2);
+        const bottom = Math.max(y1, y2);
+
+        const list = engine.spatial_query(left, top, right, bottom, obj, notme);
+        let rect = null;
+
+        return list.filter(ins => {
+            if (maskIsBox(ins)) {
+                return ins.x < right && ins.x + ins.width > left &&
+                    ins.y < bottom && ins.y + ins.height > top;
+            }
+            rect = rect || { points: [
+                { x: left, y: top }, { x: right, y: top },
+                { x: right, y: bottom }, { x: left, y: bottom }
+            ] };
+            return instanceOverlapsShape(ins, rect);
+        });
+    };
+
+    // First instance of obj overlapping the rectangle, or null.
+    // Pass the calling instance as notme to skip it.
+    engine.collision_rectangle = function (x1, y1, x2, y2, obj, notme) {
+        const list = engine.collision_rectangle_list(x1, y1, x2, y2, obj, notme);
+        return list.length > 0 ? list[0] : null;
+    };
+
+    engine.collision_circle = function (x, y, radius, obj, notme) {
+        const list = engine.spatial_query(x - radius, y - radius, x + radius, y + radius, obj, notme);
+        for (let i = 0; i < list.length; i++) {
+            const ins = list[i];
+            if (!maskIsBox(ins)) {
+                if (instanceOverlapsShape(ins, { x: x, y: y, radius: radius })) return ins;
+                continue;
+            }
+            const nx = Math.max(ins.x, Math.min(x, ins.x + ins.width));
+            const ny = Math.max(ins.y, Math.min(y, ins.y + ins.height));
+            if ((x - nx) * (x - nx) + (y - ny) * (y - ny) < radius * radius) {
+                return ins;
+            }
+        }
+        return null;
+    };
+
+    engine.collision_point = function (x, y, obj, notme) {
+        const list = engine.spatial_query(x, y, x, y, obj, notme);
+        for (let i = 0; i < list.length; i++) {
+            const ins = list[i];
+            if (!maskIsBox(ins)) {
+                if (maskPointTest(ins, ins.x, ins.y)(x, y)) return ins;
+                continue;
+            }
+            if (x >= ins.x && x < ins.x + ins.width && y >= ins.y && y < ins.y + ins.height) {
+                return ins;
+            }
+        }
+        return null;
+    };
+
+    // Surface management functions
+    // Create a new surface (offscreen canvas)
+    engine.surface_create = function(width, height) {
+        // Create a unique ID for the surface
+        const id = 'surface_' + Date.now() + '_' + Math.floor(Math.random() * 1000);
+        
+        // Create the canvas
+        const canvas = canvasCreate();
+        canvas.width = width;
+        canvas.height = height;
+        
+        // Get and store the context
+        const ctx = canvas.getContext('2d');
+        
+        // Create the surface object
+        const surface = {
+            id: id,
+            canvas: canvas,
+            context: ctx,
+            width: width,
+            height: height,
+            isValid: true
+        };
+        
+        // Store it in the surfaces collection
+        engine.surfaces[id] = surface;
+        
+        return surface;
+    };
+
+    // Set the active drawing target to a surface
+    engine.surface_set_target = function(surface) {
+        if (!surface || !surface.isValid) {
+            console.error("Cannot set target: Invalid surface");
+            return false;
+        }
+        
+        // If this is our first surface set, store the default surface
+        if (engine.currentSurfaceStack.length === 0) {
+            engine.defaultSurface = engine.surfaceTarget;
+        }
+        
+        // Push current surface to the stack
+        engine.currentSurfaceStack.push(engine.surfaceTarget);
+        
+        // Set the new surface as the target
+        engine.surfaceTarget = surface.context;
+        
+        return true;
+    };
+
+    // Reset the drawing target to the previous surface
+    engine.surface_reset_target = function() {
+        if (engine.currentSurfaceStack.length === 0) {
+            console.error("Cannot reset target: No surface on stack");
+            return false;
+        }
+        
+        // Pop the last surface from the stack
+        engine.surfaceTarget = engine.currentSurfaceStack.pop();
+        
+        return true;
+    };
+    
+    // Free a surface from memory
+    engine.surface_free = function(surface) {
+        if (!surface || !surface.isValid) {
+            return false;
+        }
+        
+        // Mark as invalid
+        surface.isValid = false;
+        
+        // Remove from collection
+        delete engine.surfaces[surface.id];
+        
+        return true;
+    };
+    
+    // Check if a surface is valid
+    engine.surface_exists = function(surface) {
+        return surface && surface.isValid;
+    };
+    
+    // Draw a surface at the specified position
+    engine.draw_surface = function(surface, x, y, width, height) {
+        if (!surface || !surface.isValid) {
+            console.error("Cannot draw surface: Invalid surface");
+            return false;
+        }
+        
+        width = width || surface.width;
+        height = height || surface.height;
+        
+        engine.surfaceTarget.drawImage(
+            surface.canvas,
+            x - engine.view_xview,
+            y - engine.view_yview,
+            width,
+            height
+        );
+        
+        return true;
+    };
+    
+    // Draw a part of a surface (like sprite_part)
+    engine.draw_surface_part = function(surface, sx, sy, sw, sh, x, y, width, height) {
+        if (!surface || !surface.isValid) {
+            console.error("Cannot draw surface part: Invalid surface");
+            return false;
+        }
+        
+        width = width || sw;
+        height = height || sh;
+        
+        engine.surfaceTarget.drawImage(
+            surface.canvas,
+            sx, sy, sw, sh,
+            x - engine.view_xview,
+            y - engine.view_yview,
+            width, height
+        );
+        
+        return true;
+    };
+    
+    // Clear a surface with a specific color
+    engine.surface_clear = function(surface, color) {
+        if (!surface || !surface.isValid) {
+            console.error("Cannot clear surface: Invalid surface");
+            return false;
+        }
+        
+        // Store current target
+        const currentTarget = engine.surfaceTarget;
+        
+        // Set target to this surface
+        engine.surfaceTarget = surface.context;
+        
+        // Clear with color
+        const originalStyle = engine.surfaceTarget.fillStyle;
+        engine.surfaceTarget.fillStyle = color || "transparent";
+        engine.surfaceTarget.clearRect(0, 0, surface.width, surface.height);
+        engine.surfaceTarget.fillRect(0, 0, surface.width, surface.height);
+        engine.surfaceTarget.fillStyle = originalStyle;
+        
+        // Reset target
+        engine.surfaceTarget = currentTarget;
+        
+        return true;
+    };
+    
+    // Save surface to an image file (browser download)
+    engine.surface_save = function(surface, filename) {
+        if (!surface || !surface.isValid) {
+            console.error("Cannot save surface: Invalid surface");
+            return false;
+        }
+        
+        try {
+            // Create a download link
+            const link = document.createElement('a');
+            link.download = filename || 'surface.png';
+            link.href = surface.canvas.toDataURL('image/png');
+            
+            // Trigger click
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+            return true;
+        } catch (e) {
+            console.error("Error saving surface:", e);
+            return false;
+        }
+    };
+    
+    // Get a pixel's color from a surface
+    engine.surface_getpixel = function(surface, x, y) {
+        if (!surface || !surface.isValid) {
+            console.error("Cannot get pixel: Invalid surface");
+            return null;
+        }
+        
+        try {
+            const data = surface.context.getImageData(x, y, 1, 1).data;
+            return {
+                r: data[0],
+                g: data[1],
+                b: data[2],
+                a: data[3] / 255
+            };
+        } catch (e) {
+            console.error("Error getting pixel data:", e);
             return null;
         }
     };
-    
-    // Copy one surface to another
-    engine.surface_copy = function(targetSurface, x, y, sourceSurface) {
-        if (!targetSurface || !targetSurface.isValid || !sourceSurface || !sourceSurface.isValid) {
-            console.error("Cannot copy surface: Invalid surface");
-            return false;
+    
+    // Copy one surface to another
+    engine.surface_copy = function(targetSurface, x, y, sourceSurface) {
+        if (!targetSurface || !targetSurface.isValid || !sourceSurface || !sourceSurface.isValid) {
+            console.error("Cannot copy surface: Invalid surface");
+            return false;
+        }
+        
+        const currentTarget = engine.surfaceTarget;
+        engine.surfaceTarget = targetSurface.context;
+        
+        engine.surfaceTarget.drawImage(sourceSurface.canvas, x, y);
+        
+        engine.surfaceTarget = currentTarget;
+        return true;
+    };
+    
+    // Blend mode management
+    engine.blendModes = {
+        bm_normal: "source-over",
+        bm_add: "lighter",
+        bm_subtract: "difference",
+        bm_multiply: "multiply",
+        bm_screen: "screen",
+        bm_overlay: "overlay",
+        bm_darken: "darken",
+        bm_lighten: "lighten",
+        bm_destination_over: "destination-over",
+        bm_source_in: "source-in",
+        bm_destination_in: "destination-in",
+        bm_source_out: "source-out",
+        bm_destination_out: "destination-out",
+        bm_source_atop: "source-atop",
+        bm_destination_atop: "destination-atop",
+        bm_xor: "xor",
+        bm_copy: "copy"
+    };
+    
+    // Set the current blend mode
+    engine.surface_set_blendmode = function(mode) {
+        if (typeof mode === 'string' && engine.blendModes[mode]) {
+            engine.surfaceTarget.globalCompositeOperation = engine.blendModes[mode];
+        } else if (Object.values(engine.blendModes).includes(mode)) {
+            engine.surfaceTarget.globalCompositeOperation = mode;
+        } else {
+            console.error("Invalid blend mode:", mode);
+            return false;
+        }
+        return true;
+    };
+    
+    // Reset blend mode to normal
+    engine.surface_set_blendmode_normal = function() {
+        engine.surfaceTarget.globalCompositeOperation = "source-over";
+    };
+    
+    // Set blend mode to additive
+    engine.surface_set_blendmode_add = function() {
+        engine.surfaceTarget.globalCompositeOperation = "lighter";
+    };
+    
+    // Set blend mode to subtractive
+    engine.surface_set_blendmode_subtract = function() {
+        engine.surfaceTarget.globalCompositeOperation = "difference";
+    };
+
+    // Assign blend mode constants to engine
+    for (const [key, value] of Object.entries(engine.blendModes)) {
+        engine[key] = key;
+        host[key] = key;
+    }
+
+    // Game initialization
+    // Start a fresh game, with a random seed unless one is given
+    engine.gameStart = function (seed) {
+        if (!engine.headless) cancelAnimationFrame(engine.animationFrame);
+
+        // Reset game state
+        engine.gameObjects = [];
+        engine.pools = [];
+        engine.namedResources = {};
+        engine.room_width = 1024;
+        engine.room_height = 768;
+        engine.view_xview = 0;
+        engine.view_yview = 0;
+        engine.view_wview = 640;
+        engine.view_hview = 480;
+        viewReset();
+        engine.time_scale = 1.0;
+        engine.set_fixed_step(0);
+        engine.spatial_clear();
+        attachCount = 0;
+        engine.rooms = {};
+        engine.room_order = [];
+        engine.room = null;
+        engine.room_pending = null;
+        engine.room_transition = null;
+        engine.save_pending = null;
+        engine.recording = null;
+        engine.replay = null;
+        roomPlaced.clear();
+        engine.inputDefaults = {};
+        engine.inputActions = {};
+        engine.inputAxes = {};
+        engine.inputListen = null;
+        engine.virtual_controls_clear();
+        engine.audio_stop_all();
+        engine.audio_listener = null;
+        engine.dt = 0.016; // Default to ~60fps for first frame
+        if (seed !== undefined && seed !== null) {
+            engine.random_set_seed(seed);
+        } else {
+            engine.randomize();
+        }
+        randomStartSeed = randomSeed;
+
+        // Initialize canvas
+        const canvas = engine.createCanvas();
+        canvas.width = engine.view_wview;
+        canvas.height = engine.view_hview;
+        engine.canvas = canvas; 
+        engine.context = canvas.getContext('2d');
+        if (!engine.context) {
+            console.error("Failed to get 2D context");
+            return;
+        }
+        engine.surfaceTarget = engine.context;
+        engine.defaultSurface = engine.surfaceTarget;
+
+        // Set default drawing properties
+        engine.draw_set_font(24, 'Arial');
+        engine.draw_set_align('left');
+        engine.draw_set_color(engine.c_white);
+
+        // Create global control object
+        const globalObj = engine.object_add();
+        globalObj.awake = function () {
+            this.debug_mode = true;
+            this.text_color = engine.c_red;
+        };
+
+        globalObj.draw_gui = function () {
+            if (this.debug_mode) {
+                engine.draw_set_color(this.text_color);
+                engine.draw_set_alpha(engine.a_100);
+                engine.draw_text(
+                    engine.view_xview,
+                    engine.view_yview,
+                    `Obj Count: ${engine.object_count}; Inst Count: ${engine.instance_count}; FPS: ${engine.fps}`
+                );
+
+                // One line per pooled object
+                for (let i = 0; i < engine.pools.length; i++) {
+                    const obj = engine.pools[i];
+                    const stats = engine.instance_pool_stats(obj);
+                    engine.draw_text(
+                        engine.view_xview,
+                        engine.view_yview + 28 * (i + 1),
+                        `Pool ${obj.object_name || i}: ${stats.in_use}/${stats.size} in use; reused ${stats.reused}; allocated ${stats.allocated}`
+                    );
+                }
+                engine.draw_set_color(engine.c_white);
+            }
+        };
+
+        globalObj.persistent = true;
+        engine.control = engine.instance_create(0, 0, globalObj);
+        engine.lastTick = new Date().getTime();
+
+        // Start game loop; a headless game waits for engine.step
+        if (!engine.headless) engine.updateGameArea();
+    };
+
+    // Helper function to generate a spline path through points
+    engine._drawSplinePath = function(points, tension, closeShape) {
+        const ctx = engine.surfaceTarget;
+        const len = points.length;
+        
+        if (len < 3) return; // Not enough points for a spline
+        
+        ctx.moveTo(points[0].x, points[0].y);
+        
+        // Create a closed loop if requested
+        const pts = closeShape ? [...points, ...points.slice(0, 3)] : points;
+        const numPoints = pts.length;
+        
+        // Tension controls how "tight" the curve is (0.5 is a good default)
+        const t = Math.min(1, Math.max(0, tension)) * 0.5;
+        
+        // Draw the splines
+        for (let i = 0; i < numPoints - 3; i++) {
+            const p0 = pts[i];
+            const p1 = pts[i+1];
+            const p2 = pts[i+2];
+            const p3 = pts[i+3];
+            
+            // Calculate control points
+            const cp1x = p1.x + (p2.x - p0.x) * t;
+            const cp1y = p1.y + (p2.y - p0.y) * t;
+            const cp2x = p2.x - (p3.x - p1.x) * t;
+            const cp2y = p2.y - (p3.y - p1.y) * t;
+            
+            // Draw cubic Bezier curve
+            ctx.bezierCurveTo(cp1x, cp1y, cp2x, cp2y, p2.x, p2.y);
+        }
+        
+        if (closeShape) {
+            ctx.closePath();
+        }
+    };
+
+    engine.gameRestartEval = function (seed) {
+        engine.gameStart(seed);
+        const code = document.getElementById(engine.textboxId).value;
+        engine.execute_string(code);
+    };
+
+    // Restart the game
+    engine.gameRestart = function () {
+        engine.gameStart();
+    };
+
+    // Execute code from a string
+    engine.execute_string = function (code) {
+        try {
+            eval(code);
+        } catch (e) {
+            console.error("Code execution error:", e);
+        }
+    };
+
+    // Call collision_<name>(other) on every instance that overlaps an instance
+    // of the named object. Each instance gets its own call, so when both
+    // objects define events for each other both sides fire.
+    engine.collision_dispatch_events = function () {
+        // Catch instances moved by others after their own step
+        for (let i = 0; i < engine.gameObjects.length; i++) {
+            const list = engine.gameObjects[i].instances;
+            for (let j = 0; j < list.length; j++) {
+                if (list[j].active) engine.spatial_update(list[j]);
+            }
+        }
+
+        for (let i = 0; i < engine.gameObjects.length; i++) {
+            const obj = engine.gameObjects[i];
+            const events = objectEventNames(obj);
+
+            for (let e = 0; e < events.length; e++) {
+                const key = events[e];
+                if (!key.startsWith('collision_') || !objectEventOwner(obj, key)) continue;
+
+                const target = engine.object_get(key.substring(10));
+                if (!target) continue;
+
+                for (let j = 0; j < obj.instances.length; j++) {
+                    const ins = obj.instances[j];
+                    if (!ins.active) continue;
+
+                    const bounds = engine.mask_bounds(ins);
+                    const others = engine.spatial_query(bounds.left, bounds.top,
+                        bounds.right, bounds.bottom, target, ins);
+                    for (let k = 0; k < others.length; k++) {
+                        if (!ins.active || typeof ins[key] !== 'function') break;
+                        if (ins.check_collision(others[k])) {
+                            ins[key](others[k]);
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    // Run one logic step for every active instance
+    engine.updateStep = function () {
+        let insCount = 0;
+
+        engine.mouse_position_update();
+        engine.gamepad_update();
+        engine.input_listen_update();
+
+        // Update logic for all instances
+        for (let i = 0; i < engine.gameObjects.length; i++) {
+            const obj = engine.gameObjects[i];
+            if (obj.instances) {
+                for (let j = 0; j < obj.instances.length; j++) {
+                    const ins = obj.instances[j];
+                    if (ins.active) {
+                        ins.updateMain();
+                        insCount++;
+                    }
+                }
+            }
+        }
+
+        // Move attached instances with their parents
+        engine.attach_update();
+
+        // Dispatch collision_<name> events now every instance has moved
+        engine.collision_dispatch_events();
+
+        // Dispatch mouse_enter/mouse_leave/mouse_pressed events
+        engine.mouse_dispatch_events();
+
+        // Remove instances destroyed during this step, before anything is drawn
+        engine.instance_cleanup();
+
+        // Change room once the step is over
+        if (engine.room_pending !== null) {
+            roomSwitch(engine.room_pending);
+        }
+
+        // Load a save once the step is over
+        if (engine.save_pending !== null) {
+            saveRestore(engine.save_pending);
+        }
+
+        engine.instance_count = insCount;
+
+        // Advance input states so each press is seen by exactly one step
+        engine.keyboard_update();
+        engine.mouse_update();
+    };
+
+    // Draw events for every instance in the render list
+    function drawInstances(renderList) {
+        for (let i = 0; i < renderList.length; i++) {
+            const ins = renderList[i];
+            if (ins.visible && ins.active) {
+                ins.mainDraw();
+            }
+        }
+
+        if (engine.show_collision_masks) {
+            engine.draw_collision_masks();
+        }
+    }
+
+    // Main game loop
+    engine.updateGameArea = function () {
+        // Calculate delta time
+        const now = new Date().getTime();
+        const delta = (now - engine.lastTick) / 1000;
+        engine.lastTick = now;
+
+        frameRun(delta);
+
+        // Request next frame
+        engine.animationFrame = requestAnimationFrame(engine.updateGameArea);
+    };
+
+    // A frame of delta seconds, or the recorded frames due while replaying
+    function frameRun(delta) {
+        if (engine.replay) {
+            replayFrames(delta);
+        } else {
+            gameFrame(delta);
+        }
+    }
+
+    // Run the logic steps for delta seconds of game time, then draw
+    function gameFrame(delta) {
+        gamepadFrameRead();
+        if (engine.recording) recordFrame(delta);
+        engine.fps = Math.ceil(1 / delta);
+        if (engine.context.calls) engine.context.calls.length = 0;
+
+        // Clear the canvas; views draw their own background
+        const multiView = viewsEnabled();
+        engine.context.fillStyle = engine.background_color;
+        engine.context.fillRect(0, 0, engine.canvas.width, engine.canvas.height);
+
+        if (!multiView) {
+            engine.draw_background();
+        }
+
+        let steps = 0;
+
+        if (engine.fixed_step > 0) {
+            // Fixed rate: run as many steps as the scaled elapsed time allows
+            const step = 1 / engine.fixed_step;
+            engine.dt = step;
+            engine.step_accumulator += Math.min(delta, engine.max_frame_time) * engine.time_scale;
+
+            while (engine.step_accumulator >= step && steps < engine.max_steps_per_frame) {
+                engine.updateStep();
+                engine.step_accumulator -= step;
+                steps++;
+            }
+
+            // Drop any backlog we could not catch up on rather than spiralling
+            if (engine.step_accumulator >= step) {
+                engine.step_accumulator = 0;
+            }
+
+            engine.interpolation_alpha = engine.step_accumulator / step;
+        } else {
+            // Variable rate: one step per frame, scaled by time_scale
+            engine.dt = delta * engine.time_scale;
+            if (engine.time_scale > 0) {
+                engine.updateStep();
+                steps++;
+            }
+            engine.interpolation_alpha = 1;
+        }
+
+        // While paused, input still advances once per frame for draw_gui menus
+        if (steps === 0 && engine.time_scale <= 0) {
+            engine.gamepad_update();
+            engine.keyboard_update();
+            engine.mouse_update();
+        }
+
+        // Sort every visible instance by depth, across all objects
+        const renderList = engine.render_list_update();
+
+        // Draw instances between their previous and current step positions
+        const interpolate = engine.fixed_step > 0 && engine.interpolation_alpha < 1;
+        if (interpolate) {
+            engine.render_interpolate_begin(renderList, engine.interpolation_alpha);
+        }
+
+        // Draw all instances, once per view when views are enabled
+        inputDrawBegin();
+        if (multiView) {
+            viewDrawAll(renderList);
+        } else {
+            drawInstances(renderList);
+        }
+
+        // Draw GUI elements once, over every view, in the same depth order
+        for (let i = 0; i < renderList.length; i++) {
+            const ins = renderList[i];
+            if (ins.visible && ins.active) {
+                ins.mainDrawGui();
+            }
+        }
+        inputDrawEnd();
+
+        if (interpolate) {
+            engine.render_interpolate_end(renderList);
+        }
+
+        // Room transitions cover the game, but not the touch controls
+        engine.room_transition_update(delta);
+
+        // On-screen touch controls sit above everything else
+        engine.virtual_controls_draw();
+
+        // Update stats
+        engine.object_count = engine.gameObjects.length;
+
+        // Update mouse position
+        engine.mouse_position_update();
+
+        // Follow moving sound emitters
+        engine.audio_update();
+    }
+
+    // Mouse handling
+    engine.mouseButton = {}; // Held mouse buttons
+    engine.mouseButtonCode = {}; // Pressed (1), held (2) and released (-1) states
+
+    // Mouse button constants, matching MouseEvent.button
+    const mouseBindings = {
+        mb_left: 0,
+        mb_middle: 1,
+        mb_right: 2
+    };
+
+    for (const [key, value] of Object.entries(mouseBindings)) {
+        engine[key] = value;
+        host[key] = value;
+    }
+
+    // Convert a client position to canvas pixels, accounting for CSS scaling
+    // applied by the stretch/maintain/integer screen fit modes
+    engine.mouse_to_canvas = function (clientX, clientY) {
+        const canvas = engine.context.canvas;
+        const rect = canvas.getBoundingClientRect();
+        const scaleX = rect.width > 0 ? canvas.width / rect.width : 1;
+        const scaleY = rect.height > 0 ? canvas.height / rect.height : 1;
+        return {
+            x: (clientX - rect.left) * scaleX,
+            y: (clientY - rect.top) * scaleY
+        };
+    };
+
+    // Refresh mouse_x/mouse_y from the canvas position and current view
+    engine.mouse_position_update = function () {
+        // With views enabled, use the topmost view whose port holds the mouse
+        if (viewsEnabled()) {
+            for (let i = engine.views.length - 1; i >= 0; i--) {
+                const view = engine.views[i];
+                if (!view.visible) continue;
+
+                const port = viewPort(view);
+                if (engine.mx < port.x || engine.my < port.y ||
+                    engine.mx >= port.x + port.width || engine.my >= port.y + port.height) continue;
+
+                const world = viewToWorld(view, port, engine.mx, engine.my);
+                engine.mouse_x = world.x;
+                engine.mouse_y = world.y;
+                engine.mouse_view = i;
+                return;
+            }
+        }
+
+        engine.mouse_x = engine.mx + engine.view_xview;
+        engine.mouse_y = engine.my + engine.view_yview;
+        engine.mouse_view = 0;
+    };
+
+    // Check if a mouse button is currently held
+    engine.mouse_check_button = function (button) {
+        return engine.mouseButton[button] === true;
+    };
+
+    // Check if a mouse button was just pressed this step (or, in a draw
+    // event, since the last frame was drawn)
+    engine.mouse_check_button_pressed = function (button) {
+        if (inputDrawing) return drawEdge('mouse', button, 1);
+        return engine.mouseButtonCode[button] === 1;
+    };
+
+    // Check if a mouse button was just released this step
+    engine.mouse_check_button_released = function (button) {
+        if (inputDrawing) return drawEdge('mouse', button, -1);
+        return engine.mouseButtonCode[button] === -1;
+    };
+
+    engine.mouse_wheel_up = function () {
+        return engine.mouse_wheel < 0;
+    };
+
+    engine.mouse_wheel_down = function () {
+        return engine.mouse_wheel > 0;
+    };
+
+    // Reset the mouse state for the next step
+    engine.mouse_update = function () {
+        for (const button in engine.mouseButtonCode) {
+            if (engine.mouseButtonCode[button] === 1) {
+                engine.mouseButtonCode[button] = 2; // Set to held state
+            } else if (engine.mouseButtonCode[button] === -1) {
+                delete engine.mouseButtonCode[button];
+                delete engine.mouseButton[button];
+            }
+        }
+        engine.mouse_wheel = 0;
+    };
+
+    // Hit-test instances with pointer events against their bounding box
+    engine.mouse_dispatch_events = function () {
+        let pressedButton = -1;
+        for (const button in engine.mouseButtonCode) {
+            if (engine.mouseButtonCode[button] === 1) {
+                pressedButton = Number(button);
+                break;
+            }
+        }
+
+        for (let i = 0; i < engine.gameObjects.length; i++) {
+            const obj = engine.gameObjects[i];
+            if (!obj.instances) continue;
+
+            for (let j = 0; j < obj.instances.length; j++) {
+                const ins = obj.instances[j];
+                if (!ins.active || (!ins.mouse_enter && !ins.mouse_leave && !ins.mouse_pressed)) {
+                    continue;
+                }
+
+                const over = engine.mouse_x >= ins.bbox_left && engine.mouse_x < ins.bbox_right &&
+                    engine.mouse_y >= ins.bbox_top && engine.mouse_y < ins.bbox_bottom;
+
+                if (over && !ins.mouse_over) {
+                    ins.mouse_over = true;
+                    if (ins.mouse_enter) ins.mouse_enter();
+                } else if (!over && ins.mouse_over) {
+                    ins.mouse_over = false;
+                    if (ins.mouse_leave) ins.mouse_leave();
+                }
+
+                if (over && pressedButton !== -1 && ins.mouse_pressed) {
+                    ins.mouse_pressed(pressedButton);
+                }
+            }
+        }
+    };
+
+    // Listen for mouse movement
+    listen('mousemove', function (e) {
+        // Only process mouse movement if context and canvas are initialized
+        if (engine.context && engine.context.canvas) {
+            const pos = engine.mouse_to_canvas(e.clientX, e.clientY);
+            engine.mx = pos.x;
+            engine.my = pos.y;
+        }
+    });
+
+    // Only presses that start on the game canvas count
+    listen('mousedown', function (e) {
+        if (!engine.context || e.target !== engine.context.canvas) return;
+
+        if (!engine.mouseButton[e.button]) {
+            engine.mouseButton[e.button] = true;
+            engine.mouseButtonCode[e.button] = 1; // Just pressed
+            drawEdgeAdd('mouse', e.button, 1);
+        }
+    });
+
+    // Releases count anywhere, so a drag that leaves the canvas still ends
+    listen('mouseup', function (e) {
+        if (engine.mouseButton[e.button]) {
+            engine.mouseButton[e.button] = false;
+            engine.mouseButtonCode[e.button] = -1; // Just released
+            drawEdgeAdd('mouse', e.button, -1);
+        }
+    });
+
+    listen('wheel', function (e) {
+        if (!engine.context || e.target !== engine.context.canvas) return;
+
+        engine.mouse_wheel += e.deltaY;
+        e.preventDefault(); // Keep the page from scrolling while over the game
+    }, { passive: false });
+
+    // Keyboard handling
+    engine.key = {}; // Object to store key states
+    engine.keyCode = {}; // Object to store key codes
+
+    // Define key codes and bind them to the global object
+    const keyBindings = {
+        vk_left: 37,
+        vk_up: 38,
+        vk_right: 39,
+        vk_down: 40,
+        vk_space: 32,
+        vk_enter: 13,
+        vk_escape: 27,
+        vk_shift: 16,
+        vk_control: 17,
+        vk_alt: 18
+    };
+
+    // Assign key bindings to both engine and the global object
+    for (const [key, value] of Object.entries(keyBindings)) {
+        engine[key] = value;
+        host[key] = value;
+    }
+
+    // Key codes for letters A-Z
+    for (let i = 65; i <= 90; i++) {
+        const keyName = `vk_${String.fromCharCode(i).toLowerCase()}`;
+        engine[keyName] = i;
+        host[keyName] = i;
+    }
+
+    // Key codes for numbers 0-9
+    for (let i = 48; i <= 57; i++) {
+        const keyName = `vk_${i - 48}`;
+        engine[keyName] = i;
+        host[keyName] = i;
+    }
+
+    // Check if a key is currently pressed
+    engine.keyboard_check = function(keyCode) {
+        return engine.key[keyCode] === true;
+    };
+
+    // Check if a key was just pressed this step
+    engine.keyboard_check_pressed = function(keyCode) {
+        return keyEdge(keyCode, 1);
+    };
+
+    // Check if a key was just released this step
+    engine.keyboard_check_released = function(keyCode) {
+        return keyEdge(keyCode, -1);
+    };
+
+    // Pressed and released states advance after every logic step, so each
+    // press reaches exactly one step. Draw events run after the steps, so
+    // they see every press and release since the last frame was drawn
+    // instead, even a tap that started and ended in between. That also keeps
+    // working while time_scale is 0.
+    let inputDrawing = false;
+    let drawPressed = { key: {}, mouse: {}, gamepad: {} };
+    let drawReleased = { key: {}, mouse: {}, gamepad: {} };
+
+    // Was the key pressed (1) or released (-1) this step, or in a draw event
+    // since the last frame was drawn?
+    function keyEdge(keyCode, state) {
+        if (inputDrawing) return drawEdge('key', keyCode, state);
+        return engine.keyCode[keyCode] === state;
+    }
+
+    function drawEdge(type, code, state) {
+        return (state === 1 ? drawPressed : drawReleased)[type][code] === true;
+    }
+
+    // Note a press (1) or release (-1) for the next frame's draw events
+    function drawEdgeAdd(type, code, state) {
+        (state === 1 ? drawPressed : drawReleased)[type][code] = true;
+    }
+
+    function inputDrawBegin() {
+        inputDrawing = true;
+    }
+
+    function inputDrawEnd() {
+        inputDrawing = false;
+        for (const type in drawPressed) {
+            drawPressed[type] = {};
+            drawReleased[type] = {};
+        }
+    }
+
+    // Reset the keyboard state for the next frame
+    engine.keyboard_update = function() {
+        for (const key in engine.keyCode) {
+            if (engine.keyCode[key] === 1) {
+                engine.keyCode[key] = 2; // Set to held state
+            } else if (engine.keyCode[key] === -1) {
+                delete engine.keyCode[key]; // Remove released keys
+                delete engine.key[key];     // Remove from held keys too
+            }
+        }
+    };
+
+    // Add event listeners for keyboard events
+    function keyDown(keyCode) {
+        if (!engine.key[keyCode]) {
+            engine.key[keyCode] = true;
+            engine.keyCode[keyCode] = 1; // Just pressed
+            drawEdgeAdd('key', keyCode, 1);
         }
+    }
+
+    function keyUp(keyCode) {
+        if (engine.key[keyCode]) drawEdgeAdd('key', keyCode, -1);
+        engine.key[keyCode] = false;
+        engine.keyCode[keyCode] = -1; // Just released
+    }
+
+    listen('keydown', function(e) {
+        keyDown(e.keyCode);
         
-        const currentTarget = engine.surfaceTarget;
-        engine.surfaceTarget = targetSurface.context;
-        
-        engine.surfaceTarget.drawImage(sourceSurface.canvas, x, y);
+        // Get the canvas element
+        const canvas = document.getElementById(engine.canvasId);
         
-        engine.surfaceTarget = currentTarget;
-        return true;
+        // Only prevent default actions for game keys if canvas exists and has focus
+        if (canvas && (document.activeElement === canvas || 
+            canvas.contains(document.activeElement) || 
+            document.activeElement === document.body)) {
+            if ((e.keyCode >= 37 && e.keyCode <= 40) || // Arrow keys
+                e.keyCode === 32) {                     // Space bar
+                e.preventDefault();
+            }
+        }
+    });
+
+    listen('keyup', function(e) {
+        keyUp(e.keyCode);
+    });
+
+    // Press (true) or release (false) a key as if the player had, for
+    // headless tests. The press is seen by the next step.
+    engine.simulate_key = function (keyCode, state = true) {
+        if (state) keyDown(keyCode);
+        else if (engine.key[keyCode]) keyUp(keyCode);
     };
-    
-    // Blend mode management
-    engine.blendModes = {
-        bm_normal: "source-over",
-        bm_add: "lighter",
-        bm_subtract: "difference",
-        bm_multiply: "multiply",
-        bm_screen: "screen",
-        bm_overlay: "overlay",
-        bm_darken: "darken",
-        bm_lighten: "lighten",
-        bm_destination_over: "destination-over",
-        bm_source_in: "source-in",
-        bm_destination_in: "destination-in",
-        bm_source_out: "source-out",
-        bm_destination_out: "destination-out",
-        bm_source_atop: "source-atop",
-        bm_destination_atop: "destination-atop",
-        bm_xor: "xor",
-        bm_copy: "copy"
+
+    // Gamepad handling
+    engine.gamepads = []; // Latest snapshot of each connected device
+    engine.gamepadButton = {}; // Held buttons per device
+    engine.gamepadButtonCode = {}; // Pressed (1), held (2) and released (-1) states per device
+    engine.gamepadDeadzone = {}; // Axis deadzone overrides per device
+    engine.gamepad_deadzone = 0.2; // Default axis deadzone
+    engine.gamepad_button_threshold = 0.5; // Analog value at which a button counts as held
+
+    // Button and axis codes for the standard gamepad mapping, bound to the
+    // window object like the vk_* key codes. They sit above the keyboard range
+    // so keys and buttons can share one binding list; the gamepad functions
+    // also accept raw Gamepad API indices.
+    const gamepadButtonBase = 0x8000;
+    const gamepadAxisBase = 0x8100;
+
+    const gamepadBindings = {
+        gp_face1: gamepadButtonBase + 0, // A / Cross
+        gp_face2: gamepadButtonBase + 1, // B / Circle
+        gp_face3: gamepadButtonBase + 2, // X / Square
+        gp_face4: gamepadButtonBase + 3, // Y / Triangle
+        gp_shoulderl: gamepadButtonBase + 4,
+        gp_shoulderr: gamepadButtonBase + 5,
+        gp_shoulderlb: gamepadButtonBase + 6, // Left trigger
+        gp_shoulderrb: gamepadButtonBase + 7, // Right trigger
+        gp_select: gamepadButtonBase + 8,
+        gp_start: gamepadButtonBase + 9,
+        gp_stickl: gamepadButtonBase + 10,
+        gp_stickr: gamepadButtonBase + 11,
+        gp_padu: gamepadButtonBase + 12,
+        gp_padd: gamepadButtonBase + 13,
+        gp_padl: gamepadButtonBase + 14,
+        gp_padr: gamepadButtonBase + 15,
+        gp_home: gamepadButtonBase + 16,
+        gp_axislh: gamepadAxisBase + 0,
+        gp_axislv: gamepadAxisBase + 1,
+        gp_axisrh: gamepadAxisBase + 2,
+        gp_axisrv: gamepadAxisBase + 3
     };
-    
-    // Set the current blend mode
-    engine.surface_set_blendmode = function(mode) {
-        if (typeof mode === 'string' && engine.blendModes[mode]) {
-            engine.surfaceTarget.globalCompositeOperation = engine.blendModes[mode];
-        } else if (Object.values(engine.blendModes).includes(mode)) {
-            engine.surfaceTarget.globalCompositeOperation = mode;
+
+    function gamepadButtonIndex(button) {
+        return button >= gamepadButtonBase && button < gamepadAxisBase ? button - gamepadButtonBase : button;
+    }
+
+    function gamepadAxisIndex(axis) {
+        return axis >= gamepadAxisBase ? axis - gamepadAxisBase : axis;
+    }
+
+    for (const [key, value] of Object.entries(gamepadBindings)) {
+        engine[key] = value;
+        host[key] = value;
+    }
+
+    // What each gamepad reported this frame, as plain data so recordings can
+    // keep it: {connected, buttons: [{pressed, value}], axes}
+    let gamepadFrame = [];
+
+    // Read the Gamepad API once at the start of every frame. Replays leave
+    // the recorded gamepads in place instead.
+    function gamepadFrameRead() {
+        if (engine.replay) return;
+
+        const pads = (typeof navigator !== 'undefined' && navigator.getGamepads) ?
+            navigator.getGamepads() : [];
+        gamepadFrame = [];
+        for (let device = 0; device < pads.length; device++) {
+            const pad = pads[device];
+            gamepadFrame[device] = pad && pad.connected ? {
+                connected: true,
+                buttons: Array.from(pad.buttons, b => ({ pressed: b.pressed, value: b.value })),
+                axes: Array.from(pad.axes)
+            } : null;
+        }
+    }
+
+    // Work out pressed/held/released states from this frame's gamepads
+    engine.gamepad_update = function () {
+        const pads = gamepadFrame;
+        const count = Math.max(pads.length, engine.gamepads.length);
+
+        for (let device = 0; device < count; device++) {
+            const pad = pads[device] && pads[device].connected ? pads[device] : null;
+            engine.gamepads[device] = pad;
+
+            const held = engine.gamepadButton[device] || (engine.gamepadButton[device] = {});
+            const codes = engine.gamepadButtonCode[device] || (engine.gamepadButtonCode[device] = {});
+
+            // Every button the pad reports, plus any held or just released on
+            // a pad that has gone or reports fewer buttons, so they still
+            // get their release and then clear
+            const buttons = new Set(Object.keys(held).concat(Object.keys(codes)).map(Number));
+            for (let button = 0; pad && button < pad.buttons.length; button++) buttons.add(button);
+
+            for (const button of buttons) {
+                const state = pad && pad.buttons[button];
+                const isDown = !!state && (state.pressed || state.value >= engine.gamepad_button_threshold);
+
+                if (isDown && !held[button]) {
+                    held[button] = true;
+                    codes[button] = 1; // Just pressed
+                    drawEdgeAdd('gamepad', device + ':' + button, 1);
+                } else if (isDown) {
+                    codes[button] = 2; // Held
+                } else if (held[button]) {
+                    delete held[button];
+                    codes[button] = -1; // Just released
+                    drawEdgeAdd('gamepad', device + ':' + button, -1);
+                } else {
+                    delete codes[button];
+                }
+            }
+        }
+    };
+
+    engine.gamepad_is_connected = function (device) {
+        return !!engine.gamepads[device];
+    };
+
+    engine.gamepad_get_device_count = function () {
+        return engine.gamepads.length;
+    };
+
+    // Check if a gamepad button is currently held
+    engine.gamepad_check_button = function (device, button) {
+        button = gamepadButtonIndex(button);
+        return !!engine.gamepadButton[device] && engine.gamepadButton[device][button] === true;
+    };
+
+    // Check if a gamepad button was just pressed this step (or, in a draw
+    // event, since the last frame was drawn)
+    engine.gamepad_check_button_pressed = function (device, button) {
+        return gamepadEdge(device, gamepadButtonIndex(button), 1);
+    };
+
+    // Check if a gamepad button was just released this step
+    engine.gamepad_check_button_released = function (device, button) {
+        return gamepadEdge(device, gamepadButtonIndex(button), -1);
+    };
+
+    // Like keyEdge, for a button on a device
+    function gamepadEdge(device, button, state) {
+        if (inputDrawing) return drawEdge('gamepad', device + ':' + button, state);
+        return !!engine.gamepadButtonCode[device] && engine.gamepadButtonCode[device][button] === state;
+    }
+
+    // Analog value of a button (0-1), useful for triggers
+    engine.gamepad_button_value = function (device, button) {
+        button = gamepadButtonIndex(button);
+        const pad = engine.gamepads[device];
+        if (!pad || !pad.buttons[button]) return 0;
+        return pad.buttons[button].value;
+    };
+
+    // Axis value (-1 to 1) with the deadzone removed and the rest rescaled
+    engine.gamepad_axis_value = function (device, axis) {
+        axis = gamepadAxisIndex(axis);
+        const pad = engine.gamepads[device];
+        if (!pad || pad.axes[axis] === undefined) return 0;
+
+        const value = pad.axes[axis];
+        const deadzone = engine.gamepad_get_axis_deadzone(device);
+        if (Math.abs(value) <= deadzone) return 0;
+
+        return Math.sign(value) * (Math.abs(value) - deadzone) / (1 - deadzone);
+    };
+
+    // Set the axis deadzone for one device, or for every device when device is negative
+    engine.gamepad_set_axis_deadzone = function (device, deadzone) {
+        deadzone = Math.min(Math.max(deadzone, 0), 0.99);
+        if (device < 0) {
+            engine.gamepad_deadzone = deadzone;
+            engine.gamepadDeadzone = {};
         } else {
-            console.error("Invalid blend mode:", mode);
-            return false;
+            engine.gamepadDeadzone[device] = deadzone;
         }
-        return true;
     };
-    
-    // Reset blend mode to normal
-    engine.surface_set_blendmode_normal = function() {
-        engine.surfaceTarget.globalCompositeOperation = "source-over";
+
+    engine.gamepad_get_axis_deadzone = function (device) {
+        return engine.gamepadDeadzone[device] !== undefined ?
+            engine.gamepadDeadzone[device] : engine.gamepad_deadzone;
     };
-    
-    // Set blend mode to additive
-    engine.surface_set_blendmode_add = function() {
-        engine.surfaceTarget.globalCompositeOperation = "lighter";
+
+    // Touch handling
+    engine.touches = []; // Active touches in canvas coordinates, in the order they started
+    engine.touchMouseId = null; // Touch currently standing in for the left mouse button
+    engine.touchUsed = false; // Set by the first touch on the canvas
+    engine.virtual_controls = []; // On-screen joysticks and buttons
+    engine.virtual_controls_visible = null; // null shows the controls once the screen has been touched
+
+    engine.touch_count = function () {
+        return engine.touches.length;
     };
-    
-    // Set blend mode to subtractive
-    engine.surface_set_blendmode_subtract = function() {
-        engine.surfaceTarget.globalCompositeOperation = "difference";
+
+    // Room x position of a touch, in the order the touches started
+    engine.touch_x = function (index = 0) {
+        const touch = engine.touches[index];
+        return touch ? touch.x + engine.view_xview : 0;
     };
 
-    // Assign blend mode constants to engine
-    for (const [key, value] of Object.entries(engine.blendModes)) {
-        engine[key] = key;
-        window[key] = key;
+    engine.touch_y = function (index = 0) {
+        const touch = engine.touches[index];
+        return touch ? touch.y + engine.view_yview : 0;
+    };
+
+    // Hold a key the same way a physical keydown would
+    function virtualKeyDown(code) {
+        if (!engine.key[code]) {
+            engine.key[code] = true;
+            engine.keyCode[code] = 1; // Just pressed
+            drawEdgeAdd('key', code, 1);
+        }
     }
 
-    // Game initialization
-    engine.gameStart = function () {
-        cancelAnimationFrame(engine.animationFrame);
+    function virtualKeyUp(code) {
+        if (engine.key[code]) {
+            engine.key[code] = false;
+            engine.keyCode[code] = -1; // Just released
+            drawEdgeAdd('key', code, -1);
+        }
+    }
 
-        // Reset game state
-        engine.gameObjects = [];
-        engine.room_width = 1024;
-        engine.room_height = 768;
-        engine.view_xview = 0;
-        engine.view_yview = 0;
-        engine.view_wview = 640;
-        engine.view_hview = 480;
-        engine.time_scale = 1.0;
-        engine.dt = 0.016; // Default to ~60fps for first frame
+    // Add an on-screen control. Joysticks hold keys[0..3] (left, right, up, down)
+    // as the stick is pushed; buttons hold key while touched. Negative x/y are
+    // measured from the right/bottom edge of the canvas.
+    engine.virtual_control_add = function (control) {
+        const isJoystick = control.type === 'joystick';
+        engine.virtual_controls.push({
+            type: isJoystick ? 'joystick' : 'button',
+            x: control.x || 0,
+            y: control.y || 0,
+            radius: control.radius || (isJoystick ? 60 : 36),
+            keys: control.keys || [engine.vk_left, engine.vk_right, engine.vk_up, engine.vk_down],
+            key: control.key !== undefined ? control.key : engine.vk_space,
+            label: control.label || '',
+            touchId: null,
+            stick_x: 0,
+            stick_y: 0
+        });
+        return engine.virtual_controls.length - 1;
+    };
 
-        // Initialize canvas
-        const canvas = engine.createCanvas();
-        canvas.width = engine.view_wview;
-        canvas.height = engine.view_hview;
-        engine.canvas = canvas; 
-        engine.context = canvas.getContext('2d');
-        if (!engine.context) {
-            console.error("Failed to get 2D context");
+    // Remove every control, letting go of any keys they hold
+    engine.virtual_controls_clear = function () {
+        engine.virtual_controls.forEach(control => virtualControlRelease(control));
+        engine.virtual_controls = [];
+    };
+
+    engine.virtual_controls_show = function (show) {
+        engine.virtual_controls_visible = show;
+    };
+
+    // Joystick deflection (-1 to 1) for analog movement
+    engine.virtual_joystick_x = function (index = 0) {
+        const control = engine.virtual_controls.filter(c => c.type === 'joystick')[index];
+        return control ? control.stick_x : 0;
+    };
+
+    engine.virtual_joystick_y = function (index = 0) {
+        const control = engine.virtual_controls.filter(c => c.type === 'joystick')[index];
+        return control ? control.stick_y : 0;
+    };
+
+    // Centre of a control in canvas pixels
+    function virtualControlCentre(control) {
+        const canvas = engine.context.canvas;
+        return {
+            x: control.x < 0 ? canvas.width + control.x : control.x,
+            y: control.y < 0 ? canvas.height + control.y : control.y
+        };
+    }
+
+    function virtualControlMove(control, x, y) {
+        if (control.type === 'button') {
+            virtualKeyDown(control.key);
             return;
         }
-        engine.surfaceTarget = engine.context;
-        engine.defaultSurface = engine.surfaceTarget;
 
-        // Set default drawing properties
-        engine.draw_set_font(24, 'Arial');
-        engine.draw_set_align('left');
-        engine.draw_set_color(engine.c_white);
+        const centre = virtualControlCentre(control);
+        const length = Math.max(Math.hypot(x - centre.x, y - centre.y), control.radius);
+        control.stick_x = (x - centre.x) / length;
+        control.stick_y = (y - centre.y) / length;
 
-        // Create global control object
-        const globalObj = engine.object_add();
-        globalObj.awake = function () {
-            this.debug_mode = true;
-            this.text_color = engine.c_red;
-        };
+        // A third of the way out counts as a direction key
+        const directions = [control.stick_x < -0.33, control.stick_x > 0.33, control.stick_y < -0.33, control.stick_y > 0.33];
+        directions.forEach((held, i) => {
+            if (held) virtualKeyDown(control.keys[i]);
+            else virtualKeyUp(control.keys[i]);
+        });
+    }
 
-        globalObj.draw_gui = function () {
-            if (this.debug_mode) {
-                engine.draw_set_color(this.text_color);
-                engine.draw_set_alpha(engine.a_100);
-                engine.draw_text(
-                    engine.view_xview,
-                    engine.view_yview,
-                    `Obj Count: ${engine.object_count}; Inst Count: ${engine.instance_count}; FPS: ${engine.fps}`
-                );
-                engine.draw_set_color(engine.c_white);
-            }
-        };
+    function virtualControlRelease(control) {
+        if (control.touchId === null) return;
+        control.touchId = null;
+        control.stick_x = 0;
+        control.stick_y = 0;
 
-        engine.control = engine.instance_create(0, 0, globalObj);
-        engine.lastTick = new Date().getTime();
+        if (control.type === 'button') {
+            virtualKeyUp(control.key);
+        } else {
+            control.keys.forEach(code => virtualKeyUp(code));
+        }
+    }
+
+    engine.virtual_controls_draw = function () {
+        const visible = engine.virtual_controls_visible === null ?
+            engine.touchUsed === true : engine.virtual_controls_visible;
+        if (!visible || engine.virtual_controls.length === 0) return;
+
+        const ctx = engine.context;
+        ctx.save();
+        ctx.lineWidth = 2;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = '16px Arial';
 
-        // Start game loop
-        engine.updateGameArea();
+        engine.virtual_controls.forEach(control => {
+            const centre = virtualControlCentre(control);
+            const held = control.touchId !== null;
+
+            ctx.globalAlpha = held ? 0.5 : 0.3;
+            ctx.fillStyle = '#000000';
+            ctx.strokeStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.arc(centre.x, centre.y, control.radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+
+            ctx.globalAlpha = held ? 0.8 : 0.5;
+            ctx.fillStyle = '#ffffff';
+            if (control.type === 'joystick') {
+                ctx.beginPath();
+                ctx.arc(centre.x + control.stick_x * control.radius, centre.y + control.stick_y * control.radius,
+                    control.radius * 0.4, 0, Math.PI * 2);
+                ctx.fill();
+            } else if (control.label) {
+                ctx.fillText(control.label, centre.x, centre.y);
+            }
+        });
+
+        ctx.restore();
     };
 
-    // Helper function to generate a spline path through points
-    engine._drawSplinePath = function(points, tension, closeShape) {
-        const ctx = engine.surfaceTarget;
-        const len = points.length;
-        
-        if (len < 3) return; // Not enough points for a spline
-        
-        ctx.moveTo(points[0].x, points[0].y);
-        
-        // Create a closed loop if requested
-        const pts = closeShape ? [...points, ...points.slice(0, 3)] : points;
-        const numPoints = pts.length;
-        
-        // Tension controls how "tight" the curve is (0.5 is a good default)
-        const t = Math.min(1, Math.max(0, tension)) * 0.5;
-        
-        // Draw the splines
-        for (let i = 0; i < numPoints - 3; i++) {
-            const p0 = pts[i];
-            const p1 = pts[i+1];
-            const p2 = pts[i+2];
-            const p3 = pts[i+3];
-            
-            // Calculate control points
-            const cp1x = p1.x + (p2.x - p0.x) * t;
-            const cp1y = p1.y + (p2.y - p0.y) * t;
-            const cp2x = p2.x - (p3.x - p1.x) * t;
-            const cp2y = p2.y - (p3.y - p1.y) * t;
-            
-            // Draw cubic Bezier curve
-            ctx.bezierCurveTo(cp1x, cp1y, cp2x, cp2y, p2.x, p2.y);
+    function touchStart(touch) {
+        const pos = engine.mouse_to_canvas(touch.clientX, touch.clientY);
+        engine.touches.push({ id: touch.identifier, x: pos.x, y: pos.y });
+
+        // Touches that land on a control drive it instead of the mouse
+        const control = engine.virtual_controls.find(c => {
+            if (c.touchId !== null) return false;
+            const centre = virtualControlCentre(c);
+            return Math.hypot(pos.x - centre.x, pos.y - centre.y) <= c.radius;
+        });
+
+        if (control) {
+            control.touchId = touch.identifier;
+            virtualControlMove(control, pos.x, pos.y);
+        } else if (engine.touchMouseId === null) {
+            engine.touchMouseId = touch.identifier;
+            engine.mx = pos.x;
+            engine.my = pos.y;
+            engine.mouseButton[engine.mb_left] = true;
+            engine.mouseButtonCode[engine.mb_left] = 1; // Just pressed
+            drawEdgeAdd('mouse', engine.mb_left, 1);
+        }
+    }
+
+    function touchMove(touch) {
+        const pos = engine.mouse_to_canvas(touch.clientX, touch.clientY);
+        const tracked = engine.touches.find(t => t.id === touch.identifier);
+        if (tracked) {
+            tracked.x = pos.x;
+            tracked.y = pos.y;
+        }
+
+        const control = engine.virtual_controls.find(c => c.touchId === touch.identifier);
+        if (control) {
+            virtualControlMove(control, pos.x, pos.y);
+        } else if (engine.touchMouseId === touch.identifier) {
+            engine.mx = pos.x;
+            engine.my = pos.y;
+        }
+    }
+
+    function touchEnd(touch) {
+        engine.touches = engine.touches.filter(t => t.id !== touch.identifier);
+
+        const control = engine.virtual_controls.find(c => c.touchId === touch.identifier);
+        if (control) {
+            virtualControlRelease(control);
+        } else if (engine.touchMouseId === touch.identifier) {
+            engine.touchMouseId = null;
+            engine.mouseButton[engine.mb_left] = false;
+            engine.mouseButtonCode[engine.mb_left] = -1; // Just released
+            drawEdgeAdd('mouse', engine.mb_left, -1);
+        }
+    }
+
+    // Only touches that start on the game canvas are tracked; preventing the
+    // default stops the page from scrolling and from emulating mouse events
+    listen('touchstart', function (e) {
+        if (!engine.context || e.target !== engine.context.canvas) return;
+
+        engine.touchUsed = true;
+        Array.from(e.changedTouches).forEach(touchStart);
+        e.preventDefault();
+    }, { passive: false });
+
+    listen('touchmove', function (e) {
+        if (!engine.context) return;
+
+        let tracked = false;
+        Array.from(e.changedTouches).forEach(touch => {
+            if (engine.touches.some(t => t.id === touch.identifier)) {
+                touchMove(touch);
+                tracked = true;
+            }
+        });
+        if (tracked) e.preventDefault();
+    }, { passive: false });
+
+    ['touchend', 'touchcancel'].forEach(type => {
+        listen(type, function (e) {
+            Array.from(e.changedTouches).forEach(touchEnd);
+        });
+    });
+
+    // Stored data
+    // Every game on a site shares its localStorage, so stored keys start with
+    // the game's ID. The editor gives each project its own.
+    engine.game_id = 'game';
+
+    function storageKey(name) {
+        return 'isothermal_' + engine.game_id + '_' + name;
+    }
+
+    // Switch to another game's stored data, which is loaded again when next used
+    engine.game_set_id = function (id) {
+        engine.game_id = String(id);
+        engine.inputSaved = null;
+        engine.saveValues = null;
+    };
+
+    // Input actions
+    // Named actions map to any mix of vk_* keys and gp_* buttons, so object
+    // code can ask for "jump" instead of hardcoding keys. Players can rebind
+    // actions at runtime and their choices are kept in localStorage.
+    engine.inputDefaults = {}; // Bindings set by the game with input_bind
+    engine.inputActions = {}; // Bindings in use, including player rebinds
+    engine.inputAxes = {}; // Analog axes built from two actions and a stick axis
+    engine.inputSaved = null; // Player rebinds loaded from storage
+    engine.inputListen = null; // Pending input_rebind_listen request
+    engine.input_gamepad = -1; // Gamepad that drives actions, -1 for any connected pad
+
+    engine.input_load = function () {
+        engine.inputSaved = {};
+        try {
+            const saved = storage.getItem(storageKey('input_bindings'));
+            if (saved) engine.inputSaved = JSON.parse(saved) || {};
+        } catch (e) {
+            console.warn("Could not load input bindings:", e);
         }
-        
-        if (closeShape) {
-            ctx.closePath();
+        return engine.inputSaved;
+    };
+
+    engine.input_save = function () {
+        try {
+            storage.setItem(storageKey('input_bindings'), JSON.stringify(engine.inputSaved || {}));
+        } catch (e) {
+            console.warn("Could not save input bindings:", e);
         }
     };
 
-    engine.gameRestartEval = function () {
-        engine.gameStart();
-        const code = document.getElementById(engine.textboxId).value;
-        engine.execute_string(code);
+    // Bind an action to a key code, a gp_* button or an array of both.
+    // A player's saved rebind for the action takes priority over these defaults.
+    engine.input_bind = function (action, codes) {
+        codes = Array.isArray(codes) ? codes.slice() : [codes];
+        engine.inputDefaults[action] = codes;
+
+        const saved = (engine.inputSaved || engine.input_load())[action];
+        engine.inputActions[action] = Array.isArray(saved) ? saved.slice() : codes.slice();
     };
 
-    // Restart the game
-    engine.gameRestart = function () {
-        engine.gameStart();
+    // Build an analog axis (-1 to 1) from a negative action, a positive action
+    // and optionally a gamepad stick axis such as gp_axislh
+    engine.input_bind_axis = function (name, negativeAction, positiveAction, gamepadAxis) {
+        engine.inputAxes[name] = {
+            negative: negativeAction,
+            positive: positiveAction,
+            axis: gamepadAxis === undefined ? null : gamepadAxis
+        };
     };
 
-    // Execute code from a string
-    engine.execute_string = function (code) {
-        try {
-            eval(code);
-        } catch (e) {
-            console.error("Code execution error:", e);
+    // Gamepad slots that feed actions this step
+    function inputDevices() {
+        if (engine.input_gamepad >= 0) return [engine.input_gamepad];
+        const devices = [];
+        for (let i = 0; i < engine.gamepads.length; i++) {
+            if (engine.gamepads[i]) devices.push(i);
+        }
+        return devices;
+    }
+
+    // Check one binding: 0 = held, 1 = pressed, -1 = released
+    function inputCodeState(code, state) {
+        if (code >= gamepadButtonBase && code < gamepadAxisBase) {
+            return inputDevices().some(device => state === 0 ?
+                engine.gamepad_check_button(device, code) :
+                gamepadEdge(device, gamepadButtonIndex(code), state));
         }
+        return state === 0 ? engine.key[code] === true : keyEdge(code, state);
+    }
+
+    // Check if any binding of an action is held
+    engine.input_check = function (action) {
+        const codes = engine.inputActions[action];
+        return !!codes && codes.some(code => inputCodeState(code, 0));
     };
 
-    // Main game loop
-    engine.updateGameArea = function () {
-        // Calculate delta time and FPS
-        const now = new Date().getTime();
-        const delta = (now - engine.lastTick) / 1000;
-        engine.lastTick = now;
-        engine.dt = delta;
-        engine.fps = Math.ceil(1 / delta);
+    // Check if an action was pressed this step
+    engine.input_pressed = function (action) {
+        const codes = engine.inputActions[action];
+        return !!codes && codes.some(code => inputCodeState(code, 1));
+    };
 
-        // Clear the canvas
-        engine.context.fillStyle = engine.background_color;
-        engine.context.fillRect(0, 0, engine.view_wview, engine.view_hview);
+    // Check if an action was released this step and no other binding still holds it
+    engine.input_released = function (action) {
+        const codes = engine.inputActions[action];
+        return !!codes && codes.some(code => inputCodeState(code, -1)) && !engine.input_check(action);
+    };
 
-        engine.draw_background();
+    // Analog value of an axis; the stick wins when it is pushed further than the digital input
+    engine.input_axis = function (name) {
+        const axis = engine.inputAxes[name];
+        if (!axis) return 0;
 
-        // Update all game objects
-        let insCount = 0;
+        const digital = (engine.input_check(axis.positive) ? 1 : 0) - (engine.input_check(axis.negative) ? 1 : 0);
+        let analog = 0;
+        if (axis.axis !== null) {
+            inputDevices().forEach(device => {
+                const value = engine.gamepad_axis_value(device, axis.axis);
+                if (Math.abs(value) > Math.abs(analog)) analog = value;
+            });
+        }
 
-        // Update logic for all instances
-        for (let i = 0; i < engine.gameObjects.length; i++) {
-            const obj = engine.gameObjects[i];
-            if (obj.instances) {
-                for (let j = 0; j < obj.instances.length; j++) {
-                    const ins = obj.instances[j];
-                    if (ins.active) {
-                        ins.updateMain();
-                        insCount++;
-                    }
-                }
+        return Math.abs(analog) > Math.abs(digital) ? analog : digital;
+    };
+
+    // Current bindings of an action
+    engine.input_get_bindings = function (action) {
+        return (engine.inputActions[action] || []).slice();
+    };
+
+    // Readable name of a binding such as "vk_space" or "gp_face1", for rebinding menus
+    engine.input_binding_name = function (code) {
+        for (const key in engine) {
+            if ((key.startsWith('vk_') || key.startsWith('gp_')) && engine[key] === code) {
+                return key;
             }
         }
+        return String(code);
+    };
 
-        // Draw all instances
-        for (let i = 0; i < engine.gameObjects.length; i++) {
-            const obj = engine.gameObjects[i];
-            if (obj.instances) {
-                for (let j = 0; j < obj.instances.length; j++) {
-                    const ins = obj.instances[j];
-                    if (ins.visible && ins.active) {
-                        ins.mainDraw();
-                    }
-                }
+    // Replace one binding slot of an action and remember it for the player
+    engine.input_rebind = function (action, code, slot = 0) {
+        const codes = engine.inputActions[action] || (engine.inputActions[action] = []);
+        codes[Math.min(slot, codes.length)] = code;
+
+        (engine.inputSaved || engine.input_load())[action] = codes.slice();
+        engine.input_save();
+    };
+
+    // Rebind a slot to whichever key or gamepad button is pressed next
+    engine.input_rebind_listen = function (action, slot = 0) {
+        engine.inputListen = { action: action, slot: slot };
+    };
+
+    engine.input_is_listening = function () {
+        return engine.inputListen !== null;
+    };
+
+    // Finish a pending input_rebind_listen once a key or button goes down
+    engine.input_listen_update = function () {
+        if (!engine.inputListen) return;
+
+        let code = null;
+        for (const key in engine.keyCode) {
+            if (engine.keyCode[key] === 1) {
+                code = Number(key);
+                break;
             }
         }
-
-        // Draw GUI elements
-        for (let i = 0; i < engine.gameObjects.length; i++) {
-            const obj = engine.gameObjects[i];
-            if (obj.instances) {
-                for (let j = 0; j < obj.instances.length; j++) {
-                    const ins = obj.instances[j];
-                    if (ins.visible && ins.active) {
-                        ins.mainDrawGui();
-                    }
+        for (let device = 0; code === null && device < engine.gamepads.length; device++) {
+            const codes = engine.gamepadButtonCode[device] || {};
+            for (const button in codes) {
+                if (codes[button] === 1) {
+                    code = gamepadButtonBase + Number(button);
+                    break;
                 }
             }
         }
 
-        // Update stats
-        engine.instance_count = insCount;
-        engine.object_count = engine.gameObjects.length;
+        if (code !== null) {
+            engine.input_rebind(engine.inputListen.action, code, engine.inputListen.slot);
+            engine.inputListen = null;
+        }
+    };
 
-        // Update mouse position
-        engine.mouse_x = engine.mx + engine.view_xview;
-        engine.mouse_y = engine.my + engine.view_yview;
+    // Restore the game's default bindings for one action, or for every action
+    engine.input_reset = function (action) {
+        const saved = engine.inputSaved || engine.input_load();
+        const actions = action === undefined ? Object.keys(engine.inputDefaults) : [action];
 
-        // Update keyboard states
-        engine.keyboard_update();
+        actions.forEach(name => {
+            delete saved[name];
+            if (engine.inputDefaults[name]) {
+                engine.inputActions[name] = engine.inputDefaults[name].slice();
+            }
+        });
+        engine.input_save();
+    };
 
-        // Request next frame
-        engine.animationFrame = requestAnimationFrame(engine.updateGameArea);
+    // Audio
+    // Sounds play through Web Audio: every play gets its own voice, routed
+    // voice -> gain -> pan -> group bus (music, sfx, ui) -> master. Pages
+    // opened from file:// cannot fetch sound data, so those fall back to one
+    // <audio> element per voice without panning.
+    engine.audioContext = null;
+    engine.audioMaster = null; // Master gain node
+    engine.audioGroups = {}; // Gain node per group
+    engine.audioGroupVolume = { music: 1, sfx: 1, ui: 1 };
+    engine.audioVoices = []; // Handles that are playing or waiting for their sound to load
+    engine.audioMusic = null; // Handle of the current music track
+    engine.audio_master_volume = 1;
+    engine.audio_max_voices = 32; // Lower priority voices are cut to stay under this
+    engine.audio_listener = null; // Instance or [x, y] positional sounds are heard from; null for the view centre
+
+    // Create the AudioContext and group buses on first use
+    engine.audio_get_context = function () {
+        if (engine.audioContext) return engine.audioContext;
+        if (engine.headless) return null;
+
+        const AudioContextClass = host.AudioContext || host.webkitAudioContext;
+        if (!AudioContextClass) return null;
+
+        const ctx = new AudioContextClass();
+        engine.audioMaster = ctx.createGain();
+        engine.audioMaster.gain.value = engine.audio_master_volume;
+        engine.audioMaster.connect(ctx.destination);
+
+        for (const group in engine.audioGroupVolume) {
+            audioCreateGroup(ctx, group);
+        }
+
+        engine.audioContext = ctx;
+        return ctx;
     };
 
-    // Listen for mouse movement
-    document.addEventListener('mousemove', function (e) {
-        // Only process mouse movement if context and canvas are initialized
-        if (engine.context && engine.context.canvas) {
-            const rect = engine.context.canvas.getBoundingClientRect();
-            engine.mx = e.clientX - rect.left;
-            engine.my = e.clientY - rect.top;
+    function audioCreateGroup(ctx, group) {
+        const bus = ctx.createGain();
+        bus.gain.value = engine.audioGroupVolume[group];
+        bus.connect(engine.audioMaster);
+        engine.audioGroups[group] = bus;
+        return bus;
+    }
+
+    // Browsers keep audio suspended until the player interacts with the page
+    engine.audio_unlock = function () {
+        if (engine.audioContext && engine.audioContext.state === 'suspended') {
+            engine.audioContext.resume();
         }
+    };
+
+    ['keydown', 'mousedown', 'touchstart'].forEach(type => {
+        listen(type, engine.audio_unlock);
     });
 
-    // Keyboard handling
-    engine.key = {}; // Object to store key states
-    engine.keyCode = {}; // Object to store key codes
+    // Decode a sound resource's data, once per resource
+    engine.audio_load = function (snd) {
+        if (snd.loading) return snd.loading;
 
-    // Define key codes and bind them to the window object
-    const keyBindings = {
-        vk_left: 37,
-        vk_up: 38,
-        vk_right: 39,
-        vk_down: 40,
-        vk_space: 32,
-        vk_enter: 13,
-        vk_escape: 27,
-        vk_shift: 16,
-        vk_control: 17,
-        vk_alt: 18
+        const ctx = engine.audio_get_context();
+        if (!ctx || typeof fetch === 'undefined') {
+            snd.use_element = true;
+            snd.loaded = true;
+            snd.loading = Promise.resolve(snd);
+            return snd.loading;
+        }
+
+        snd.loading = fetch(snd.src)
+            .then(response => response.arrayBuffer())
+            .then(data => new Promise((resolve, reject) => ctx.decodeAudioData(data, resolve, reject)))
+            .then(buffer => {
+                snd.buffer = buffer;
+                snd.loaded = true;
+                return snd;
+            })
+            .catch(() => {
+                snd.use_element = true;
+                snd.loaded = true;
+                return snd;
+            });
+        return snd.loading;
     };
 
-    // Assign key bindings to both engine and window
-    for (const [key, value] of Object.entries(keyBindings)) {
-        engine[key] = value;
-        window[key] = value;
+    // Volume for the <audio> fallback, which has no gain nodes to do the mixing
+    function audioElementVolume(handle) {
+        const group = engine.audioGroupVolume[handle.group];
+        const volume = handle.gain * handle.attenuation * (group === undefined ? 1 : group) * engine.audio_master_volume;
+        return Math.min(Math.max(volume, 0), 1);
     }
 
-    // Key codes for letters A-Z
-    for (let i = 65; i <= 90; i++) {
-        const keyName = `vk_${String.fromCharCode(i).toLowerCase()}`;
-        engine[keyName] = i;
-        window[keyName] = i;
+    function audioFinish(handle) {
+        handle.playing = false;
+        engine.audioVoices = engine.audioVoices.filter(voice => voice !== handle);
+        if (engine.audioMusic === handle) engine.audioMusic = null;
     }
 
-    // Key codes for numbers 0-9
-    for (let i = 48; i <= 57; i++) {
-        const keyName = `vk_${i - 48}`;
-        engine[keyName] = i;
-        window[keyName] = i;
+    // Start a voice once its sound has loaded
+    function audioStart(handle) {
+        if (!handle.playing) return;
+
+        const snd = handle.sound;
+        const ctx = engine.audioContext;
+
+        if (ctx && snd.buffer) {
+            const source = ctx.createBufferSource();
+            source.buffer = snd.buffer;
+            source.loop = handle.loop;
+            source.playbackRate.value = handle.pitch;
+
+            const gainNode = ctx.createGain();
+            if (handle.fade_in > 0) {
+                gainNode.gain.setValueAtTime(0, ctx.currentTime);
+                gainNode.gain.linearRampToValueAtTime(handle.gain, ctx.currentTime + handle.fade_in);
+            } else {
+                gainNode.gain.value = handle.gain;
+            }
+            source.connect(gainNode);
+
+            let output = gainNode;
+            if (handle.spatial) {
+                handle.attenuationNode = ctx.createGain();
+                gainNode.connect(handle.attenuationNode);
+                output = handle.attenuationNode;
+            }
+            if (ctx.createStereoPanner) {
+                handle.panNode = ctx.createStereoPanner();
+                handle.panNode.pan.value = handle.pan;
+                output.connect(handle.panNode);
+                output = handle.panNode;
+            }
+            output.connect(engine.audioGroups[handle.group] || audioCreateGroup(ctx, handle.group));
+
+            source.onended = () => audioFinish(handle);
+            handle.source = source;
+            handle.gainNode = gainNode;
+            audioSpatialUpdate(handle);
+            source.start(0);
+        } else if (engine.headless || typeof Audio === 'undefined') {
+            // Nothing to play through: the handle still works, looping voices
+            // play until stopped and others end straight away
+            if (!handle.loop) audioFinish(handle);
+        } else {
+            const element = new Audio(snd.src);
+            element.loop = handle.loop;
+            element.playbackRate = handle.pitch;
+            handle.element = element;
+            audioSpatialUpdate(handle);
+            element.volume = audioElementVolume(handle);
+            element.onended = () => audioFinish(handle);
+
+            const played = element.play();
+            if (played && played.catch) played.catch(() => audioFinish(handle));
+        }
     }
 
-    // Check if a key is currently pressed
-    engine.keyboard_check = function(keyCode) {
-        return engine.key[keyCode] === true;
+    function audioPlay(snd, priority, loop, group, fadeIn, spatial) {
+        if (!snd || !snd.src) return null;
+
+        // Cut the lowest priority (then oldest) voice to make room
+        if (engine.audioVoices.length >= engine.audio_max_voices) {
+            let victim = null;
+            engine.audioVoices.forEach(voice => {
+                if (voice.priority <= priority && (!victim || voice.priority < victim.priority)) victim = voice;
+            });
+            if (!victim) return null;
+            victim.stop();
+        }
+
+        engine.audio_get_context();
+
+        const handle = {
+            sound: snd,
+            priority: priority,
+            loop: loop,
+            group: group || snd.group || 'sfx',
+            gain: 1,
+            pitch: 1,
+            pan: 0,
+            fade_in: fadeIn,
+            spatial: spatial || null, // Emitter position and falloff for positional sounds
+            attenuation: 1, // Distance volume of positional sounds
+            playing: true,
+            source: null,
+            gainNode: null,
+            attenuationNode: null,
+            panNode: null,
+            element: null,
+
+            // Set the volume (0-1), optionally fading over a number of seconds
+            set_gain: function (gain, time = 0) {
+                this.gain = Math.max(gain, 0);
+                if (this.gainNode) {
+                    const param = this.gainNode.gain;
+                    const now = engine.audioContext.currentTime;
+                    param.cancelScheduledValues(now);
+                    param.setValueAtTime(param.value, now);
+                    if (time > 0) param.linearRampToValueAtTime(this.gain, now + time);
+                    else param.setValueAtTime(this.gain, now);
+                } else if (this.element) {
+                    this.element.volume = audioElementVolume(this);
+                }
+                return this;
+            },
+
+            // Playback speed, where 2 plays an octave higher
+            set_pitch: function (pitch) {
+                this.pitch = Math.max(pitch, 0.01);
+                if (this.source) this.source.playbackRate.value = this.pitch;
+                else if (this.element) this.element.playbackRate = this.pitch;
+                return this;
+            },
+
+            // Stereo position from -1 (left) to 1 (right)
+            set_pan: function (pan) {
+                this.pan = Math.min(Math.max(pan, -1), 1);
+                if (this.panNode) this.panNode.pan.value = this.pan;
+                return this;
+            },
+
+            // Stop the voice, optionally fading out over a number of seconds.
+            // A voice that is already fading out is cut straight away.
+            stop: function (time = 0) {
+                if (!engine.audioVoices.includes(this)) return this;
+
+                if (this.playing && this.source && time > 0) {
+                    this.set_gain(0, time);
+                    this.source.stop(engine.audioContext.currentTime + time);
+                    this.playing = false;
+                    return this;
+                }
+
+                if (this.source) {
+                    this.source.onended = null;
+                    this.source.stop();
+                } else if (this.element) {
+                    this.element.pause();
+                }
+                audioFinish(this);
+                return this;
+            },
+
+            is_playing: function () {
+                return this.playing;
+            },
+
+            // Move a positional sound's emitter
+            set_position: function (x, y) {
+                if (this.spatial) {
+                    this.spatial.x = x;
+                    this.spatial.y = y;
+                    this.spatial.instance = null;
+                }
+                return this;
+            }
+        };
+
+        engine.audioVoices.push(handle);
+        if (snd.loaded) audioStart(handle);
+        else engine.audio_load(snd).then(() => audioStart(handle));
+
+        return handle;
+    }
+
+    // Play a sound and return its handle. Each call gets a new voice, so
+    // repeated plays of one sound overlap instead of restarting it.
+    engine.audio_play_sound = function (snd, priority = 0, loop = false, group) {
+        return audioPlay(snd, priority, loop, group, 0);
     };
 
-    // Check if a key was just pressed this frame
-    engine.keyboard_check_pressed = function(keyCode) {
-        return engine.keyCode[keyCode] === 1;
+    // Play a sound from a point in the room. It is full volume within
+    // falloffRef of the listener, silent beyond falloffMax, and panned by
+    // its horizontal offset from the listener.
+    engine.audio_play_sound_at = function (snd, x, y, falloffRef = 100, falloffMax = 600, priority = 0, loop = false) {
+        return audioPlay(snd, priority, loop, null, 0, {
+            x: x, y: y, instance: null, falloff_ref: falloffRef, falloff_max: falloffMax
+        });
     };
 
-    // Check if a key was just released this frame
-    engine.keyboard_check_released = function(keyCode) {
-        return engine.keyCode[keyCode] === -1;
+    // Play a sound that follows an instance each frame
+    engine.audio_play_sound_on = function (snd, instance, falloffRef = 100, falloffMax = 600, priority = 0, loop = false) {
+        return audioPlay(snd, priority, loop, null, 0, {
+            x: instance.x, y: instance.y, instance: instance, falloff_ref: falloffRef, falloff_max: falloffMax
+        });
     };
 
-    // Reset the keyboard state for the next frame
-    engine.keyboard_update = function() {
-        for (const key in engine.keyCode) {
-            if (engine.keyCode[key] === 1) {
-                engine.keyCode[key] = 2; // Set to held state
-            } else if (engine.keyCode[key] === -1) {
-                delete engine.keyCode[key]; // Remove released keys
-                delete engine.key[key];     // Remove from held keys too
+    // Where positional sounds are heard from: the listener instance or point, else the view centre
+    engine.audio_listener_position = function () {
+        const target = engine.audio_listener;
+        if (Array.isArray(target)) {
+            return { x: target[0], y: target[1] };
+        }
+        if (target && typeof target === 'object') {
+            return { x: target.x + (target.width || 0) / 2, y: target.y + (target.height || 0) / 2 };
+        }
+        return { x: engine.view_xview + engine.view_wview / 2, y: engine.view_yview + engine.view_hview / 2 };
+    };
+
+    engine.audio_listener_set = function (target) {
+        engine.audio_listener = target;
+    };
+
+    // Recalculate the distance volume and pan of a positional voice
+    function audioSpatialUpdate(handle) {
+        const spatial = handle.spatial;
+        if (!spatial) return;
+
+        const instance = spatial.instance;
+        if (instance) {
+            if (instance.need_removed || !instance.active) {
+                // Looping sounds die with their instance; one-shots finish where it was
+                spatial.instance = null;
+                if (handle.loop) {
+                    handle.stop();
+                    return;
+                }
+            } else {
+                spatial.x = instance.x + (instance.width || 0) / 2;
+                spatial.y = instance.y + (instance.height || 0) / 2;
             }
         }
+
+        const listener = engine.audio_listener_position();
+        const dx = spatial.x - listener.x;
+        const distance = Math.hypot(dx, spatial.y - listener.y);
+
+        let attenuation = 1;
+        if (distance >= spatial.falloff_max) {
+            attenuation = 0;
+        } else if (distance > spatial.falloff_ref) {
+            attenuation = 1 - (distance - spatial.falloff_ref) / (spatial.falloff_max - spatial.falloff_ref);
+        }
+        handle.attenuation = attenuation;
+        handle.pan = Math.min(Math.max(dx / Math.max(engine.view_wview / 2, 1), -1), 1);
+
+        if (handle.attenuationNode) handle.attenuationNode.gain.value = attenuation;
+        if (handle.panNode) handle.panNode.pan.value = handle.pan;
+        if (handle.element) handle.element.volume = audioElementVolume(handle);
+    }
+
+    // Move positional voices along with their emitters and the listener
+    engine.audio_update = function () {
+        engine.audioVoices.slice().forEach(voice => {
+            if (voice.playing) audioSpatialUpdate(voice);
+        });
     };
 
-    // Add event listeners for keyboard events
-    document.addEventListener('keydown', function(e) {
-        if (!engine.key[e.keyCode]) {
-            engine.key[e.keyCode] = true;
-            engine.keyCode[e.keyCode] = 1; // Just pressed
+    // Stop a single handle, or every voice of a sound resource
+    engine.audio_stop_sound = function (sndOrHandle, time = 0) {
+        if (!sndOrHandle) return;
+        if (typeof sndOrHandle.stop === 'function' && sndOrHandle.sound) {
+            sndOrHandle.stop(time);
+            return;
         }
-        
-        // Get the canvas element
-        const canvas = document.getElementById(engine.canvasId);
-        
-        // Only prevent default actions for game keys if canvas exists and has focus
-        if (canvas && (document.activeElement === canvas || 
-            canvas.contains(document.activeElement) || 
-            document.activeElement === document.body)) {
-            if ((e.keyCode >= 37 && e.keyCode <= 40) || // Arrow keys
-                e.keyCode === 32) {                     // Space bar
-                e.preventDefault();
-            }
+        engine.audioVoices.filter(voice => voice.sound === sndOrHandle).forEach(voice => voice.stop(time));
+    };
+
+    engine.audio_stop_all = function () {
+        engine.audioVoices.slice().forEach(voice => voice.stop());
+        engine.audioMusic = null;
+    };
+
+    // Check a handle, or whether any voice of a sound resource is playing
+    engine.audio_is_playing = function (sndOrHandle) {
+        if (!sndOrHandle) return false;
+        if (sndOrHandle.sound) return sndOrHandle.playing;
+        return engine.audioVoices.some(voice => voice.sound === sndOrHandle && voice.playing);
+    };
+
+    engine.audio_sound_gain = function (handle, gain, time = 0) {
+        if (handle) handle.set_gain(gain, time);
+    };
+
+    engine.audio_sound_pitch = function (handle, pitch) {
+        if (handle) handle.set_pitch(pitch);
+    };
+
+    engine.audio_sound_pan = function (handle, pan) {
+        if (handle) handle.set_pan(pan);
+    };
+
+    // Set the volume of a group bus (music, sfx or ui), optionally fading
+    engine.audio_group_set_volume = function (group, volume, time = 0) {
+        volume = Math.max(volume, 0);
+        engine.audioGroupVolume[group] = volume;
+
+        const bus = engine.audioGroups[group];
+        if (bus) {
+            const now = engine.audioContext.currentTime;
+            bus.gain.cancelScheduledValues(now);
+            bus.gain.setValueAtTime(bus.gain.value, now);
+            if (time > 0) bus.gain.linearRampToValueAtTime(volume, now + time);
+            else bus.gain.setValueAtTime(volume, now);
         }
-    });
 
-    document.addEventListener('keyup', function(e) {
-        engine.key[e.keyCode] = false;
-        engine.keyCode[e.keyCode] = -1; // Just released
-    });
+        engine.audioVoices.forEach(voice => {
+            if (voice.element && voice.group === group) voice.element.volume = audioElementVolume(voice);
+        });
+    };
+
+    engine.audio_group_get_volume = function (group) {
+        return engine.audioGroupVolume[group] === undefined ? 1 : engine.audioGroupVolume[group];
+    };
+
+    engine.audio_set_master_volume = function (volume) {
+        engine.audio_master_volume = Math.max(volume, 0);
+        if (engine.audioMaster) engine.audioMaster.gain.value = engine.audio_master_volume;
+
+        engine.audioVoices.forEach(voice => {
+            if (voice.element) voice.element.volume = audioElementVolume(voice);
+        });
+    };
+
+    engine.audio_get_master_volume = function () {
+        return engine.audio_master_volume;
+    };
+
+    // Replace the current music track
+    engine.audio_play_music = function (snd, loop = true) {
+        if (engine.audioMusic) engine.audioMusic.stop();
+        engine.audioMusic = audioPlay(snd, 100, loop, 'music', 0);
+        return engine.audioMusic;
+    };
+
+    // Fade the current music out while the new track fades in
+    engine.audio_crossfade_music = function (snd, time = 1, loop = true) {
+        const previous = engine.audioMusic;
+        if (previous && previous.sound === snd && previous.playing) return previous;
+
+        if (previous) previous.stop(time);
+        engine.audioMusic = audioPlay(snd, 100, loop, 'music', time);
+        return engine.audioMusic;
+    };
+
+    engine.audio_stop_music = function (time = 0) {
+        if (engine.audioMusic) engine.audioMusic.stop(time);
+        engine.audioMusic = null;
+    };
+
+    // Headless project code calls the global API just as it does in the page
+    if (engine.headless && typeof host.window_global_functions === 'function') {
+        host.engine = engine;
+        host.window_global_functions();
+    }
 
     // Return the engine interface
     return engine;
 }
 
-// Export to window
-window.createGameEngine = createGameEngine;
\ No newline at end of file
+// Export to window, or for require() when running headless in Node
+if (typeof window !== 'undefined') window.createGameEngine = createGameEngine;
+if (typeof module !== 'undefined' && module.exports) module.exports = { createGameEngine };
\ No newline at end of file
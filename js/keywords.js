@@ -8,11 +8,53 @@ const engineKeywords = [
   {
     name: 'object_add',
     type: 'function',
-    description: 'Creates a new game object type that can be instantiated later.',
-    parameters: [],
+    description: 'Creates a new game object type that can be instantiated later. The name lets other objects define collision_<name> events for it.',
+    parameters: [
+      { name: 'name', type: 'string', description: 'Optional object name' }
+    ],
     returns: 'object',
     example: 'const playerObj = object_add();\n\nplayerObj.awake = function() {\n  this.speed = 5;\n}'
   },
+  {
+    name: 'object_get',
+    type: 'function',
+    description: 'Returns the object that was added with the given name, or null.',
+    parameters: [
+      { name: 'name', type: 'string', description: 'Object name' }
+    ],
+    returns: 'object',
+    example: 'const enemyObj = object_get("objEnemy");'
+  },
+  {
+    name: 'object_set_parent',
+    type: 'function',
+    description: 'Makes child inherit every event it does not define from parent. Collision checks and events against the parent also match the child. Set from the "Parent" menu in the Objects tab.',
+    parameters: [
+      { name: 'child', type: 'object', description: 'Object that inherits' },
+      { name: 'parent', type: 'object', description: 'Object to inherit from, or null' }
+    ],
+    returns: 'boolean',
+    example: 'object_set_parent(objEnemyFast, objEnemy);'
+  },
+  {
+    name: 'object_is_ancestor',
+    type: 'function',
+    description: 'Returns true if obj is ancestor or one of its children.',
+    parameters: [
+      { name: 'obj', type: 'object', description: 'Object to test' },
+      { name: 'ancestor', type: 'object', description: 'Possible parent object' }
+    ],
+    returns: 'boolean',
+    example: 'if (object_is_ancestor(other.object_id, objEnemy)) {\n  this.hp -= 1;\n}'
+  },
+  {
+    name: 'event_inherited',
+    type: 'function',
+    description: 'Runs the parent object\'s handler for the event that is currently running, then carries on with this one.',
+    parameters: [],
+    returns: 'any',
+    example: '// objEnemyFast awake: set up like any enemy, then go faster\nevent_inherited();\nthis.speed *= 2;'
+  },
   {
     name: 'instance_create',
     type: 'function',
@@ -28,7 +70,7 @@ const engineKeywords = [
   {
     name: 'instance_destroy',
     type: 'function',
-    description: 'Marks the object for destruction, removing it from the game.',
+    description: 'Destroys the instance. Its on_destroy event runs immediately and it is removed from the game once the current step has finished updating.',
     parameters: [],
     returns: 'void',
     example: 'if(this.health <= 0) {\n  this.instance_destroy();\n}'
@@ -43,6 +85,297 @@ const engineKeywords = [
     returns: 'boolean',
     example: 'if(instance_exists(boss)) {\n  // Boss is still alive\n}'
   },
+  {
+    name: 'instance_number',
+    type: 'function',
+    description: 'Returns how many active instances of an object (and its children) exist. Pass all to count every instance.',
+    parameters: [
+      { name: 'obj', type: 'object', description: 'Object to count' }
+    ],
+    returns: 'number',
+    example: 'if (instance_number(objEnemy) === 0) {\n  // Wave cleared\n}'
+  },
+  {
+    name: 'instance_find',
+    type: 'function',
+    description: 'Returns the nth active instance of an object, or null. For a parent object or all, instances are counted object by object in the order the objects were added, then in creation order.',
+    parameters: [
+      { name: 'obj', type: 'object', description: 'Object to look in' },
+      { name: 'n', type: 'number', description: 'Index, starting at 0' }
+    ],
+    returns: 'object',
+    example: 'const player = instance_find(objPlayer, 0);'
+  },
+  {
+    name: 'instance_nearest',
+    type: 'function',
+    description: 'Returns the active instance of an object whose x, y is closest to the point, or null.',
+    parameters: [
+      { name: 'x', type: 'number', description: 'X position' },
+      { name: 'y', type: 'number', description: 'Y position' },
+      { name: 'obj', type: 'object', description: 'Object to search' }
+    ],
+    returns: 'object',
+    example: 'const target = instance_nearest(this.x, this.y, objEnemy);\nif (target) {\n  this.direction = point_direction(this.x, this.y, target.x, target.y);\n}'
+  },
+  {
+    name: 'instance_furthest',
+    type: 'function',
+    description: 'Returns the active instance of an object whose x, y is furthest from the point, or null.',
+    parameters: [
+      { name: 'x', type: 'number', description: 'X position' },
+      { name: 'y', type: 'number', description: 'Y position' },
+      { name: 'obj', type: 'object', description: 'Object to search' }
+    ],
+    returns: 'object',
+    example: 'const spawn = instance_furthest(player.x, player.y, objSpawnPoint);'
+  },
+  {
+    name: 'with_instances',
+    type: 'function',
+    description: 'Runs fn for every active instance of an object, with this set to that instance and other passed as its argument. Use a function, not an arrow function, so this is bound. Return false to stop early.',
+    parameters: [
+      { name: 'obj', type: 'object', description: 'Object (or all)' },
+      { name: 'fn', type: 'function', description: 'Called once per instance' },
+      { name: 'other', type: 'object', description: 'Passed to fn; by default the calling instance, which inside another with_instances is the instance it is running as (optional)' }
+    ],
+    returns: 'number',
+    example: 'with_instances(objEnemy, function(other) {\n  this.target = other;\n});'
+  },
+  {
+    name: 'instance_destroy_all',
+    type: 'function',
+    description: 'Destroys every active instance of an object and returns how many there were.',
+    parameters: [
+      { name: 'obj', type: 'object', description: 'Object to clear' }
+    ],
+    returns: 'number',
+    example: 'instance_destroy_all(objBullet);'
+  },
+  {
+    name: 'instance_pool_create',
+    type: 'function',
+    description: 'Gives an object an instance pool holding size ready-made instances. From then on instance_create reuses a removed instance when one is free: it is reset to the object\'s position, image, mask, alarm and module settings and runs on_create and awake again. Variables it set before it was removed are deleted, so set every variable the object uses in on_create or awake. Calling it again grows the pool to size.',
+    parameters: [
+      { name: 'obj', type: 'object', description: 'Object to pool' },
+      { name: 'size', type: 'number', description: 'Instances to build up front' }
+    ],
+    returns: 'object',
+    example: '// Game start\ninstance_pool_create(objBullet, 200);'
+  },
+  {
+    name: 'instance_pool_stats',
+    type: 'function',
+    description: 'Returns {size, free, in_use, reused, allocated} for an object\'s pool, or null if it has none. allocated counts creates that found the pool empty; if it keeps growing, make the pool bigger. Pools are also listed in the debug overlay.',
+    parameters: [
+      { name: 'obj', type: 'object', description: 'Pooled object' }
+    ],
+    returns: 'object',
+    example: 'const stats = instance_pool_stats(objBullet);\nconsole.log(stats.in_use + " bullets");'
+  },
+  {
+    name: 'instance_attach',
+    type: 'function',
+    description: 'Attaches child to parent so it follows the parent\'s position, image_angle, image_xscale/yscale and visibility every step, after all loop events have run. offset_x, offset_y is where the child\'s x, y sits relative to the parent\'s x, y before rotation. Attached children are destroyed with their parent unless destroy_with_parent is false. Use attach_angle, attach_xscale, attach_yscale and attach_visible on the child to adjust it relative to the parent.',
+    parameters: [
+      { name: 'child', type: 'object', description: 'Instance to attach' },
+      { name: 'parent', type: 'object', description: 'Instance to follow' },
+      { name: 'offset_x', type: 'number', description: 'X offset from the parent (default 0)' },
+      { name: 'offset_y', type: 'number', description: 'Y offset from the parent (default 0)' },
+      { name: 'destroy_with_parent', type: 'boolean', description: 'Destroy the child with its parent (default true)' }
+    ],
+    returns: 'boolean',
+    example: 'const hat = instance_create(0, 0, objHat);\ninstance_attach(hat, this, 4, -12);'
+  },
+  {
+    name: 'instance_detach',
+    type: 'function',
+    description: 'Detaches an instance from the instance it was attached to, leaving it where it is.',
+    parameters: [
+      { name: 'child', type: 'object', description: 'Attached instance' }
+    ],
+    returns: 'void',
+    example: '// Drop the weapon\ninstance_detach(this.weapon);'
+  },
+  
+  // Collision Functions
+  {
+    name: 'place_meeting',
+    type: 'function',
+    description: 'Instance method. Returns true if this instance would overlap an instance of obj when moved to x, y. Leave obj out to check against every object.',
+    parameters: [
+      { name: 'x', type: 'number', description: 'X position to test' },
+      { name: 'y', type: 'number', description: 'Y position to test' },
+      { name: 'obj', type: 'object', description: 'Object to check against (optional)' }
+    ],
+    returns: 'boolean',
+    example: 'if (!this.place_meeting(this.x + 4, this.y, objWall)) {\n  this.x += 4;\n}'
+  },
+  {
+    name: 'instance_place',
+    type: 'function',
+    description: 'Instance method. Like place_meeting, but returns the instance that would be hit, or null.',
+    parameters: [
+      { name: 'x', type: 'number', description: 'X position to test' },
+      { name: 'y', type: 'number', description: 'Y position to test' },
+      { name: 'obj', type: 'object', description: 'Object to check against (optional)' }
+    ],
+    returns: 'object',
+    example: 'const coin = this.instance_place(this.x, this.y, objCoin);\nif (coin) {\n  coin.instance_destroy();\n}'
+  },
+  {
+    name: 'mask_set_circle',
+    type: 'function',
+    description: 'Instance or object method. Uses a circle as the collision mask. Positions are relative to x, y; the defaults fit the width/height box. The radius grows with the larger of image_xscale and image_yscale.',
+    parameters: [
+      { name: 'radius', type: 'number', description: 'Circle radius (optional)' },
+      { name: 'x', type: 'number', description: 'Centre X relative to x (optional)' },
+      { name: 'y', type: 'number', description: 'Centre Y relative to y (optional)' }
+    ],
+    returns: 'object',
+    example: 'this.mask_set_circle(12);'
+  },
+  {
+    name: 'mask_set_box',
+    type: 'function',
+    description: 'Instance or object method. Uses a box as the collision mask, which scales with image_xscale/yscale and turns with image_angle around the sprite origin, or the centre of the width/height box.',
+    parameters: [
+      { name: 'left', type: 'number', description: 'Left edge relative to x (default 0)' },
+      { name: 'top', type: 'number', description: 'Top edge relative to y (default 0)' },
+      { name: 'right', type: 'number', description: 'Right edge relative to x (default width)' },
+      { name: 'bottom', type: 'number', description: 'Bottom edge relative to y (default height)' }
+    ],
+    returns: 'object',
+    example: '// A thinner hitbox than the sprite\nthis.mask_set_box(4, 0, this.width - 4, this.height);'
+  },
+  {
+    name: 'mask_set_polygon',
+    type: 'function',
+    description: 'Instance or object method. Uses a convex polygon as the collision mask. Points are relative to x, y, scale with image_xscale/yscale and turn with image_angle.',
+    parameters: [
+      { name: 'points', type: 'array', description: 'Points as [x, y] pairs, in order around the shape' }
+    ],
+    returns: 'object',
+    example: '// A ship pointing right\nthis.mask_set_polygon([[0, 0], [32, 16], [0, 32]]);'
+  },
+  {
+    name: 'mask_set_precise',
+    type: 'function',
+    description: 'Instance or object method. Uses the solid pixels of a sprite as the collision mask, stretched over the width/height box. Switch on the sprite\'s precise mask (🎯) in the Imports tab first; until then the instance collides as its box.',
+    parameters: [
+      { name: 'sprite', type: 'object', description: 'Sprite resource with a precise mask' }
+    ],
+    returns: 'object',
+    example: 'this.width = sprRock.width;\nthis.height = sprRock.height;\nthis.mask_set_precise(sprRock);'
+  },
+  {
+    name: 'mask_from_image',
+    type: 'function',
+    description: 'Builds a precise mask from an image\'s alpha channel. Assign it to a sprite\'s precise_mask to use sprites that were not marked precise.',
+    parameters: [
+      { name: 'image', type: 'object', description: 'A loaded image' },
+      { name: 'threshold', type: 'number', description: 'Alpha (0-255) a pixel must exceed to be solid (default 0)' }
+    ],
+    returns: 'object',
+    example: 'sprRock.precise_mask = mask_from_image(sprRock.image, 128);'
+  },
+  {
+    name: 'mask_clear',
+    type: 'function',
+    description: 'Instance or object method. Goes back to the x, y, width, height box as the collision mask.',
+    parameters: [],
+    returns: 'object',
+    example: 'this.mask_clear();'
+  },
+  {
+    name: 'image_angle',
+    type: 'variable',
+    description: 'Instance variable. Rotation in degrees, clockwise. Turns the drawn sprite and the collision mask around the sprite origin, or the centre of the width/height box when sprite_index is not set; a plain box mask becomes a rotated box.',
+    example: 'this.image_angle = point_direction(this.x, this.y, mouse_x, mouse_y);'
+  },
+  {
+    name: 'show_collision_masks',
+    type: 'variable',
+    description: 'Set to true to outline the collision mask of every active instance, visible or not, after the draw events, for debugging.',
+    example: 'if (keyboard_check_pressed(vk_m)) {\n  show_collision_masks = !show_collision_masks;\n}'
+  },
+  {
+    name: 'collision_rectangle',
+    type: 'function',
+    description: 'Returns the first instance of obj overlapping the rectangle, or null. Pass the calling instance as notme to ignore it.',
+    parameters: [
+      { name: 'x1', type: 'number', description: 'Left edge' },
+      { name: 'y1', type: 'number', description: 'Top edge' },
+      { name: 'x2', type: 'number', description: 'Right edge' },
+      { name: 'y2', type: 'number', description: 'Bottom edge' },
+      { name: 'obj', type: 'object', description: 'Object to check for, or null for any' },
+      { name: 'notme', type: 'object', description: 'Instance to ignore (optional)' }
+    ],
+    returns: 'object',
+    example: 'const hit = collision_rectangle(this.x, this.y - 8, this.x + this.width, this.y, objBlock, this);'
+  },
+  {
+    name: 'collision_rectangle_list',
+    type: 'function',
+    description: 'Returns an array of every instance of obj overlapping the rectangle.',
+    parameters: [
+      { name: 'x1', type: 'number', description: 'Left edge' },
+      { name: 'y1', type: 'number', description: 'Top edge' },
+      { name: 'x2', type: 'number', description: 'Right edge' },
+      { name: 'y2', type: 'number', description: 'Bottom edge' },
+      { name: 'obj', type: 'object', description: 'Object to check for, or null for any' },
+      { name: 'notme', type: 'object', description: 'Instance to ignore (optional)' }
+    ],
+    returns: 'array',
+    example: 'const inBlast = collision_rectangle_list(x - 64, y - 64, x + 64, y + 64, objEnemy);'
+  },
+  {
+    name: 'collision_circle',
+    type: 'function',
+    description: 'Returns the first instance of obj whose bounding box touches the circle, or null.',
+    parameters: [
+      { name: 'x', type: 'number', description: 'Circle centre X' },
+      { name: 'y', type: 'number', description: 'Circle centre Y' },
+      { name: 'radius', type: 'number', description: 'Circle radius' },
+      { name: 'obj', type: 'object', description: 'Object to check for, or null for any' },
+      { name: 'notme', type: 'object', description: 'Instance to ignore (optional)' }
+    ],
+    returns: 'object',
+    example: 'const target = collision_circle(this.center_x, this.center_y, 200, objPlayer);'
+  },
+  {
+    name: 'collision_point',
+    type: 'function',
+    description: 'Returns the first instance of obj containing the point, or null.',
+    parameters: [
+      { name: 'x', type: 'number', description: 'X position' },
+      { name: 'y', type: 'number', description: 'Y position' },
+      { name: 'obj', type: 'object', description: 'Object to check for, or null for any' },
+      { name: 'notme', type: 'object', description: 'Instance to ignore (optional)' }
+    ],
+    returns: 'object',
+    example: 'const clicked = collision_point(mouse_x, mouse_y, objButton);'
+  },
+  {
+    name: 'spatial_set_cell_size',
+    type: 'function',
+    description: 'Sets the cell size of the spatial hash used by collision queries (default 64). Cells about the size of a typical instance are fastest.',
+    parameters: [
+      { name: 'size', type: 'number', description: 'Cell size in pixels' }
+    ],
+    returns: 'void',
+    example: '// In an awake event, for a game of 16x16 tiles\nspatial_set_cell_size(32);'
+  },
+  {
+    name: 'spatial_update',
+    type: 'function',
+    description: 'Files an instance in the spatial hash again. Instances are re-filed after awake and at the end of their own step, so call this after moving another instance to find it with collision queries in the same step.',
+    parameters: [
+      { name: 'instance', type: 'object', description: 'Instance that was moved' }
+    ],
+    returns: 'void',
+    example: 'box.x += 32;\nspatial_update(box);\nconst pushed = collision_point(this.x + 48, this.y, objBox);'
+  },
   
   // Drawing Functions
   {
@@ -266,6 +599,113 @@ const engineKeywords = [
     returns: 'void',
     example: 'draw_sprite_part(character_sheet, this.animation_frame, this.x, this.y);'
   },
+  {
+    name: 'draw_sprite_frame',
+    type: 'function',
+    description: 'Draws one frame of an animated sprite with its origin at x, y, with scaling, rotation, transparency and a blend colour.',
+    parameters: [
+      { name: 'sprite', type: 'sprite', description: 'The sprite to draw' },
+      { name: 'frame', type: 'number', description: 'Frame number, wrapped to the sprite\'s frame count' },
+      { name: 'x', type: 'number', description: 'X position of the sprite origin' },
+      { name: 'y', type: 'number', description: 'Y position of the sprite origin' },
+      { name: 'xscale', type: 'number', description: 'Horizontal scaling factor (default 1)' },
+      { name: 'yscale', type: 'number', description: 'Vertical scaling factor (default 1)' },
+      { name: 'rotation', type: 'number', description: 'Rotation angle in degrees (default 0)' },
+      { name: 'alpha', type: 'number', description: 'Alpha transparency 0-1 (default 1)' },
+      { name: 'blend', type: 'color', description: 'Colour multiplied with the frame (default c_white, unchanged)' }
+    ],
+    returns: 'void',
+    example: 'draw_sprite_frame(spr_coin, Date.now() / 100, this.x, this.y, 1, 1, 0, 1, c_yellow);'
+  },
+  {
+    name: 'draw_self',
+    type: 'function',
+    description: 'Instance method. Draws sprite_index using the instance\'s image_index, image_xscale, image_yscale, image_angle, image_alpha and image_blend. Objects with no draw event do this automatically.',
+    parameters: [],
+    returns: 'void',
+    example: '// Draw event: sprite plus a health bar\nthis.draw_self();\ndraw_rectangle(this.x, this.y - 6, this.x + this.hp, this.y - 2, false);'
+  },
+  {
+    name: 'sprite_index',
+    type: 'variable',
+    description: 'Instance variable. The sprite resource the instance shows. Once its image loads, the instance\'s width and height become the frame size and its collision mask follows the sprite\'s mask setting, unless a mask was set with a mask_set_ method.',
+    example: 'this.sprite_index = this.hspeed !== 0 ? spr_player_run : spr_player_idle;'
+  },
+  {
+    name: 'image_index',
+    type: 'variable',
+    description: 'Instance variable. The current animation frame. Advances by the sprite\'s speed times image_speed and wraps at the frame count; fractional values show the frame below.',
+    example: 'this.image_index = 0;'
+  },
+  {
+    name: 'image_speed',
+    type: 'variable',
+    description: 'Instance variable. Multiplier for the sprite\'s animation speed (frames per second, set in the sprite editor). 0 stops the animation, negative values play it backwards.',
+    example: 'this.image_speed = 0;\nthis.image_index = 2; // Hold frame 2'
+  },
+  {
+    name: 'image_alpha',
+    type: 'variable',
+    description: 'Instance variable. Transparency of the drawn sprite, from 0 to 1.',
+    example: 'this.image_alpha = 0.5;'
+  },
+  {
+    name: 'image_blend',
+    type: 'variable',
+    description: 'Instance variable. Colour multiplied with the drawn sprite. c_white leaves it unchanged.',
+    example: 'this.image_blend = this.hurt ? c_red : c_white;'
+  },
+  {
+    name: 'resource_add',
+    type: 'function',
+    description: 'Adds a sprite, sound or other resource under a name so saves can store references to it. Resources from the Imports tab are added under their variable name automatically. Returns the resource.',
+    parameters: [
+      { name: 'name', type: 'string', description: 'Name to store it under' },
+      { name: 'resource', type: 'object', description: 'The resource' }
+    ],
+    returns: 'object',
+    example: 'const spr_enemy_alt = resource_add("spr_enemy_alt", { src: "enemy_alt.png", image: null, loaded: false });'
+  },
+  {
+    name: 'resource_get',
+    type: 'function',
+    description: 'Returns the resource added under a name, or null.',
+    parameters: [
+      { name: 'name', type: 'string', description: 'Name it was added under' }
+    ],
+    returns: 'object',
+    example: 'this.sprite_index = resource_get("spr_player_idle");'
+  },
+  {
+    name: 'sprite_get_number',
+    type: 'function',
+    description: 'Returns the number of frames in a sprite.',
+    parameters: [
+      { name: 'sprite', type: 'sprite', description: 'The sprite to check' }
+    ],
+    returns: 'number',
+    example: 'if (this.image_index >= sprite_get_number(this.sprite_index) - 1) {\n  this.image_speed = 0;\n}'
+  },
+  {
+    name: 'sprite_get_width',
+    type: 'function',
+    description: 'Returns the width of one frame of a sprite.',
+    parameters: [
+      { name: 'sprite', type: 'sprite', description: 'The sprite to check' }
+    ],
+    returns: 'number',
+    example: 'const w = sprite_get_width(spr_player);'
+  },
+  {
+    name: 'sprite_get_height',
+    type: 'function',
+    description: 'Returns the height of one frame of a sprite.',
+    parameters: [
+      { name: 'sprite', type: 'sprite', description: 'The sprite to check' }
+    ],
+    returns: 'number',
+    example: 'const h = sprite_get_height(spr_player);'
+  },
   
   // Shape Drawing System
   {
@@ -484,48 +924,1113 @@ const engineKeywords = [
     example: 'const dist = point_distance(player.x, player.y, enemy.x, enemy.y);\nif(dist < 100) {\n  // Enemy is close to player\n}'
   },
   
-  // Random Functions
+  // Mouse Input
   {
-    name: 'random',
+    name: 'mouse_check_button',
     type: 'function',
-    description: 'Returns a random float number between 0 and the specified value.',
+    description: 'Checks if a mouse button is currently held down.',
     parameters: [
-      { name: 'max', type: 'number', description: 'Maximum value (exclusive)' }
+      { name: 'button', type: 'number', description: 'Mouse button to check (mb_left, mb_middle, mb_right)' }
     ],
-    returns: 'number',
-    example: 'const speed = 2 + random(3); // Random value between 2 and 5'
+    returns: 'boolean',
+    example: 'if (mouse_check_button(mb_left)) {\n  this.x = mouse_x;\n  this.y = mouse_y;\n}'
   },
   {
-    name: 'random_range',
+    name: 'mouse_check_button_pressed',
     type: 'function',
-    description: 'Returns a random float number between the specified min and max values.',
+    description: 'Checks if a mouse button was pressed on the game canvas during this step. In draw and draw_gui it checks since the last frame was drawn, so it works while the game is paused.',
     parameters: [
-      { name: 'min', type: 'number', description: 'Minimum value (inclusive)' },
-      { name: 'max', type: 'number', description: 'Maximum value (exclusive)' }
+      { name: 'button', type: 'number', description: 'Mouse button to check (mb_left, mb_middle, mb_right)' }
     ],
-    returns: 'number',
-    example: 'const enemySize = random_range(0.8, 1.5);'
+    returns: 'boolean',
+    example: 'if (mouse_check_button_pressed(mb_left)) {\n  instance_create(mouse_x, mouse_y, objBullet);\n}'
   },
   {
-    name: 'irandom',
+    name: 'mouse_check_button_released',
     type: 'function',
-    description: 'Returns a random integer between 0 and the specified value.',
+    description: 'Checks if a mouse button was released during this step.',
     parameters: [
-      { name: 'max', type: 'number', description: 'Maximum value (inclusive)' }
+      { name: 'button', type: 'number', description: 'Mouse button to check (mb_left, mb_middle, mb_right)' }
     ],
-    returns: 'number',
-    example: 'const coins = irandom(5); // 0-5 coins'
+    returns: 'boolean',
+    example: 'if (mouse_check_button_released(mb_right)) {\n  this.aiming = false;\n}'
   },
   {
-    name: 'irandom_range',
+    name: 'mouse_wheel_up',
     type: 'function',
-    description: 'Returns a random integer between the specified min and max values.',
-    parameters: [
-      { name: 'min', type: 'number', description: 'Minimum value (inclusive)' },
-      { name: 'max', type: 'number', description: 'Maximum value (inclusive)' }
-    ],
-    returns: 'number',
-    example: 'const damage = irandom_range(5, 10); // 5-10 damage'
+    description: 'Checks if the mouse wheel was scrolled up over the game canvas during this step.',
+    parameters: [],
+    returns: 'boolean',
+    example: 'if (mouse_wheel_up()) this.zoom += 0.1;'
+  },
+  {
+    name: 'mouse_wheel_down',
+    type: 'function',
+    description: 'Checks if the mouse wheel was scrolled down over the game canvas during this step.',
+    parameters: [],
+    returns: 'boolean',
+    example: 'if (mouse_wheel_down()) this.zoom -= 0.1;'
+  },
+  {
+    name: 'mb_left',
+    type: 'constant',
+    description: 'Left mouse button',
+    example: 'mouse_check_button(mb_left);'
+  },
+  {
+    name: 'mb_middle',
+    type: 'constant',
+    description: 'Middle mouse button (wheel click)',
+    example: 'mouse_check_button(mb_middle);'
+  },
+  {
+    name: 'mb_right',
+    type: 'constant',
+    description: 'Right mouse button',
+    example: 'mouse_check_button(mb_right);'
+  },
+  
+  // Gamepad Input
+  {
+    name: 'gamepad_is_connected',
+    type: 'function',
+    description: 'Checks if a gamepad is connected at the given device slot.',
+    parameters: [
+      { name: 'device', type: 'number', description: 'Gamepad slot, starting at 0' }
+    ],
+    returns: 'boolean',
+    example: 'if (!gamepad_is_connected(0)) {\n  draw_text(10, 10, "Connect a controller");\n}'
+  },
+  {
+    name: 'gamepad_get_device_count',
+    type: 'function',
+    description: 'Returns the number of gamepad slots the browser reports.',
+    parameters: [],
+    returns: 'number',
+    example: 'for (let i = 0; i < gamepad_get_device_count(); i++) {\n  if (gamepad_is_connected(i)) players++;\n}'
+  },
+  {
+    name: 'gamepad_check_button',
+    type: 'function',
+    description: 'Checks if a gamepad button is currently held down.',
+    parameters: [
+      { name: 'device', type: 'number', description: 'Gamepad slot, starting at 0' },
+      { name: 'button', type: 'number', description: 'Button to check (e.g. gp_face1, gp_padl)' }
+    ],
+    returns: 'boolean',
+    example: 'if (gamepad_check_button(0, gp_padr)) this.x += 2;'
+  },
+  {
+    name: 'gamepad_check_button_pressed',
+    type: 'function',
+    description: 'Checks if a gamepad button was pressed during this step. In draw and draw_gui it checks since the last frame was drawn.',
+    parameters: [
+      { name: 'device', type: 'number', description: 'Gamepad slot, starting at 0' },
+      { name: 'button', type: 'number', description: 'Button to check (e.g. gp_face1, gp_start)' }
+    ],
+    returns: 'boolean',
+    example: 'if (gamepad_check_button_pressed(0, gp_face1)) {\n  this.platformer.set_jump_input(true);\n}'
+  },
+  {
+    name: 'gamepad_check_button_released',
+    type: 'function',
+    description: 'Checks if a gamepad button was released during this step.',
+    parameters: [
+      { name: 'device', type: 'number', description: 'Gamepad slot, starting at 0' },
+      { name: 'button', type: 'number', description: 'Button to check (e.g. gp_face1, gp_start)' }
+    ],
+    returns: 'boolean',
+    example: 'if (gamepad_check_button_released(0, gp_face3)) {\n  this.charging = false;\n}'
+  },
+  {
+    name: 'gamepad_button_value',
+    type: 'function',
+    description: 'Returns the analog value of a gamepad button between 0 and 1, useful for triggers.',
+    parameters: [
+      { name: 'device', type: 'number', description: 'Gamepad slot, starting at 0' },
+      { name: 'button', type: 'number', description: 'Button to read (e.g. gp_shoulderrb)' }
+    ],
+    returns: 'number',
+    example: 'const throttle = gamepad_button_value(0, gp_shoulderrb);'
+  },
+  {
+    name: 'gamepad_axis_value',
+    type: 'function',
+    description: 'Returns a stick axis value between -1 and 1. Values inside the deadzone return 0 and the rest is rescaled.',
+    parameters: [
+      { name: 'device', type: 'number', description: 'Gamepad slot, starting at 0' },
+      { name: 'axis', type: 'number', description: 'Axis to read (gp_axislh, gp_axislv, gp_axisrh, gp_axisrv)' }
+    ],
+    returns: 'number',
+    example: 'this.x += gamepad_axis_value(0, gp_axislh) * 4;'
+  },
+  {
+    name: 'gamepad_set_axis_deadzone',
+    type: 'function',
+    description: 'Sets the axis deadzone for a gamepad (default 0.2).',
+    parameters: [
+      { name: 'device', type: 'number', description: 'Gamepad slot, or -1 to set the default for every gamepad' },
+      { name: 'deadzone', type: 'number', description: 'Deadzone between 0 and 0.99' }
+    ],
+    returns: 'void',
+    example: 'gamepad_set_axis_deadzone(-1, 0.25);'
+  },
+  {
+    name: 'gamepad_get_axis_deadzone',
+    type: 'function',
+    description: 'Returns the axis deadzone used for a gamepad.',
+    parameters: [
+      { name: 'device', type: 'number', description: 'Gamepad slot, starting at 0' }
+    ],
+    returns: 'number',
+    example: 'const dz = gamepad_get_axis_deadzone(0);'
+  },
+  {
+    name: 'gp_face1',
+    type: 'constant',
+    description: 'Gamepad face button 1 (A / Cross)',
+    example: 'gamepad_check_button(0, gp_face1);'
+  },
+  {
+    name: 'gp_face2',
+    type: 'constant',
+    description: 'Gamepad face button 2 (B / Circle)',
+    example: 'gamepad_check_button(0, gp_face2);'
+  },
+  {
+    name: 'gp_face3',
+    type: 'constant',
+    description: 'Gamepad face button 3 (X / Square)',
+    example: 'gamepad_check_button(0, gp_face3);'
+  },
+  {
+    name: 'gp_face4',
+    type: 'constant',
+    description: 'Gamepad face button 4 (Y / Triangle)',
+    example: 'gamepad_check_button(0, gp_face4);'
+  },
+  {
+    name: 'gp_shoulderl',
+    type: 'constant',
+    description: 'Left shoulder button',
+    example: 'gamepad_check_button(0, gp_shoulderl);'
+  },
+  {
+    name: 'gp_shoulderr',
+    type: 'constant',
+    description: 'Right shoulder button',
+    example: 'gamepad_check_button(0, gp_shoulderr);'
+  },
+  {
+    name: 'gp_shoulderlb',
+    type: 'constant',
+    description: 'Left trigger',
+    example: 'gamepad_check_button(0, gp_shoulderlb);'
+  },
+  {
+    name: 'gp_shoulderrb',
+    type: 'constant',
+    description: 'Right trigger',
+    example: 'gamepad_check_button(0, gp_shoulderrb);'
+  },
+  {
+    name: 'gp_select',
+    type: 'constant',
+    description: 'Select / Back button',
+    example: 'gamepad_check_button(0, gp_select);'
+  },
+  {
+    name: 'gp_start',
+    type: 'constant',
+    description: 'Start button',
+    example: 'gamepad_check_button(0, gp_start);'
+  },
+  {
+    name: 'gp_stickl',
+    type: 'constant',
+    description: 'Left stick click',
+    example: 'gamepad_check_button(0, gp_stickl);'
+  },
+  {
+    name: 'gp_stickr',
+    type: 'constant',
+    description: 'Right stick click',
+    example: 'gamepad_check_button(0, gp_stickr);'
+  },
+  {
+    name: 'gp_padu',
+    type: 'constant',
+    description: 'D-pad up',
+    example: 'gamepad_check_button(0, gp_padu);'
+  },
+  {
+    name: 'gp_padd',
+    type: 'constant',
+    description: 'D-pad down',
+    example: 'gamepad_check_button(0, gp_padd);'
+  },
+  {
+    name: 'gp_padl',
+    type: 'constant',
+    description: 'D-pad left',
+    example: 'gamepad_check_button(0, gp_padl);'
+  },
+  {
+    name: 'gp_padr',
+    type: 'constant',
+    description: 'D-pad right',
+    example: 'gamepad_check_button(0, gp_padr);'
+  },
+  {
+    name: 'gp_home',
+    type: 'constant',
+    description: 'Home / Guide button',
+    example: 'gamepad_check_button(0, gp_home);'
+  },
+  {
+    name: 'gp_axislh',
+    type: 'constant',
+    description: 'Left stick horizontal axis',
+    example: 'gamepad_axis_value(0, gp_axislh);'
+  },
+  {
+    name: 'gp_axislv',
+    type: 'constant',
+    description: 'Left stick vertical axis',
+    example: 'gamepad_axis_value(0, gp_axislv);'
+  },
+  {
+    name: 'gp_axisrh',
+    type: 'constant',
+    description: 'Right stick horizontal axis',
+    example: 'gamepad_axis_value(0, gp_axisrh);'
+  },
+  {
+    name: 'gp_axisrv',
+    type: 'constant',
+    description: 'Right stick vertical axis',
+    example: 'gamepad_axis_value(0, gp_axisrv);'
+  },
+  
+  // Touch Input
+  {
+    name: 'touch_count',
+    type: 'function',
+    description: 'Returns the number of fingers currently touching the game canvas.',
+    parameters: [],
+    returns: 'number',
+    example: 'if (touch_count() >= 2) {\n  this.zooming = true;\n}'
+  },
+  {
+    name: 'touch_x',
+    type: 'function',
+    description: 'Returns the room x position of a touch. Touches are numbered in the order they started.',
+    parameters: [
+      { name: 'index', type: 'number', description: 'Touch number (default 0)' }
+    ],
+    returns: 'number',
+    example: 'if (touch_count() > 0) {\n  this.x = touch_x(0);\n}'
+  },
+  {
+    name: 'touch_y',
+    type: 'function',
+    description: 'Returns the room y position of a touch. Touches are numbered in the order they started.',
+    parameters: [
+      { name: 'index', type: 'number', description: 'Touch number (default 0)' }
+    ],
+    returns: 'number',
+    example: 'if (touch_count() > 0) {\n  this.y = touch_y(0);\n}'
+  },
+  {
+    name: 'virtual_control_add',
+    type: 'function',
+    description: 'Adds an on-screen joystick or button that holds keys while touched, so keyboard_check works on touch screens. Negative x/y are measured from the right/bottom edge.',
+    parameters: [
+      { name: 'control', type: 'object', description: '{ type: "joystick" or "button", x, y, radius, keys: [left, right, up, down] for joysticks, key for buttons, label }' }
+    ],
+    returns: 'number',
+    example: 'virtual_control_add({ type: "joystick", x: 100, y: -100, keys: [vk_left, vk_right, vk_up, vk_down] });\nvirtual_control_add({ type: "button", x: -80, y: -100, key: vk_space, label: "A" });'
+  },
+  {
+    name: 'virtual_controls_clear',
+    type: 'function',
+    description: 'Removes every on-screen control and releases the keys they were holding.',
+    parameters: [],
+    returns: 'void',
+    example: 'virtual_controls_clear();'
+  },
+  {
+    name: 'virtual_controls_show',
+    type: 'function',
+    description: 'Forces the on-screen controls to be shown or hidden. By default they appear once the screen has been touched.',
+    parameters: [
+      { name: 'show', type: 'boolean', description: 'Whether to draw the controls' }
+    ],
+    returns: 'void',
+    example: 'virtual_controls_show(false);'
+  },
+  {
+    name: 'virtual_joystick_x',
+    type: 'function',
+    description: 'Returns how far an on-screen joystick is pushed horizontally, from -1 to 1.',
+    parameters: [
+      { name: 'index', type: 'number', description: 'Joystick number (default 0)' }
+    ],
+    returns: 'number',
+    example: 'this.x += virtual_joystick_x(0) * 4;'
+  },
+  {
+    name: 'virtual_joystick_y',
+    type: 'function',
+    description: 'Returns how far an on-screen joystick is pushed vertically, from -1 to 1.',
+    parameters: [
+      { name: 'index', type: 'number', description: 'Joystick number (default 0)' }
+    ],
+    returns: 'number',
+    example: 'this.y += virtual_joystick_y(0) * 4;'
+  },
+  
+  // Input Actions
+  {
+    name: 'game_set_id',
+    type: 'function',
+    description: 'Sets the ID that the game\'s data in localStorage, such as save slots, save_set values and player rebinds, is kept under, so games on the same site keep their own. Projects set it from the Game ID in the Settings tab.',
+    parameters: [
+      { name: 'id', type: 'string', description: 'Game ID' }
+    ],
+    returns: 'void',
+    example: 'game_set_id("space_miner");'
+  },
+  {
+    name: 'input_bind',
+    type: 'function',
+    description: 'Binds a named action to one or more keys and gamepad buttons. A rebind the player saved with input_rebind takes priority.',
+    parameters: [
+      { name: 'action', type: 'string', description: 'Action name (e.g. "jump")' },
+      { name: 'codes', type: 'array', description: 'Key codes and gamepad buttons (e.g. [vk_space, vk_w, gp_face1])' }
+    ],
+    returns: 'void',
+    example: 'input_bind("jump", [vk_space, vk_w, gp_face1]);'
+  },
+  {
+    name: 'input_bind_axis',
+    type: 'function',
+    description: 'Defines an analog axis from a negative action, a positive action and an optional gamepad stick axis.',
+    parameters: [
+      { name: 'name', type: 'string', description: 'Axis name (e.g. "move_x")' },
+      { name: 'negative', type: 'string', description: 'Action that pushes the axis towards -1' },
+      { name: 'positive', type: 'string', description: 'Action that pushes the axis towards 1' },
+      { name: 'gamepad_axis', type: 'number', description: 'Optional stick axis (e.g. gp_axislh)' }
+    ],
+    returns: 'void',
+    example: 'input_bind_axis("move_x", "left", "right", gp_axislh);'
+  },
+  {
+    name: 'input_check',
+    type: 'function',
+    description: 'Checks if any binding of an action is held down.',
+    parameters: [
+      { name: 'action', type: 'string', description: 'Action name' }
+    ],
+    returns: 'boolean',
+    example: 'if (input_check("fire")) {\n  this.charge += 1;\n}'
+  },
+  {
+    name: 'input_pressed',
+    type: 'function',
+    description: 'Checks if an action was pressed during this step.',
+    parameters: [
+      { name: 'action', type: 'string', description: 'Action name' }
+    ],
+    returns: 'boolean',
+    example: 'if (input_pressed("jump") && this.on_ground) {\n  this.vspeed = -8;\n}'
+  },
+  {
+    name: 'input_released',
+    type: 'function',
+    description: 'Checks if an action was released during this step and none of its other bindings are still held.',
+    parameters: [
+      { name: 'action', type: 'string', description: 'Action name' }
+    ],
+    returns: 'boolean',
+    example: 'if (input_released("fire")) {\n  shoot(this.charge);\n}'
+  },
+  {
+    name: 'input_axis',
+    type: 'function',
+    description: 'Returns an axis value between -1 and 1. The gamepad stick is used when it is pushed further than the digital actions.',
+    parameters: [
+      { name: 'name', type: 'string', description: 'Axis name' }
+    ],
+    returns: 'number',
+    example: 'this.x += input_axis("move_x") * 4;'
+  },
+  {
+    name: 'input_get_bindings',
+    type: 'function',
+    description: 'Returns the key codes and gamepad buttons currently bound to an action.',
+    parameters: [
+      { name: 'action', type: 'string', description: 'Action name' }
+    ],
+    returns: 'array',
+    example: 'const codes = input_get_bindings("jump");'
+  },
+  {
+    name: 'input_binding_name',
+    type: 'function',
+    description: 'Returns the constant name of a binding (e.g. "vk_space" or "gp_face1"), for showing in rebinding menus.',
+    parameters: [
+      { name: 'code', type: 'number', description: 'Key code or gamepad button' }
+    ],
+    returns: 'string',
+    example: 'draw_text(10, 10, "Jump: " + input_binding_name(input_get_bindings("jump")[0]));'
+  },
+  {
+    name: 'input_rebind',
+    type: 'function',
+    description: 'Replaces one binding slot of an action and saves the change to localStorage so it is kept between sessions.',
+    parameters: [
+      { name: 'action', type: 'string', description: 'Action name' },
+      { name: 'code', type: 'number', description: 'New key code or gamepad button' },
+      { name: 'slot', type: 'number', description: 'Binding slot to replace (default 0)' }
+    ],
+    returns: 'void',
+    example: 'input_rebind("jump", vk_z);'
+  },
+  {
+    name: 'input_rebind_listen',
+    type: 'function',
+    description: 'Rebinds an action slot to the next key or gamepad button the player presses, and saves it to localStorage.',
+    parameters: [
+      { name: 'action', type: 'string', description: 'Action name' },
+      { name: 'slot', type: 'number', description: 'Binding slot to replace (default 0)' }
+    ],
+    returns: 'void',
+    example: 'if (keyboard_check_pressed(vk_enter)) {\n  input_rebind_listen("jump");\n}'
+  },
+  {
+    name: 'input_is_listening',
+    type: 'function',
+    description: 'Checks if input_rebind_listen is still waiting for a key or button.',
+    parameters: [],
+    returns: 'boolean',
+    example: 'if (input_is_listening()) draw_text(10, 10, "Press a key...");'
+  },
+  {
+    name: 'input_reset',
+    type: 'function',
+    description: 'Restores the default bindings of an action, or of every action when called without arguments, and clears the saved rebinds.',
+    parameters: [
+      { name: 'action', type: 'string', description: 'Optional action name' }
+    ],
+    returns: 'void',
+    example: 'input_reset();'
+  },
+  
+  // Audio
+  {
+    name: 'audio_play_sound',
+    type: 'function',
+    description: 'Plays a sound resource and returns a handle for controlling that playback. Every call starts a new voice, so the same sound can overlap itself.',
+    parameters: [
+      { name: 'sound', type: 'object', description: 'Sound resource' },
+      { name: 'priority', type: 'number', description: 'Higher priority voices are kept when too many sounds play at once (default 0)' },
+      { name: 'loop', type: 'boolean', description: 'Whether to loop (default false)' },
+      { name: 'group', type: 'string', description: 'Group bus: "music", "sfx" or "ui" (default the sound\'s group, usually "sfx")' }
+    ],
+    returns: 'object',
+    example: 'const shot = audio_play_sound(sndShoot, 1, false);\nshot.set_pitch(random_range(0.9, 1.1));'
+  },
+  {
+    name: 'audio_play_sound_at',
+    type: 'function',
+    description: 'Plays a sound from a point in the room. It is full volume within falloff_ref of the listener, fades out linearly to silence at falloff_max, and is panned by how far left or right of the listener it is. The listener is the view centre, or the camera module target.',
+    parameters: [
+      { name: 'sound', type: 'object', description: 'Sound resource' },
+      { name: 'x', type: 'number', description: 'Room x position' },
+      { name: 'y', type: 'number', description: 'Room y position' },
+      { name: 'falloff_ref', type: 'number', description: 'Distance heard at full volume (default 100)' },
+      { name: 'falloff_max', type: 'number', description: 'Distance at which the sound is silent (default 600)' },
+      { name: 'priority', type: 'number', description: 'Voice priority (default 0)' },
+      { name: 'loop', type: 'boolean', description: 'Whether to loop (default false)' }
+    ],
+    returns: 'object',
+    example: 'audio_play_sound_at(sndExplosion, this.x, this.y, 100, 800);'
+  },
+  {
+    name: 'audio_play_sound_on',
+    type: 'function',
+    description: 'Plays a positional sound that follows an instance every frame. Looping sounds stop when the instance is destroyed.',
+    parameters: [
+      { name: 'sound', type: 'object', description: 'Sound resource' },
+      { name: 'instance', type: 'object', description: 'Instance the sound follows' },
+      { name: 'falloff_ref', type: 'number', description: 'Distance heard at full volume (default 100)' },
+      { name: 'falloff_max', type: 'number', description: 'Distance at which the sound is silent (default 600)' },
+      { name: 'priority', type: 'number', description: 'Voice priority (default 0)' },
+      { name: 'loop', type: 'boolean', description: 'Whether to loop (default false)' }
+    ],
+    returns: 'object',
+    example: '// In awake\nthis.hum = audio_play_sound_on(sndEngineHum, this, 50, 400, 0, true);'
+  },
+  {
+    name: 'audio_listener_set',
+    type: 'function',
+    description: 'Sets where positional sounds are heard from: an instance, an [x, y] point, or null for the view centre. The camera module sets this to its target whenever the target changes, unless its audio_listener option is false.',
+    parameters: [
+      { name: 'target', type: 'object', description: 'Instance, [x, y] array or null' }
+    ],
+    returns: 'void',
+    example: 'audio_listener_set(this);'
+  },
+  {
+    name: 'audio_stop_sound',
+    type: 'function',
+    description: 'Stops a sound handle, or every playing voice of a sound resource.',
+    parameters: [
+      { name: 'sound', type: 'object', description: 'Sound handle or sound resource' },
+      { name: 'time', type: 'number', description: 'Optional fade out time in seconds' }
+    ],
+    returns: 'void',
+    example: 'audio_stop_sound(sndEngine, 0.5);'
+  },
+  {
+    name: 'audio_stop_all',
+    type: 'function',
+    description: 'Stops every playing sound, including music.',
+    parameters: [],
+    returns: 'void',
+    example: 'audio_stop_all();'
+  },
+  {
+    name: 'audio_is_playing',
+    type: 'function',
+    description: 'Checks if a sound handle is playing, or if any voice of a sound resource is playing.',
+    parameters: [
+      { name: 'sound', type: 'object', description: 'Sound handle or sound resource' }
+    ],
+    returns: 'boolean',
+    example: 'if (!audio_is_playing(sndAlarm)) {\n  audio_play_sound(sndAlarm);\n}'
+  },
+  {
+    name: 'audio_sound_gain',
+    type: 'function',
+    description: 'Sets the volume of a sound handle, optionally fading over time. Same as handle.set_gain(gain, time).',
+    parameters: [
+      { name: 'handle', type: 'object', description: 'Sound handle' },
+      { name: 'gain', type: 'number', description: 'Volume from 0 to 1' },
+      { name: 'time', type: 'number', description: 'Optional fade time in seconds' }
+    ],
+    returns: 'void',
+    example: 'audio_sound_gain(this.engine_hum, 0.3, 1);'
+  },
+  {
+    name: 'audio_sound_pitch',
+    type: 'function',
+    description: 'Sets the playback speed of a sound handle, where 2 is an octave higher. Same as handle.set_pitch(pitch).',
+    parameters: [
+      { name: 'handle', type: 'object', description: 'Sound handle' },
+      { name: 'pitch', type: 'number', description: 'Pitch multiplier' }
+    ],
+    returns: 'void',
+    example: 'audio_sound_pitch(this.engine_hum, 1 + this.speed / 10);'
+  },
+  {
+    name: 'audio_sound_pan',
+    type: 'function',
+    description: 'Sets the stereo position of a sound handle from -1 (left) to 1 (right). Same as handle.set_pan(pan).',
+    parameters: [
+      { name: 'handle', type: 'object', description: 'Sound handle' },
+      { name: 'pan', type: 'number', description: 'Pan from -1 to 1' }
+    ],
+    returns: 'void',
+    example: 'audio_sound_pan(handle, (this.x - room_width / 2) / (room_width / 2));'
+  },
+  {
+    name: 'audio_group_set_volume',
+    type: 'function',
+    description: 'Sets the volume of a group bus ("music", "sfx" or "ui"), affecting every sound playing in it.',
+    parameters: [
+      { name: 'group', type: 'string', description: 'Group name' },
+      { name: 'volume', type: 'number', description: 'Volume from 0 to 1' },
+      { name: 'time', type: 'number', description: 'Optional fade time in seconds' }
+    ],
+    returns: 'void',
+    example: 'audio_group_set_volume("music", 0.5);'
+  },
+  {
+    name: 'audio_group_get_volume',
+    type: 'function',
+    description: 'Returns the volume of a group bus.',
+    parameters: [
+      { name: 'group', type: 'string', description: 'Group name' }
+    ],
+    returns: 'number',
+    example: 'const musicVolume = audio_group_get_volume("music");'
+  },
+  {
+    name: 'audio_set_master_volume',
+    type: 'function',
+    description: 'Sets the volume of all audio.',
+    parameters: [
+      { name: 'volume', type: 'number', description: 'Volume from 0 to 1' }
+    ],
+    returns: 'void',
+    example: 'audio_set_master_volume(0.8);'
+  },
+  {
+    name: 'audio_get_master_volume',
+    type: 'function',
+    description: 'Returns the volume of all audio.',
+    parameters: [],
+    returns: 'number',
+    example: 'const volume = audio_get_master_volume();'
+  },
+  {
+    name: 'audio_play_music',
+    type: 'function',
+    description: 'Plays a sound on the music group, replacing the current music track.',
+    parameters: [
+      { name: 'sound', type: 'object', description: 'Sound resource' },
+      { name: 'loop', type: 'boolean', description: 'Whether to loop (default true)' }
+    ],
+    returns: 'object',
+    example: 'audio_play_music(sndTitleTheme);'
+  },
+  {
+    name: 'audio_crossfade_music',
+    type: 'function',
+    description: 'Fades the current music track out while a new one fades in. Does nothing if the track is already playing.',
+    parameters: [
+      { name: 'sound', type: 'object', description: 'Sound resource' },
+      { name: 'time', type: 'number', description: 'Fade time in seconds (default 1)' },
+      { name: 'loop', type: 'boolean', description: 'Whether to loop (default true)' }
+    ],
+    returns: 'object',
+    example: 'audio_crossfade_music(sndBossTheme, 2);'
+  },
+  {
+    name: 'audio_stop_music',
+    type: 'function',
+    description: 'Stops the current music track, optionally fading out.',
+    parameters: [
+      { name: 'time', type: 'number', description: 'Optional fade out time in seconds' }
+    ],
+    returns: 'void',
+    example: 'audio_stop_music(1);'
+  },
+  
+  // Rooms
+  {
+    name: 'room_goto',
+    type: 'function',
+    description: 'Goes to a room (a level from the Levels tab) at the end of the current step. Every instance gets room_end, all but persistent ones are removed without on_destroy, the room\'s objects are created and then every instance gets room_start. Returns false if the room does not exist or a transition is already running.',
+    parameters: [
+      { name: 'name', type: 'string', description: 'Room name' },
+      { name: 'transition', type: 'string', description: 'Transition effect, e.g. "fade" or "wipe" (default room_transition_default)' }
+    ],
+    returns: 'boolean',
+    example: 'if (this.place_meeting(this.x, this.y, objExit)) {\n  room_goto("Level2", "fade");\n}'
+  },
+  {
+    name: 'room_goto_next',
+    type: 'function',
+    description: 'Goes to the room after the current one, in the order the levels are listed. Returns false in the last room.',
+    parameters: [
+      { name: 'transition', type: 'string', description: 'Transition effect (optional)' }
+    ],
+    returns: 'boolean',
+    example: 'if (instance_number(objCoin) === 0) {\n  room_goto_next("wipe");\n}'
+  },
+  {
+    name: 'room_restart',
+    type: 'function',
+    description: 'Restarts the current room. Persistent instances keep their state.',
+    parameters: [
+      { name: 'transition', type: 'string', description: 'Transition effect (optional)' }
+    ],
+    returns: 'boolean',
+    example: 'if (this.hp <= 0) {\n  room_restart("fade");\n}'
+  },
+  {
+    name: 'room_transition_add',
+    type: 'function',
+    description: 'Adds a transition effect for room_goto. effect.draw(amount, phase) is called every frame to cover the screen by amount: it rises from 0 to 1 over effect.duration seconds in the "out" phase, the room changes, then it falls back to 0 in the "in" phase.',
+    parameters: [
+      { name: 'name', type: 'string', description: 'Effect name' },
+      { name: 'effect', type: 'object', description: '{ duration, draw(amount, phase) }' }
+    ],
+    returns: 'object',
+    example: 'room_transition_add("white_flash", {\n  duration: 0.2,\n  draw: function(amount) {\n    draw_set_alpha(amount);\n    draw_set_color(c_white);\n    draw_rectangle(view_xview, view_yview, view_xview + 640, view_yview + 480, false);\n  }\n});'
+  },
+  {
+    name: 'room',
+    type: 'variable',
+    description: 'Name of the current room, or null before the first one has loaded.',
+    example: 'if (room === "Boss") {\n  audio_play_music(mus_boss);\n}'
+  },
+  {
+    name: 'room_transition_default',
+    type: 'variable',
+    description: 'Transition used by room_goto, room_goto_next and room_restart when none is given. null changes rooms instantly.',
+    example: 'room_transition_default = "fade";'
+  },
+  {
+    name: 'persistent',
+    type: 'variable',
+    description: 'Instance variable. Persistent instances are kept when the room changes; the room_start and room_end events still run on them. Tick "Persistent" on an object, or use the 📌 tool in the Levels tab for a single placed instance. A persistent instance placed in a level is only created the first time the level loads.',
+    example: '// Music controller awake event\nthis.persistent = true;'
+  },
+  
+  // Views
+  {
+    name: 'view_enable',
+    type: 'function',
+    description: 'Turns view n (0-7) on or off. While any view is on, the room is drawn once per view, each into its own port on the canvas, and draw_gui runs once on top. A view turned on for the first time shows the same world area as view 0, which is view_xview, view_yview, view_wview and view_hview.',
+    parameters: [
+      { name: 'n', type: 'number', description: 'View index from 0 to 7' },
+      { name: 'enable', type: 'boolean', description: 'true to show the view (default), false to hide it' }
+    ],
+    returns: 'object',
+    example: '// Split screen\nview_enable(0);\nview_enable(1);\nview_set_port(0, 0, 0, 320, 480);\nview_set_port(1, 320, 0, 320, 480);'
+  },
+  {
+    name: 'view_set_world',
+    type: 'function',
+    description: 'Sets the part of the room view n shows. Width and height are optional.',
+    parameters: [
+      { name: 'n', type: 'number', description: 'View index from 0 to 7' },
+      { name: 'x', type: 'number', description: 'Left edge in the room' },
+      { name: 'y', type: 'number', description: 'Top edge in the room' },
+      { name: 'width', type: 'number', description: 'Width in the room (optional)' },
+      { name: 'height', type: 'number', description: 'Height in the room (optional)' }
+    ],
+    returns: 'object',
+    example: 'view_set_world(1, player2.x - 160, player2.y - 240);'
+  },
+  {
+    name: 'view_set_port',
+    type: 'function',
+    description: 'Sets where on the canvas view n is drawn. The world area is scaled to fill it. A width or height of 0 uses the whole canvas.',
+    parameters: [
+      { name: 'n', type: 'number', description: 'View index from 0 to 7' },
+      { name: 'x', type: 'number', description: 'Left edge on the canvas' },
+      { name: 'y', type: 'number', description: 'Top edge on the canvas' },
+      { name: 'width', type: 'number', description: 'Width on the canvas' },
+      { name: 'height', type: 'number', description: 'Height on the canvas' }
+    ],
+    returns: 'object',
+    example: '// Minimap in the top-right corner\nview_enable(0);\nview_enable(1);\nview_set_world(1, 0, 0, room_width, room_height);\nview_set_port(1, 480, 10, 150, 110);'
+  },
+  {
+    name: 'view_set_zoom',
+    type: 'function',
+    description: 'Zooms view n around its centre. 2 shows half as much of the room at twice the size.',
+    parameters: [
+      { name: 'n', type: 'number', description: 'View index from 0 to 7' },
+      { name: 'zoom', type: 'number', description: 'Zoom factor, greater than 0' }
+    ],
+    returns: 'object',
+    example: 'view_set_zoom(0, 1.5);'
+  },
+  {
+    name: 'view_set_angle',
+    type: 'function',
+    description: 'Rotates view n around its centre, in degrees. The room turns the opposite way on screen.',
+    parameters: [
+      { name: 'n', type: 'number', description: 'View index from 0 to 7' },
+      { name: 'angle', type: 'number', description: 'Angle in degrees' }
+    ],
+    returns: 'object',
+    example: 'view_set_angle(0, Math.sin(Date.now() / 200) * 3); // Wobble'
+  },
+  {
+    name: 'view_get',
+    type: 'function',
+    description: 'Returns view n as an object with visible, xview, yview, wview, hview, xport, yport, wport, hport, zoom and angle, which can be changed directly.',
+    parameters: [
+      { name: 'n', type: 'number', description: 'View index from 0 to 7' }
+    ],
+    returns: 'object',
+    example: 'view_get(1).xview += 4;'
+  },
+  {
+    name: 'view_current',
+    type: 'variable',
+    description: 'Index of the view being drawn. Read it in a draw event to draw something in one view only.',
+    example: 'if (view_current === this.player_index) {\n  draw_circle(this.x, this.y, 20, true);\n}'
+  },
+  {
+    name: 'mouse_view',
+    type: 'variable',
+    description: 'Index of the view under the mouse. mouse_x and mouse_y are room coordinates in that view, allowing for its port, zoom and angle.',
+    example: 'if (mouse_view === 1 && mouse_check_button_pressed(mb_left)) {\n  instance_create(mouse_x, mouse_y, objMarker);\n}'
+  },
+
+  // Saving
+  {
+    name: 'game_save',
+    type: 'function',
+    description: 'Saves the game to a slot in the browser\'s storage: the room, the view position and every instance of a named object with its variables and module state. Variables holding numbers, strings, booleans, arrays, plain objects, instances, objects and resources added with resource_add (such as sprites, including precise masks) are saved; functions are not. Returns true if it was stored.',
+    parameters: [
+      { name: 'slot', type: 'number|string', description: 'Save slot (default 0)' }
+    ],
+    returns: 'boolean',
+    example: 'if (keyboard_check_pressed(vk_s)) {\n  game_save(0);\n}'
+  },
+  {
+    name: 'game_load',
+    type: 'function',
+    description: 'Loads a slot at the end of the current step, replacing every instance with the saved ones. Loaded instances keep their saved variables and do not run on_create or awake again. Returns false if the slot is empty.',
+    parameters: [
+      { name: 'slot', type: 'number|string', description: 'Save slot (default 0)' }
+    ],
+    returns: 'boolean',
+    example: 'if (keyboard_check_pressed(vk_l) && !game_load(0)) {\n  console.log("Nothing saved yet");\n}'
+  },
+  {
+    name: 'game_save_exists',
+    type: 'function',
+    description: 'Checks whether a slot holds a save.',
+    parameters: [
+      { name: 'slot', type: 'number|string', description: 'Save slot (default 0)' }
+    ],
+    returns: 'boolean',
+    example: 'this.can_continue = game_save_exists(0);'
+  },
+  {
+    name: 'game_save_delete',
+    type: 'function',
+    description: 'Empties a save slot.',
+    parameters: [
+      { name: 'slot', type: 'number|string', description: 'Save slot (default 0)' }
+    ],
+    returns: 'void',
+    example: 'game_save_delete(0);'
+  },
+  {
+    name: 'game_save_export',
+    type: 'function',
+    description: 'Downloads a slot as a JSON file and returns its JSON text, or null if the slot is empty.',
+    parameters: [
+      { name: 'slot', type: 'number|string', description: 'Save slot' },
+      { name: 'filename', type: 'string', description: 'File name (default "save_<slot>.json")' }
+    ],
+    returns: 'string',
+    example: 'game_save_export(0, "my_game.json");'
+  },
+  {
+    name: 'game_save_import',
+    type: 'function',
+    description: 'Stores JSON text from game_save_export in a slot. Returns false if it is not a save file.',
+    parameters: [
+      { name: 'slot', type: 'number|string', description: 'Save slot' },
+      { name: 'json', type: 'string', description: 'Exported save' }
+    ],
+    returns: 'boolean',
+    example: 'if (game_save_import(0, text)) {\n  game_load(0);\n}'
+  },
+  {
+    name: 'game_save_import_file',
+    type: 'function',
+    description: 'Lets the player choose an exported save file and stores it in a slot. callback(success) runs once the file has been read.',
+    parameters: [
+      { name: 'slot', type: 'number|string', description: 'Save slot' },
+      { name: 'callback', type: 'function', description: 'Called with true or false' }
+    ],
+    returns: 'void',
+    example: 'game_save_import_file(0, function(success) {\n  if (success) game_load(0);\n});'
+  },
+  {
+    name: 'save_set',
+    type: 'function',
+    description: 'Stores a value under a key straight away, for settings, high scores or unlocked levels. These values are shared by every slot and are not changed by game_load.',
+    parameters: [
+      { name: 'key', type: 'string', description: 'Name of the value' },
+      { name: 'value', type: 'any', description: 'Value that can be turned into JSON' }
+    ],
+    returns: 'any',
+    example: 'if (score > save_get("highscore", 0)) {\n  save_set("highscore", score);\n}'
+  },
+  {
+    name: 'save_get',
+    type: 'function',
+    description: 'Reads a value stored with save_set, or default_value if there is none.',
+    parameters: [
+      { name: 'key', type: 'string', description: 'Name of the value' },
+      { name: 'default_value', type: 'any', description: 'Returned when the key was never set' }
+    ],
+    returns: 'any',
+    example: 'this.music_on = save_get("music_on", true);'
+  },
+
+  // Input recording
+  {
+    name: 'record_start',
+    type: 'function',
+    description: 'Starts recording the keyboard, mouse, touch and gamepad input and the length of every frame, along with the random seed, so the session can be replayed exactly. The Canvas tab\'s ⏺️ button restarts the game and records it.',
+    parameters: [],
+    returns: 'object',
+    example: '// In awake of a controller object\nrecord_start();'
+  },
+  {
+    name: 'record_stop',
+    type: 'function',
+    description: 'Stops recording and returns the recording, or null if none was running.',
+    parameters: [],
+    returns: 'object',
+    example: 'if (keyboard_check_pressed(vk_escape)) {\n  record_export(record_stop(), "bug.json");\n}'
+  },
+  {
+    name: 'record_export',
+    type: 'function',
+    description: 'Downloads a recording as a JSON file and returns its JSON text.',
+    parameters: [
+      { name: 'recording', type: 'object', description: 'Recording returned by record_stop' },
+      { name: 'filename', type: 'string', description: 'File name (default "recording.json")' }
+    ],
+    returns: 'string',
+    example: 'record_export(record_stop(), "level2_bug.json");'
+  },
+  {
+    name: 'replay_start',
+    type: 'function',
+    description: 'Plays a recording back frame by frame with its recorded input and frame lengths; live input is ignored until it ends. Frames keep their recorded lengths rather than a fixed step, so the same steps run as in the session. Start it from the same point the recording started, such as straight after the game restarts. The Canvas tab\'s 📂 button loads a recording file and replays it.',
+    parameters: [
+      { name: 'recording', type: 'object|string', description: 'Recording, or its JSON text' },
+      { name: 'on_end', type: 'function', description: 'Called when the replay ends (optional)' }
+    ],
+    returns: 'boolean',
+    example: 'replay_start(recording, function() {\n  console.log("Replay finished");\n});'
+  },
+  {
+    name: 'replay_stop',
+    type: 'function',
+    description: 'Ends the replay in progress and gives control back to the player.',
+    parameters: [],
+    returns: 'void',
+    example: 'replay_stop();'
+  },
+  
+  // Game Timing
+  {
+    name: 'set_fixed_step',
+    type: 'function',
+    description: 'Runs game logic at a fixed number of steps per second, independent of the monitor refresh rate. Drawing interpolates between xprevious and x. Pass 0 to go back to one step per frame.',
+    parameters: [
+      { name: 'rate', type: 'number', description: 'Logic steps per second (e.g. 60), or 0 to disable' }
+    ],
+    returns: 'void',
+    example: '// In an awake event\nset_fixed_step(60);'
+  },
+  {
+    name: 'time_scale',
+    type: 'variable',
+    description: 'Speed multiplier for game time. 1 is normal speed, 0.5 is slow motion and 0 pauses all logic steps (draw and draw_gui keep running).',
+    example: '// In draw_gui, which keeps running while paused and sees\n// presses made since the last frame was drawn\nif (keyboard_check_pressed(vk_escape)) {\n  time_scale = time_scale > 0 ? 0 : 1;\n}'
+  },
+  
+  // Alarms
+  {
+    name: 'alarm_set',
+    type: 'function',
+    description: 'Instance method. Starts alarm n (0-11); when it runs out the alarm_n event fires. Counts logic steps by default, or seconds when in_seconds is true. Respects time_scale. Pass -1 to cancel.',
+    parameters: [
+      { name: 'n', type: 'number', description: 'Alarm number from 0 to 11' },
+      { name: 'value', type: 'number', description: 'Steps (or seconds) until the alarm fires, or -1 to cancel' },
+      { name: 'in_seconds', type: 'boolean', description: 'Count in seconds instead of steps (default false)' }
+    ],
+    returns: 'void',
+    example: '// Become vulnerable again in 1.5 seconds (alarm_0 event)\nthis.invincible = true;\nthis.alarm_set(0, 1.5, true);'
+  },
+  {
+    name: 'alarm_get',
+    type: 'function',
+    description: 'Instance method. Returns the steps (or seconds) left on alarm n, or -1 when it is not running.',
+    parameters: [
+      { name: 'n', type: 'number', description: 'Alarm number from 0 to 11' }
+    ],
+    returns: 'number',
+    example: 'if (this.alarm_get(1) < 0) {\n  this.alarm_set(1, 60); // Fire again in 60 steps\n}'
+  },
+  
+  // Random Functions
+  {
+    name: 'random',
+    type: 'function',
+    description: 'Returns a random float number between 0 and the specified value. Like every random function, it follows the seed set with random_set_seed.',
+    parameters: [
+      { name: 'max', type: 'number', description: 'Maximum value (exclusive)' }
+    ],
+    returns: 'number',
+    example: 'const speed = 2 + random(3); // Random value between 2 and 5'
+  },
+  {
+    name: 'random_range',
+    type: 'function',
+    description: 'Returns a random float number between the specified min and max values.',
+    parameters: [
+      { name: 'min', type: 'number', description: 'Minimum value (inclusive)' },
+      { name: 'max', type: 'number', description: 'Maximum value (exclusive)' }
+    ],
+    returns: 'number',
+    example: 'const enemySize = random_range(0.8, 1.5);'
+  },
+  {
+    name: 'irandom',
+    type: 'function',
+    description: 'Returns a random integer between 0 and the specified value.',
+    parameters: [
+      { name: 'max', type: 'number', description: 'Maximum value (inclusive)' }
+    ],
+    returns: 'number',
+    example: 'const coins = irandom(5); // 0-5 coins'
+  },
+  {
+    name: 'irandom_range',
+    type: 'function',
+    description: 'Returns a random integer between the specified min and max values.',
+    parameters: [
+      { name: 'min', type: 'number', description: 'Minimum value (inclusive)' },
+      { name: 'max', type: 'number', description: 'Maximum value (inclusive)' }
+    ],
+    returns: 'number',
+    example: 'const damage = irandom_range(5, 10); // 5-10 damage'
+  },
+  {
+    name: 'random_set_seed',
+    type: 'function',
+    description: 'Seeds the random functions, the random streams and the built-in modules, so the same seed gives the same numbers every run. A string is turned into a number. Each game starts with a random seed.',
+    parameters: [
+      { name: 'seed', type: 'number|string', description: 'Seed' }
+    ],
+    returns: 'number',
+    example: '// Same level layout every time for this level\nrandom_set_seed("level-" + this.level);'
+  },
+  {
+    name: 'random_get_seed',
+    type: 'function',
+    description: 'Returns the current seed, for example to show a seed the player can share.',
+    parameters: [],
+    returns: 'number',
+    example: 'draw_text(10, 10, "Seed: " + random_get_seed());'
+  },
+  {
+    name: 'randomize',
+    type: 'function',
+    description: 'Sets an unpredictable seed and returns it.',
+    parameters: [],
+    returns: 'number',
+    example: 'const seed = randomize();'
+  },
+  {
+    name: 'random_stream',
+    type: 'function',
+    description: 'Returns a named random stream with its own random, random_range, irandom and irandom_range methods and value() for a number from 0 to 1. Streams are seeded from the seed and their name, so using one never changes the numbers another gives. The particle, camera and weather modules use the "particles", "camera" and "weather" streams.',
+    parameters: [
+      { name: 'name', type: 'string', description: 'Stream name' }
+    ],
+    returns: 'object',
+    example: '// Level generation unaffected by random numbers used in play\nconst gen = random_stream("level");\nconst rooms = gen.irandom_range(5, 9);'
   },
   
   // Blend Mode Constants
@@ -4,7 +4,7 @@ const LevelEditor = (function() {
     let levels = [];
     let selectedLevel = null;
     let selectedPaletteObject = null;
-    let currentTool = 'place'; // 'place' or 'erase'
+    let currentTool = 'place'; // 'place', 'erase' or 'persist'
     let gridSize = 32;
     let levelEditorCanvas;
     let levelEditorCtx;
@@ -53,6 +53,7 @@ const LevelEditor = (function() {
                 gridSizeSelect: document.getElementById('gridSizeSelect'),
                 placeObjectBtn: document.getElementById('placeObjectBtn'),
                 eraseBtn: document.getElementById('eraseBtn'),
+                persistBtn: document.getElementById('persistBtn'),
                 objectPalette: document.getElementById('objectPalette'),
                 levelEditorCanvas: document.getElementById('levelEditorCanvas'),
                 levelWidthInput: document.getElementById('levelWidthInput'),
@@ -421,17 +422,19 @@ const LevelEditor = (function() {
             }
             
             // Tool selection
-            if (elements.placeObjectBtn && elements.eraseBtn) {
-                elements.placeObjectBtn.addEventListener('click', () => {
-                    currentTool = 'place';
-                    elements.placeObjectBtn.classList.add('active');
-                    elements.eraseBtn.classList.remove('active');
-                });
-                
-                elements.eraseBtn.addEventListener('click', () => {
-                    currentTool = 'erase';
-                    elements.eraseBtn.classList.add('active');
-                    elements.placeObjectBtn.classList.remove('active');
+            if (elements.placeObjectBtn && elements.eraseBtn && elements.persistBtn) {
+                const toolButtons = {
+                    place: elements.placeObjectBtn,
+                    erase: elements.eraseBtn,
+                    persist: elements.persistBtn
+                };
+                Object.keys(toolButtons).forEach(tool => {
+                    toolButtons[tool].addEventListener('click', () => {
+                        currentTool = tool;
+                        Object.keys(toolButtons).forEach(other => {
+                            toolButtons[other].classList.toggle('active', other === tool);
+                        });
+                    });
                 });
             }
             
@@ -617,6 +620,12 @@ const LevelEditor = (function() {
                 
                 // Debug log to check if objects were actually removed
                 console.log(`Erasing at (${gridX},${gridY}), removed ${initialCount - level.objects.length} objects`);
+            } else if (currentTool === 'persist' && e.type === 'mousedown') {
+                // Toggle once per click, not while dragging
+                const placed = level.objects.find(obj => obj.gridX === gridX && obj.gridY === gridY);
+                if (placed) {
+                    placed.persistent = !placed.persistent;
+                }
             }
             
             // Redraw the level
@@ -883,6 +892,7 @@ const LevelEditor = (function() {
                         currentTool = 'place';
                         elements.placeObjectBtn.classList.add('active');
                         elements.eraseBtn.classList.remove('active');
+                        if (elements.persistBtn) elements.persistBtn.classList.remove('active');
                     }
                 });
                 
@@ -1234,6 +1244,16 @@ const LevelEditor = (function() {
                 levelEditorCtx.strokeStyle = 'rgba(255, 255, 0, 0.5)';
                 levelEditorCtx.strokeRect(x, y, size, size);
 
+                // Mark instances that survive level changes
+                if (obj.persistent || gameObj.persistent) {
+                    levelEditorCtx.fillStyle = obj.persistent ? '#ffb347' : 'rgba(255, 179, 71, 0.5)';
+                    levelEditorCtx.beginPath();
+                    levelEditorCtx.moveTo(x + size, y);
+                    levelEditorCtx.lineTo(x + size, y + Math.min(10, size / 2));
+                    levelEditorCtx.lineTo(x + size - Math.min(10, size / 2), y);
+                    levelEditorCtx.fill();
+                }
+
                 // Restore original window functions
                 Object.keys(originalFunctions).forEach(funcName => {
                     window[funcName] = originalFunctions[funcName];
@@ -1497,78 +1517,39 @@ const LevelEditor = (function() {
             }
         },
         
+        // Create one placed instance. Persistent placements are keyed so
+        // coming back to the level does not create them twice.
+        generateInstanceCode: function(level, obj, objectName) {
+            let code = `        var instance = room_instance_create(${obj.x}, ${obj.y}, ${objectName}, ${JSON.stringify(level.name + ':' + obj.id)}, ${!!obj.persistent});\n`;
+            
+            // Apply custom properties if any
+            if (obj.properties && Object.keys(obj.properties).length > 0) {
+                code += `        // Apply custom properties\n`;
+                code += `        if (instance) {\n`;
+                Object.keys(obj.properties).forEach(prop => {
+                    const val = JSON.stringify(obj.properties[prop]);
+                    code += `          instance.${prop} = ${val};\n`;
+                });
+                code += `        }\n`;
+            }
+            return code;
+        },
+        
         generateCode: function() {
             if (levels.length === 0) return null;
             
             let levelCode = '';
         
-            // Define the level system
+            // Define the level system. Levels are registered as engine rooms,
+            // which clear the old level and keep persistent instances.
             levelCode += `// Level system initialization\n`;
             levelCode += `var levelSystem = {\n`;
-            levelCode += `  currentLevel: null,\n`;
             levelCode += `  levels: {},\n\n`;
-            
-            // Simplified loadLevel method
+            levelCode += `  get currentLevel() {\n`;
+            levelCode += `    return window.engine.room;\n`;
+            levelCode += `  },\n\n`;
             levelCode += `  loadLevel: function(levelName) {\n`;
-            levelCode += `    var level = this.levels[levelName];\n`;
-            levelCode += `    if (!level) {\n`;
-            levelCode += `      console.error("Level not found:", levelName);\n`;
-            levelCode += `      return;\n`;
-            levelCode += `    }\n\n`;
-            levelCode += `    console.log("Loading level:", levelName);\n`;
-            levelCode += `    this.currentLevel = levelName;\n\n`;
-            
-            // Clear existing instances except the control object
-            levelCode += `    // Clear existing instances\n`;
-            levelCode += `    if (window.engine && window.engine.gameObjects) {\n`;
-            levelCode += `      var controlObj = null;\n`;
-            levelCode += `      if (window.engine.control) {\n`;
-            levelCode += `        // Find the control object so we don't clear it\n`;
-            levelCode += `        for (var i = 0; i < window.engine.gameObjects.length; i++) {\n`;
-            levelCode += `          var obj = window.engine.gameObjects[i];\n`;
-            levelCode += `          if (obj && obj.instances && obj.instances.some(inst => inst === window.engine.control)) {\n`;
-            levelCode += `            controlObj = obj;\n`;
-            levelCode += `            break;\n`;
-            levelCode += `          }\n`;
-            levelCode += `        }\n`;
-            levelCode += `      }\n\n`;
-            
-            levelCode += `      // Clear instances for all non-control objects\n`;
-            levelCode += `      for (var k = 0; k < window.engine.gameObjects.length; k++) {\n`;
-            levelCode += `        var gameObj = window.engine.gameObjects[k];\n`;
-            levelCode += `        if (gameObj && gameObj !== controlObj && gameObj.instances) {\n`;
-            levelCode += `          gameObj.instances = [];\n`;
-            levelCode += `        }\n`;
-            levelCode += `      }\n`;
-            levelCode += `    }\n\n`;
-            
-            // Set room and view properties
-            levelCode += `    // Set room properties\n`;
-            levelCode += `    if (window.engine) {\n`;
-            levelCode += `      window.engine.room_width = level.width;\n`;
-            levelCode += `      window.engine.room_height = level.height;\n`;
-            levelCode += `      window.engine.view_wview = level.viewWidth || level.width;\n`;
-            levelCode += `      window.engine.view_hview = level.viewHeight || level.height;\n`;
-            levelCode += `      window.engine.background_color = level.backgroundColor;\n`;
-        
-            // Set background properties
-            levelCode += `      // Set background properties\n`;
-            levelCode += `      window.engine.current_background = level.backgroundImage;\n`;
-            levelCode += `      window.engine.background_mode = level.backgroundImageMode || "stretch";\n`;
-            levelCode += `      window.engine.background_speed = level.backgroundImageSpeed || 0;\n`;
-            
-            // Resize canvas to match view dimensions
-            levelCode += `      // Resize canvas to match view dimensions\n`;
-            levelCode += `      var canvas = document.getElementById('canvasArea');\n`;
-            levelCode += `      if (canvas) {\n`;
-            levelCode += `        canvas.width = level.viewWidth || level.width;\n`;
-            levelCode += `        canvas.height = level.viewHeight || level.height;\n`;
-            levelCode += `      }\n`;
-            levelCode += `    }\n\n`;
-            
-            // Create level objects
-            levelCode += `    // Create level objects\n`;
-            levelCode += `    level.load();\n`;
+            levelCode += `    return room_goto(levelName);\n`;
             levelCode += `  }\n`;
             levelCode += `};\n\n`;
             
@@ -1603,10 +1584,10 @@ const LevelEditor = (function() {
                     levelCode += `    }\n\n`;
                 }
         
-                levelCode += `    // Get instance_create function\n`;
-                levelCode += `    var instance_create = window.instance_create || (window.engine && window.engine.instance_create);\n`;
-                levelCode += `    if (!instance_create) {\n`;
-                levelCode += `      console.error("No instance_create function found!");\n`;
+                levelCode += `    // Get room_instance_create function\n`;
+                levelCode += `    var room_instance_create = window.room_instance_create || (window.engine && window.engine.room_instance_create);\n`;
+                levelCode += `    if (!room_instance_create) {\n`;
+                levelCode += `      console.error("No room_instance_create function found!");\n`;
                 levelCode += `      return;\n`;
                 levelCode += `    }\n\n`;
                 
@@ -1650,16 +1631,7 @@ const LevelEditor = (function() {
                             // Create each instance
                             group.instances.forEach(obj => {
                                 levelCode += `      try {\n`;
-                                levelCode += `        var instance = instance_create(${obj.x}, ${obj.y}, ${objectName});\n`;
-                                
-                                // Apply custom properties if any
-                                if (obj.properties && Object.keys(obj.properties).length > 0) {
-                                    levelCode += `        // Apply custom properties\n`;
-                                    Object.keys(obj.properties).forEach(prop => {
-                                        const val = JSON.stringify(obj.properties[prop]);
-                                        levelCode += `        instance.${prop} = ${val};\n`;
-                                    });
-                                }
+                                levelCode += this.generateInstanceCode(level, obj, objectName);
                                 
                                 levelCode += `      } catch (err) {\n`;
                                 levelCode += `        console.error("Error creating ${objectName} at position (${obj.x}, ${obj.y}):", err);\n`;
@@ -1685,16 +1657,7 @@ const LevelEditor = (function() {
                             // Create each instance
                             group.instances.forEach(obj => {
                                 levelCode += `      try {\n`;
-                                levelCode += `        var instance = instance_create(${obj.x}, ${obj.y}, ${objectName});\n`;
-                                
-                                // Apply custom properties if any
-                                if (obj.properties && Object.keys(obj.properties).length > 0) {
-                                    levelCode += `        // Apply custom properties\n`;
-                                    Object.keys(obj.properties).forEach(prop => {
-                                        const val = JSON.stringify(obj.properties[prop]);
-                                        levelCode += `        instance.${prop} = ${val};\n`;
-                                    });
-                                }
+                                levelCode += this.generateInstanceCode(level, obj, objectName);
                                 
                                 levelCode += `      } catch (err) {\n`;
                                 levelCode += `        console.error("Error creating ${objectName} at position (${obj.x}, ${obj.y}):", err);\n`;
@@ -1711,16 +1674,15 @@ const LevelEditor = (function() {
                 }
                 
                 levelCode += `  }\n`;
-                levelCode += `};\n\n`;
+                levelCode += `};\n`;
+                levelCode += `room_add("${level.name}", levelSystem.levels["${level.name}"]);\n\n`;
             });
             
             // Load the first level
             if (levels.length > 0) {
-                levelCode += `// Initialize the level system\n`;
-                levelCode += `setTimeout(function() {\n`;
-                levelCode += `  console.log("Starting level system...");\n`;
-                levelCode += `  levelSystem.loadLevel("${levels[0].name}");\n`;
-                levelCode += `}, 500);\n`;
+                levelCode += `// Initialize the level system. The room starts at the end of the\n`;
+                levelCode += `// first step, once all of the game's objects have been added\n`;
+                levelCode += `room_goto("${levels[0].name}");\n`;
             }
             
             return levelCode;
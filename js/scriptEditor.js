@@ -283,7 +283,7 @@ function util_distance(x1, y1, x2, y2) {
  * @returns {number} - Random integer
  */
 function util_random_int(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return irandom_range(min, max);
 }
 
 /**
@@ -1,6 +1,9 @@
 // This file maps game engine functions to global window functions for easy access
 // It should be included after gameEngine.js but before your game code
 
+// In Node (headless engines) the global object stands in for window
+if (typeof window === 'undefined') globalThis.window = globalThis;
+
 function window_global_functions() {
     // Ensure engine is available
     if (!window.engine) {
@@ -26,6 +29,10 @@ function window_global_functions() {
     window.draw_sprite = function(sprite, x, y) { return window.engine.draw_sprite(sprite, x, y); };
     window.draw_sprite_ext = function(sprite, x, y, xscale, yscale, rotation, alpha) { return window.engine.draw_sprite_ext(sprite, x, y, xscale, yscale, rotation, alpha); };
     window.draw_sprite_part = function(sprite, frame, x, y, width, height) { return window.engine.draw_sprite_part(sprite, frame, x, y, width, height); };
+    window.draw_sprite_frame = function(sprite, frame, x, y, xscale, yscale, rotation, alpha, blend) { return window.engine.draw_sprite_frame(sprite, frame, x, y, xscale, yscale, rotation, alpha, blend); };
+    window.sprite_get_number = function(sprite) { return window.engine.sprite_get_number(sprite); };
+    window.sprite_get_width = function(sprite) { return window.engine.sprite_get_width(sprite); };
+    window.sprite_get_height = function(sprite) { return window.engine.sprite_get_height(sprite); };
     window.draw_image = function(image, x, y) { return window.engine.draw_image(image, x, y); };
     window.draw_background = function() { return window.engine.draw_background(); };
     
@@ -148,20 +155,140 @@ function window_global_functions() {
     };
     
     // Random functions
-    window.random = function(max) { return Math.random() * max; };
-    window.random_range = function(min, max) { return min + Math.random() * (max - min); };
-    window.irandom = function(max) { return Math.floor(Math.random() * (max + 1)); };
-    window.irandom_range = function(min, max) { return min + Math.floor(Math.random() * (max - min + 1)); };
+    window.random = function(max) { return window.engine.random(max); };
+    window.random_range = function(min, max) { return window.engine.random_range(min, max); };
+    window.irandom = function(max) { return window.engine.irandom(max); };
+    window.irandom_range = function(min, max) { return window.engine.irandom_range(min, max); };
+    window.random_set_seed = function(seed) { return window.engine.random_set_seed(seed); };
+    window.random_get_seed = function() { return window.engine.random_get_seed(); };
+    window.randomize = function() { return window.engine.randomize(); };
+    window.random_stream = function(name) { return window.engine.random_stream(name); };
     
     // Game object functions
-    window.object_add = function() { return window.engine.object_add(); };
+    window.object_add = function(name) { return window.engine.object_add(name); };
+    window.object_get = function(name) { return window.engine.object_get(name); };
+    window.object_set_parent = function(child, parent) { return window.engine.object_set_parent(child, parent); };
+    window.object_is_ancestor = function(obj, ancestor) { return window.engine.object_is_ancestor(obj, ancestor); };
+    window.event_inherited = function() { return window.engine.event_inherited(); };
     window.instance_create = function(x, y, object) { return window.engine.instance_create(x, y, object); };
     window.instance_exists = function(instance) { return window.engine.instance_exists(instance); };
+    window.instance_number = function(obj) { return window.engine.instance_number(obj); };
+    window.instance_find = function(obj, n) { return window.engine.instance_find(obj, n); };
+    window.instance_nearest = function(x, y, obj) { return window.engine.instance_nearest(x, y, obj); };
+    window.instance_furthest = function(x, y, obj) { return window.engine.instance_furthest(x, y, obj); };
+    window.with_instances = function(obj, fn, other) { return window.engine.with_instances(obj, fn, other); };
+    window.instance_destroy_all = function(obj) { return window.engine.instance_destroy_all(obj); };
+    window.instance_pool_create = function(obj, size) { return window.engine.instance_pool_create(obj, size); };
+    window.instance_pool_stats = function(obj) { return window.engine.instance_pool_stats(obj); };
+
+    // Rooms
+    window.room_add = function(name, room) { return window.engine.room_add(name, room); };
+    window.room_goto = function(name, transition) { return window.engine.room_goto(name, transition); };
+    window.room_goto_next = function(transition) { return window.engine.room_goto_next(transition); };
+    window.room_restart = function(transition) { return window.engine.room_restart(transition); };
+    window.room_instance_create = function(x, y, obj, key, persistent) { return window.engine.room_instance_create(x, y, obj, key, persistent); };
+    window.room_transition_add = function(name, effect) { return window.engine.room_transition_add(name, effect); };
+
+    // Views
+    window.view_enable = function(n, enable) { return window.engine.view_enable(n, enable); };
+    window.view_get = function(n) { return window.engine.view_get(n); };
+    window.view_set_world = function(n, x, y, width, height) { return window.engine.view_set_world(n, x, y, width, height); };
+    window.view_set_port = function(n, x, y, width, height) { return window.engine.view_set_port(n, x, y, width, height); };
+    window.view_set_zoom = function(n, zoom) { return window.engine.view_set_zoom(n, zoom); };
+    window.view_set_angle = function(n, angle) { return window.engine.view_set_angle(n, angle); };
+    // Saving
+    window.game_save = function(slot) { return window.engine.game_save(slot); };
+    window.game_load = function(slot) { return window.engine.game_load(slot); };
+    window.game_save_exists = function(slot) { return window.engine.game_save_exists(slot); };
+    window.game_save_delete = function(slot) { return window.engine.game_save_delete(slot); };
+    window.game_save_export = function(slot, filename) { return window.engine.game_save_export(slot, filename); };
+    window.game_save_import = function(slot, json) { return window.engine.game_save_import(slot, json); };
+    window.game_save_import_file = function(slot, callback) { return window.engine.game_save_import_file(slot, callback); };
+    window.save_set = function(key, value) { return window.engine.save_set(key, value); };
+    window.save_get = function(key, default_value) { return window.engine.save_get(key, default_value); };
+    // Input recording
+    window.record_start = function() { return window.engine.record_start(); };
+    window.record_stop = function() { return window.engine.record_stop(); };
+    window.record_export = function(recording, filename) { return window.engine.record_export(recording, filename); };
+    window.replay_start = function(recording, on_end) { return window.engine.replay_start(recording, on_end); };
+    window.replay_stop = function() { return window.engine.replay_stop(); };
+    window.instance_attach = function(child, parent, offset_x, offset_y, destroy_with_parent) { return window.engine.instance_attach(child, parent, offset_x, offset_y, destroy_with_parent); };
+    window.instance_detach = function(child) { return window.engine.instance_detach(child); };
+    
+    // Collision functions
+    window.collision_rectangle = function(x1, y1, x2, y2, obj, notme) { return window.engine.collision_rectangle(x1, y1, x2, y2, obj, notme); };
+    window.collision_rectangle_list = function(x1, y1, x2, y2, obj, notme) { return window.engine.collision_rectangle_list(x1, y1, x2, y2, obj, notme); };
+    window.collision_circle = function(x, y, radius, obj, notme) { return window.engine.collision_circle(x, y, radius, obj, notme); };
+    window.collision_point = function(x, y, obj, notme) { return window.engine.collision_point(x, y, obj, notme); };
+    window.spatial_set_cell_size = function(size) { return window.engine.spatial_set_cell_size(size); };
+    window.spatial_update = function(instance) { return window.engine.spatial_update(instance); };
+    window.mask_from_image = function(image, threshold) { return window.engine.mask_from_image(image, threshold); };
+    window.mask_from_base64 = function(width, height, data) { return window.engine.mask_from_base64(width, height, data); };
+    window.resource_add = function(name, resource) { return window.engine.resource_add(name, resource); };
+    window.resource_get = function(name) { return window.engine.resource_get(name); };
+    
+    // Timing functions
+    window.set_fixed_step = function(rate) { return window.engine.set_fixed_step(rate); };
     
     // Input functions
     window.keyboard_check = function(keyCode) { return window.engine.keyboard_check(keyCode); };
     window.keyboard_check_pressed = function(keyCode) { return window.engine.keyboard_check_pressed(keyCode); };
     window.keyboard_check_released = function(keyCode) { return window.engine.keyboard_check_released(keyCode); };
+    window.mouse_check_button = function(button) { return window.engine.mouse_check_button(button); };
+    window.mouse_check_button_pressed = function(button) { return window.engine.mouse_check_button_pressed(button); };
+    window.mouse_check_button_released = function(button) { return window.engine.mouse_check_button_released(button); };
+    window.mouse_wheel_up = function() { return window.engine.mouse_wheel_up(); };
+    window.mouse_wheel_down = function() { return window.engine.mouse_wheel_down(); };
+    window.gamepad_is_connected = function(device) { return window.engine.gamepad_is_connected(device); };
+    window.gamepad_get_device_count = function() { return window.engine.gamepad_get_device_count(); };
+    window.gamepad_check_button = function(device, button) { return window.engine.gamepad_check_button(device, button); };
+    window.gamepad_check_button_pressed = function(device, button) { return window.engine.gamepad_check_button_pressed(device, button); };
+    window.gamepad_check_button_released = function(device, button) { return window.engine.gamepad_check_button_released(device, button); };
+    window.gamepad_button_value = function(device, button) { return window.engine.gamepad_button_value(device, button); };
+    window.gamepad_axis_value = function(device, axis) { return window.engine.gamepad_axis_value(device, axis); };
+    window.gamepad_set_axis_deadzone = function(device, deadzone) { return window.engine.gamepad_set_axis_deadzone(device, deadzone); };
+    window.gamepad_get_axis_deadzone = function(device) { return window.engine.gamepad_get_axis_deadzone(device); };
+    window.touch_count = function() { return window.engine.touch_count(); };
+    window.touch_x = function(index) { return window.engine.touch_x(index); };
+    window.touch_y = function(index) { return window.engine.touch_y(index); };
+    window.virtual_control_add = function(control) { return window.engine.virtual_control_add(control); };
+    window.virtual_controls_clear = function() { return window.engine.virtual_controls_clear(); };
+    window.virtual_controls_show = function(show) { return window.engine.virtual_controls_show(show); };
+    window.virtual_joystick_x = function(index) { return window.engine.virtual_joystick_x(index); };
+    window.virtual_joystick_y = function(index) { return window.engine.virtual_joystick_y(index); };
+    window.game_set_id = function(id) { return window.engine.game_set_id(id); };
+    window.input_bind = function(action, codes) { return window.engine.input_bind(action, codes); };
+    window.input_bind_axis = function(name, negativeAction, positiveAction, gamepadAxis) { return window.engine.input_bind_axis(name, negativeAction, positiveAction, gamepadAxis); };
+    window.input_check = function(action) { return window.engine.input_check(action); };
+    window.input_pressed = function(action) { return window.engine.input_pressed(action); };
+    window.input_released = function(action) { return window.engine.input_released(action); };
+    window.input_axis = function(name) { return window.engine.input_axis(name); };
+    window.input_get_bindings = function(action) { return window.engine.input_get_bindings(action); };
+    window.input_binding_name = function(code) { return window.engine.input_binding_name(code); };
+    window.input_rebind = function(action, code, slot) { return window.engine.input_rebind(action, code, slot); };
+    window.input_rebind_listen = function(action, slot) { return window.engine.input_rebind_listen(action, slot); };
+    window.input_is_listening = function() { return window.engine.input_is_listening(); };
+    window.input_reset = function(action) { return window.engine.input_reset(action); };
+    
+    // Audio functions
+    window.audio_load = function(sound) { return window.engine.audio_load(sound); };
+    window.audio_play_sound = function(sound, priority, loop, group) { return window.engine.audio_play_sound(sound, priority, loop, group); };
+    window.audio_play_sound_at = function(sound, x, y, falloffRef, falloffMax, priority, loop) { return window.engine.audio_play_sound_at(sound, x, y, falloffRef, falloffMax, priority, loop); };
+    window.audio_play_sound_on = function(sound, instance, falloffRef, falloffMax, priority, loop) { return window.engine.audio_play_sound_on(sound, instance, falloffRef, falloffMax, priority, loop); };
+    window.audio_listener_set = function(target) { return window.engine.audio_listener_set(target); };
+    window.audio_stop_sound = function(soundOrHandle, time) { return window.engine.audio_stop_sound(soundOrHandle, time); };
+    window.audio_stop_all = function() { return window.engine.audio_stop_all(); };
+    window.audio_is_playing = function(soundOrHandle) { return window.engine.audio_is_playing(soundOrHandle); };
+    window.audio_sound_gain = function(handle, gain, time) { return window.engine.audio_sound_gain(handle, gain, time); };
+    window.audio_sound_pitch = function(handle, pitch) { return window.engine.audio_sound_pitch(handle, pitch); };
+    window.audio_sound_pan = function(handle, pan) { return window.engine.audio_sound_pan(handle, pan); };
+    window.audio_group_set_volume = function(group, volume, time) { return window.engine.audio_group_set_volume(group, volume, time); };
+    window.audio_group_get_volume = function(group) { return window.engine.audio_group_get_volume(group); };
+    window.audio_set_master_volume = function(volume) { return window.engine.audio_set_master_volume(volume); };
+    window.audio_get_master_volume = function() { return window.engine.audio_get_master_volume(); };
+    window.audio_play_music = function(sound, loop) { return window.engine.audio_play_music(sound, loop); };
+    window.audio_crossfade_music = function(sound, time, loop) { return window.engine.audio_crossfade_music(sound, time, loop); };
+    window.audio_stop_music = function(time) { return window.engine.audio_stop_music(time); };
     
     // Color helpers
     window.rgb = function(r, g, b) { return window.engine.rgb(r, g, b); };
@@ -227,6 +354,17 @@ function window_global_functions() {
         configurable: true
     });
 
+    safeDefineProperty(window, 'room', {
+        get: function() { return window.engine.room; },
+        configurable: true
+    });
+
+    safeDefineProperty(window, 'room_transition_default', {
+        get: function() { return window.engine.room_transition_default; },
+        set: function(value) { window.engine.room_transition_default = value; },
+        configurable: true
+    });
+
     safeDefineProperty(window, 'view_xview', {
         get: function() { return window.engine.view_xview; },
         set: function(value) { window.engine.view_xview = value; },
@@ -251,6 +389,16 @@ function window_global_functions() {
         configurable: true
     });
 
+    safeDefineProperty(window, 'view_current', {
+        get: function() { return window.engine.view_current; },
+        configurable: true
+    });
+
+    safeDefineProperty(window, 'mouse_view', {
+        get: function() { return window.engine.mouse_view; },
+        configurable: true
+    });
+
     safeDefineProperty(window, 'mouse_x', {
         get: function() { return window.engine.mouse_x; },
         configurable: true
@@ -261,6 +409,11 @@ function window_global_functions() {
         configurable: true
     });
 
+    safeDefineProperty(window, 'mouse_wheel', {
+        get: function() { return window.engine.mouse_wheel; },
+        configurable: true
+    });
+
     safeDefineProperty(window, 'dt', {
         get: function() { return window.engine.dt; },
         configurable: true
@@ -270,6 +423,21 @@ function window_global_functions() {
         get: function() { return window.engine.fps; },
         configurable: true
     });
+
+    safeDefineProperty(window, 'time_scale', {
+        get: function() { return window.engine.time_scale; },
+        set: function(value) { window.engine.time_scale = value; },
+        configurable: true
+    });
+
+    safeDefineProperty(window, 'show_collision_masks', {
+        get: function() { return window.engine.show_collision_masks; },
+        set: function(value) { window.engine.show_collision_masks = value; },
+        configurable: true
+    });
+    
+    // Matches every object in instance and collision functions
+    window.all = window.engine.all;
     
     // Export color constants to global scope
     window.c_white = window.engine.c_white;
@@ -309,6 +477,11 @@ function window_global_functions() {
         }
     }
     
+    // Export mouse button constants
+    for (const key of ['mb_left', 'mb_middle', 'mb_right']) {
+        window[key] = window.engine[key];
+    }
+    
     // Export blend mode constants
     for (const key in window.engine.blendModes) {
         if (window.engine.blendModes.hasOwnProperty(key)) {
@@ -320,5 +493,6 @@ function window_global_functions() {
     console.log("Global game engine functions successfully registered.");
 }
 
-// Export the global functions to the window object
-window.window_global_functions = window_global_functions;
\ No newline at end of file
+// Export the global functions to the window object, or for require() in Node
+window.window_global_functions = window_global_functions;
+if (typeof module !== 'undefined' && module.exports) module.exports = { window_global_functions };
\ No newline at end of file